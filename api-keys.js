@@ -0,0 +1,174 @@
+// API keys for the service-account mode. A key has scopes (read, write, delete, delegate, admin),
+// an optional allow-list of calendar IDs and an optional expiry. Only a hash of the key is stored;
+// the key itself is shown once, when it is issued.
+// Backed by the api_keys table, or by data/api-keys.json without a database.
+const crypto = require("node:crypto");
+const { pool, registerSchema, readJsonStore, writeJsonStore } = require('./db');
+
+const SCOPES = ['read', 'write', 'delete', 'delegate', 'admin'];
+const KEY_PREFIX = 'gtc_';
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000; // lastUsedAt is only refreshed this often
+
+const STORE_NAME = 'api-keys';
+
+registerSchema(`
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    key_hash TEXT NOT NULL UNIQUE,
+    key_prefix TEXT NOT NULL,
+    name TEXT NOT NULL,
+    scopes JSONB NOT NULL,
+    calendar_ids JSONB,
+    expires_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ
+  )
+`);
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const toIsoString = (value) => (value ? new Date(value).toISOString() : null);
+
+// Map a database row to the shape used by the rest of the app
+const fromRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  keyPrefix: row.key_prefix,
+  scopes: row.scopes,
+  calendarIds: row.calendar_ids,
+  expiresAt: toIsoString(row.expires_at),
+  createdAt: toIsoString(row.created_at),
+  lastUsedAt: toIsoString(row.last_used_at),
+  revokedAt: toIsoString(row.revoked_at)
+});
+
+// File records carry the hash, which never leaves this module
+const withoutHash = ({ keyHash, ...apiKey }) => apiKey;
+
+const readKeys = () => readJsonStore(STORE_NAME, []);
+
+const isActive = (apiKey) => !apiKey.revokedAt && (!apiKey.expiresAt || new Date(apiKey.expiresAt) > new Date());
+
+// Whether a key grants a scope. admin grants every scope.
+const hasScope = (apiKey, scope) => apiKey.scopes.includes('admin') || apiKey.scopes.includes(scope);
+
+// Whether a key may use a calendar. Keys without an allow-list may use every calendar.
+const allowsCalendar = (apiKey, calendarId) => !apiKey.calendarIds || apiKey.calendarIds.includes(calendarId);
+
+// Issue a key. calendarIds null means every calendar. Returns the stored key and the key itself.
+const issueKey = async ({ name, scopes, calendarIds = null, expiresAt = null }) => {
+  const id = crypto.randomBytes(8).toString('hex');
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const keyHash = hashKey(key);
+  const keyPrefix = key.slice(0, KEY_PREFIX.length + 6);
+
+  if (pool) {
+    const result = await pool.query(
+      `INSERT INTO api_keys (id, key_hash, key_prefix, name, scopes, calendar_ids, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [id, keyHash, keyPrefix, name, JSON.stringify(scopes), calendarIds ? JSON.stringify(calendarIds) : null, expiresAt]
+    );
+    return { apiKey: fromRow(result.rows[0]), key };
+  }
+
+  const apiKey = {
+    id,
+    keyHash,
+    keyPrefix,
+    name,
+    scopes,
+    calendarIds,
+    expiresAt: toIsoString(expiresAt),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null
+  };
+  const keys = readKeys();
+  keys.push(apiKey);
+  writeJsonStore(STORE_NAME, keys);
+  return { apiKey: withoutHash(apiKey), key };
+};
+
+// Find the active (unrevoked, unexpired) key, or null
+const findByKey = async (key) => {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+  const keyHash = hashKey(key);
+
+  if (pool) {
+    const result = await pool.query(
+      `SELECT * FROM api_keys
+       WHERE key_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+      [keyHash]
+    );
+    return result.rows.length > 0 ? fromRow(result.rows[0]) : null;
+  }
+
+  const apiKey = readKeys().find(candidate => candidate.keyHash === keyHash);
+  return apiKey && isActive(apiKey) ? withoutHash(apiKey) : null;
+};
+
+// Record that a key was used (at most every TOUCH_INTERVAL_MS)
+const touchKey = async (apiKey) => {
+  if (apiKey.lastUsedAt && Date.now() - new Date(apiKey.lastUsedAt).getTime() < TOUCH_INTERVAL_MS) return;
+
+  if (pool) {
+    await pool.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [apiKey.id]);
+    return;
+  }
+
+  const keys = readKeys();
+  const stored = keys.find(candidate => candidate.id === apiKey.id);
+  if (!stored) return;
+  stored.lastUsedAt = new Date().toISOString();
+  writeJsonStore(STORE_NAME, keys);
+};
+
+// List keys, newest first. Revoked and expired keys are included on request.
+const listKeys = async ({ includeInactive = false } = {}) => {
+  let keys;
+  if (pool) {
+    const result = await pool.query('SELECT * FROM api_keys ORDER BY created_at DESC');
+    keys = result.rows.map(fromRow);
+  } else {
+    keys = readKeys()
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(withoutHash);
+  }
+  return includeInactive ? keys : keys.filter(isActive);
+};
+
+// Revoke a key. Returns { apiKey } on success, or { error: 'not_found' | 'already_revoked', apiKey }.
+const revokeKey = async (id) => {
+  if (pool) {
+    const result = await pool.query(
+      'UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING *',
+      [id]
+    );
+    if (result.rows.length > 0) return { apiKey: fromRow(result.rows[0]) };
+
+    const existing = await pool.query('SELECT * FROM api_keys WHERE id = $1', [id]);
+    return existing.rows.length > 0
+      ? { error: 'already_revoked', apiKey: fromRow(existing.rows[0]) }
+      : { error: 'not_found', apiKey: null };
+  }
+
+  const keys = readKeys();
+  const apiKey = keys.find(candidate => candidate.id === id);
+  if (!apiKey) return { error: 'not_found', apiKey: null };
+  if (apiKey.revokedAt) return { error: 'already_revoked', apiKey: withoutHash(apiKey) };
+  apiKey.revokedAt = new Date().toISOString();
+  writeJsonStore(STORE_NAME, keys);
+  return { apiKey: withoutHash(apiKey) };
+};
+
+module.exports = {
+  SCOPES,
+  hasScope,
+  allowsCalendar,
+  issueKey,
+  findByKey,
+  touchKey,
+  listKeys,
+  revokeKey
+};
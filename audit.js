@@ -0,0 +1,156 @@
+// Append-only audit log of calendar mutations: who created, updated, moved, deleted or restored
+// which event, with the event before and after and the outcome. Entries are never changed or removed.
+// Backed by the audit_log table, or by data/audit-log.jsonl (one entry per line) without a database.
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const path = require("node:path");
+const { pool, registerSchema, readJsonStore, DATA_DIR } = require('./db');
+
+const ACTIONS = ['create', 'update', 'move', 'delete', 'restore', 'queue-replay'];
+const OUTCOMES = ['success', 'queued', 'failed'];
+
+// Entries written before the log moved to JSON lines are still read from audit-log.json
+const LEGACY_STORE_NAME = 'audit-log';
+const LOG_PATH = path.join(DATA_DIR, 'audit-log.jsonl');
+
+registerSchema(`
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id TEXT PRIMARY KEY,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    action TEXT NOT NULL,
+    calendar_id TEXT,
+    event_id TEXT,
+    caller_type TEXT NOT NULL,
+    caller_id TEXT,
+    caller_name TEXT,
+    user_id TEXT,
+    request JSONB,
+    before JSONB,
+    after JSONB,
+    outcome TEXT NOT NULL,
+    error TEXT
+  )
+`);
+registerSchema('CREATE INDEX IF NOT EXISTS audit_log_created_idx ON audit_log (created_at)');
+registerSchema('CREATE INDEX IF NOT EXISTS audit_log_event_idx ON audit_log (event_id)');
+// Keep the table append-only even for ad-hoc queries
+registerSchema('CREATE OR REPLACE RULE audit_log_no_update AS ON UPDATE TO audit_log DO INSTEAD NOTHING');
+registerSchema('CREATE OR REPLACE RULE audit_log_no_delete AS ON DELETE TO audit_log DO INSTEAD NOTHING');
+
+const toIsoString = (value) => (value ? new Date(value).toISOString() : null);
+
+const toJson = (value) => (value === null || value === undefined ? null : JSON.stringify(value));
+
+// Map a database row to the shape used by the rest of the app
+const fromRow = (row) => ({
+  id: row.id,
+  timestamp: toIsoString(row.created_at),
+  action: row.action,
+  calendarId: row.calendar_id,
+  eventId: row.event_id,
+  caller: { type: row.caller_type, id: row.caller_id, name: row.caller_name },
+  userId: row.user_id,
+  request: row.request,
+  before: row.before,
+  after: row.after,
+  outcome: row.outcome,
+  error: row.error
+});
+
+// Append an entry. caller is { type, id, name }; userId is the signed-in user whose calendar
+// changed (AUTH_MODE=oauth). Returns the stored entry.
+const record = async ({ action, calendarId = null, eventId = null, caller, userId = null, request = null,
+  before = null, after = null, outcome, error = null }) => {
+  const id = crypto.randomBytes(12).toString('hex');
+
+  if (pool) {
+    const result = await pool.query(
+      `INSERT INTO audit_log (id, action, calendar_id, event_id, caller_type, caller_id, caller_name, user_id,
+         request, before, after, outcome, error)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *`,
+      [id, action, calendarId, eventId, caller.type, caller.id || null, caller.name || null, userId,
+        toJson(request), toJson(before), toJson(after), outcome, error]
+    );
+    return fromRow(result.rows[0]);
+  }
+
+  const entry = {
+    id,
+    timestamp: new Date().toISOString(),
+    action,
+    calendarId,
+    eventId,
+    caller: { type: caller.type, id: caller.id || null, name: caller.name || null },
+    userId,
+    request,
+    before,
+    after,
+    outcome,
+    error
+  };
+  // Appending keeps each write small however long the log gets
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.appendFileSync(LOG_PATH, `${JSON.stringify(entry)}\n`);
+  return entry;
+};
+
+// Every file-store entry, oldest first. A line cut short by a crash mid-write is skipped.
+const readEntries = () => {
+  let lines = [];
+  try {
+    lines = fs.readFileSync(LOG_PATH, 'utf8').split('\n');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const entries = [];
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      console.error(`Skipping unreadable audit log line: ${error.message}`);
+    }
+  }
+  return [...readJsonStore(LEGACY_STORE_NAME, []), ...entries];
+};
+
+// Query entries, newest first. Every filter is optional: eventId, calendarId(s), callerId,
+// action, userId, timeMin/timeMax (ISO strings) and limit.
+const query = async ({ eventId, calendarIds, callerId, action, userId, timeMin, timeMax, limit = 100 } = {}) => {
+  if (pool) {
+    const result = await pool.query(
+      `SELECT * FROM audit_log
+       WHERE ($1::text IS NULL OR event_id = $1)
+         AND ($2::text[] IS NULL OR calendar_id = ANY($2))
+         AND ($3::text IS NULL OR caller_id = $3)
+         AND ($4::text IS NULL OR action = $4)
+         AND ($5::text IS NULL OR user_id = $5)
+         AND ($6::timestamptz IS NULL OR created_at >= $6)
+         AND ($7::timestamptz IS NULL OR created_at < $7)
+       ORDER BY created_at DESC
+       LIMIT $8`,
+      [eventId || null, calendarIds || null, callerId || null, action || null, userId || null,
+        timeMin || null, timeMax || null, limit]
+    );
+    return result.rows.map(fromRow);
+  }
+
+  return readEntries()
+    .filter(entry => (!eventId || entry.eventId === eventId) &&
+      (!calendarIds || calendarIds.includes(entry.calendarId)) &&
+      (!callerId || entry.caller.id === callerId) &&
+      (!action || entry.action === action) &&
+      (!userId || entry.userId === userId) &&
+      (!timeMin || new Date(entry.timestamp) >= new Date(timeMin)) &&
+      (!timeMax || new Date(entry.timestamp) < new Date(timeMax)))
+    .reverse()
+    .slice(0, limit);
+};
+
+module.exports = {
+  ACTIONS,
+  OUTCOMES,
+  record,
+  query
+};
@@ -0,0 +1,397 @@
+// CalDAV provider (RFC 4791) for Nextcloud, Fastmail, Radicale and other CalDAV servers.
+// Every event is stored as one iCalendar resource named <event id>.ics; a recurring series
+// keeps its edited instances (RECURRENCE-ID) in the same resource.
+//
+// Configured with CALDAV_URL (the calendar home, e.g. https://cloud.example.com/remote.php/dav/calendars/alice/),
+// CALDAV_USERNAME and CALDAV_PASSWORD (use an app password where the server supports them).
+// Calendar IDs are collection names relative to CALDAV_URL ("personal"), or absolute paths or URLs.
+const crypto = require("node:crypto");
+const axios = require('axios');
+const { XMLParser } = require('fast-xml-parser');
+const {
+  createProviderError,
+  clone,
+  overlaps,
+  matchesQuery,
+  matchesExtendedProperties,
+  sortByStart,
+  paginate,
+  applyPatch,
+  splitInstanceId,
+  toInstanceId,
+  expandSeries,
+  findInstance
+} = require('./calendar-provider');
+const { toInstant } = require('./dates');
+const { toICalUtc } = require('./recurrence');
+const { parseICalendar, buildICalendar, toExdateLine } = require('./icalendar');
+
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+const xmlParser = new XMLParser({
+  removeNSPrefix: true,
+  ignoreAttributes: true,
+  parseTagValue: false,
+  isArray: (name) => ['response', 'propstat', 'privilege'].includes(name)
+});
+
+const PROPFIND_CALENDAR_BODY = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav" xmlns:a="http://apple.com/ns/ical/">
+  <d:prop>
+    <d:resourcetype/>
+    <d:displayname/>
+    <c:calendar-description/>
+    <c:calendar-timezone/>
+    <a:calendar-color/>
+    <d:current-user-privilege-set/>
+  </d:prop>
+</d:propfind>`;
+
+// calendar-query REPORT for the VEVENTs overlapping a time range (either end may be open)
+const buildCalendarQuery = (timeMin, timeMax) => {
+  const range = [
+    timeMin ? `start="${toICalUtc(new Date(timeMin))}"` : null,
+    timeMax ? `end="${toICalUtc(new Date(timeMax))}"` : null
+  ].filter(Boolean).join(' ');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop>
+    <d:getetag/>
+    <c:calendar-data/>
+  </d:prop>
+  <c:filter>
+    <c:comp-filter name="VCALENDAR">
+      <c:comp-filter name="VEVENT">${range ? `\n        <c:time-range ${range}/>` : ''}
+      </c:comp-filter>
+    </c:comp-filter>
+  </c:filter>
+</c:calendar-query>`;
+};
+
+// Successful properties of each <response> in a multistatus body: [{ href, props }]
+const parseMultistatus = (xml) => {
+  const responses = xmlParser.parse(xml)?.multistatus?.response || [];
+  return responses.map(response => {
+    const props = {};
+    for (const propstat of response.propstat || []) {
+      if (/\s200\s/.test(` ${propstat.status} `) && propstat.prop) Object.assign(props, propstat.prop);
+    }
+    return { href: response.href, props };
+  });
+};
+
+const ensureTrailingSlash = (url) => (url.endsWith('/') ? url : `${url}/`);
+
+// Event ID from a resource href: the file name without .ics
+const toEventId = (href) => decodeURIComponent(href.replace(/\/$/, '').split('/').pop()).replace(/\.ics$/i, '');
+
+// The CalDAV provider. Options default to the CALDAV_* environment variables.
+const createCaldavProvider = ({
+  url = process.env.CALDAV_URL,
+  username = process.env.CALDAV_USERNAME,
+  password = process.env.CALDAV_PASSWORD,
+  defaultTimeZone = process.env.CALDAV_DEFAULT_TIMEZONE || 'America/Los_Angeles'
+} = {}) => {
+  if (!url) {
+    throw new Error('CALDAV_URL must be set to use the CalDAV provider');
+  }
+
+  const homeUrl = ensureTrailingSlash(url);
+  const homePath = new URL(homeUrl).pathname;
+  const http = axios.create({
+    auth: username ? { username, password: password || '' } : undefined,
+    timeout: REQUEST_TIMEOUT_MS,
+    responseType: 'text',
+    transformResponse: [data => data]
+  });
+
+  // Send a request, turning HTTP errors into provider errors the routes understand
+  const request = async (method, requestUrl, { headers = {}, data } = {}) => {
+    try {
+      return await http.request({ method, url: requestUrl, headers, data });
+    } catch (error) {
+      if (!error.response) throw error;
+      const { status, statusText } = error.response;
+      const message = `CalDAV ${method} ${requestUrl} failed: ${status} ${statusText}`;
+      if (status === 401 || status === 403) throw createProviderError(403, message);
+      if (status === 412) throw createProviderError(409, message);
+      throw createProviderError(status, message);
+    }
+  };
+
+  const collectionUrl = (calendarId) => {
+    if (/^https?:\/\//i.test(calendarId)) return ensureTrailingSlash(calendarId);
+    if (calendarId.startsWith('/')) return ensureTrailingSlash(new URL(calendarId, homeUrl).href);
+    return `${homeUrl}${encodeURIComponent(calendarId)}/`;
+  };
+
+  const eventUrl = (calendarId, eventId) => `${collectionUrl(calendarId)}${encodeURIComponent(eventId)}.ics`;
+
+  // Calendar ID for a collection href: its name when it lives in the calendar home
+  const toCalendarId = (href) => {
+    const path = new URL(href, homeUrl).pathname;
+    const relative = path.startsWith(homePath) ? path.slice(homePath.length).replace(/\/$/, '') : '';
+    return relative && !relative.includes('/') ? decodeURIComponent(relative) : path;
+  };
+
+  const toCalendar = ({ href, props }) => {
+    const privileges = JSON.stringify(props['current-user-privilege-set'] || {});
+    const timeZone = /TZID:([^\r\n]+)/.exec(props['calendar-timezone'] || '')?.[1];
+    const color = typeof props['calendar-color'] === 'string' ? props['calendar-color'].slice(0, 7) : undefined;
+    return {
+      kind: 'calendar#calendarListEntry',
+      id: toCalendarId(href),
+      summary: props.displayname || toCalendarId(href),
+      description: props['calendar-description'] || '',
+      timeZone: timeZone || defaultTimeZone,
+      accessRole: /"(all|write|write-content)"/.test(privileges) || privileges === '{}' ? 'owner' : 'reader',
+      backgroundColor: color,
+      foregroundColor: color ? '#000000' : undefined,
+      selected: true
+    };
+  };
+
+  const isCalendarCollection = (props) => Boolean(props.resourcetype && typeof props.resourcetype === 'object' && 'calendar' in props.resourcetype);
+
+  // Turn a parsed iCalendar resource into its series/event and the exceptions to it
+  const toResource = (calendarId, eventId, text, etag) => {
+    const { events } = parseICalendar(text, { defaultTimeZone });
+    const htmlLink = eventUrl(calendarId, eventId);
+    const master = events.find(event => !event.originalStartTime) || null;
+    if (master) Object.assign(master, { kind: 'calendar#event', id: eventId, htmlLink, etag });
+
+    const exceptions = new Map();
+    for (const event of events.filter(candidate => candidate.originalStartTime)) {
+      const id = toInstanceId(eventId, event.originalStartTime);
+      exceptions.set(id, { ...event, kind: 'calendar#event', id, recurringEventId: eventId, htmlLink, etag });
+    }
+    return { etag, master, exceptions };
+  };
+
+  const fetchResource = async (calendarId, eventId) => {
+    const response = await request('GET', eventUrl(calendarId, eventId));
+    const resource = toResource(calendarId, eventId, response.data, response.headers.etag);
+    if (!resource.master) throw createProviderError(404, 'Not Found');
+    return resource;
+  };
+
+  // Write a resource back, failing with 409 if someone else changed it in the meantime
+  const storeResource = async (calendarId, eventId, resource) => {
+    const events = [resource.master, ...resource.exceptions.values()]
+      .map(({ id, etag, htmlLink, kind, recurringEventId, ...event }) => ({ ...event, iCalUID: event.iCalUID || eventId }));
+    const headers = { 'Content-Type': 'text/calendar; charset=utf-8' };
+    if (resource.etag) headers['If-Match'] = resource.etag;
+    const response = await request('PUT', eventUrl(calendarId, eventId), { headers, data: buildICalendar(events) });
+    return response.headers.etag;
+  };
+
+  // Load the resource an event ID refers to: an event, a series, or one instance of a series
+  const resolveEvent = async (calendarId, eventId) => {
+    try {
+      const resource = await fetchResource(calendarId, eventId);
+      return { resource, event: resource.master, seriesId: null };
+    } catch (error) {
+      const instance = splitInstanceId(eventId);
+      if (error.code !== 404 || !instance) throw error;
+
+      const resource = await fetchResource(calendarId, instance.seriesId);
+      const event = findInstance(resource.master, eventId, id => resource.exceptions.get(id));
+      if (!event) throw createProviderError(404, 'Not Found');
+      return { resource, event, seriesId: instance.seriesId };
+    }
+  };
+
+  // Every resource in a calendar overlapping the range
+  const queryResources = async (calendarId, timeMin, timeMax) => {
+    const response = await request('REPORT', collectionUrl(calendarId), {
+      headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' },
+      data: buildCalendarQuery(timeMin, timeMax)
+    });
+    return parseMultistatus(response.data)
+      .filter(({ props }) => props['calendar-data'])
+      .map(({ href, props }) => toResource(calendarId, toEventId(href), props['calendar-data'], props.getetag))
+      .filter(resource => resource.master);
+  };
+
+  const listEvents = async (calendarId, params = {}) => {
+    const {
+      timeMin,
+      timeMax,
+      singleEvents = false,
+      showDeleted = false,
+      q,
+      iCalUID,
+      maxResults,
+      pageToken,
+      privateExtendedProperty,
+      sharedExtendedProperty
+    } = params;
+    const isVisible = (event) => showDeleted || event.status !== 'cancelled';
+    const items = [];
+
+    for (const { master, exceptions } of await queryResources(calendarId, timeMin, timeMax)) {
+      if (iCalUID && master.iCalUID !== iCalUID) continue;
+
+      if (master.recurrence && singleEvents) {
+        items.push(...expandSeries(master, id => exceptions.get(id), { timeMin, timeMax, showDeleted })
+          .filter(instance => overlaps(instance, timeMin, timeMax)));
+        continue;
+      }
+
+      // Like Google, listing without singleEvents returns series and their exceptions separately
+      if (isVisible(master) && (master.recurrence || overlaps(master, timeMin, timeMax))) {
+        items.push(master);
+      }
+      for (const exception of exceptions.values()) {
+        if (isVisible(exception) && overlaps(exception, timeMin, timeMax)) items.push(exception);
+      }
+    }
+
+    // Extended properties aren't stored in iCalendar, so no event here matches a property filter
+    const matching = items.filter(event => matchesQuery(event, q) &&
+      matchesExtendedProperties(event, privateExtendedProperty, sharedExtendedProperty));
+    const page = paginate(sortByStart(matching), maxResults, pageToken);
+    return { items: page.items, nextPageToken: page.nextPageToken };
+  };
+
+  return {
+    name: 'caldav',
+
+    insertEvent: async (calendarId, event) => {
+      const id = event.id || crypto.randomBytes(16).toString('hex');
+      const now = new Date().toISOString();
+      const stored = {
+        ...clone(event),
+        iCalUID: event.iCalUID || id,
+        status: 'confirmed',
+        sequence: 0,
+        created: now,
+        updated: now
+      };
+      delete stored.id;
+
+      // If-None-Match makes a repeated insert with the same ID fail like Google's 409
+      const response = await request('PUT', eventUrl(calendarId, id), {
+        headers: { 'Content-Type': 'text/calendar; charset=utf-8', 'If-None-Match': '*' },
+        data: buildICalendar([stored])
+      });
+
+      return {
+        kind: 'calendar#event',
+        ...stored,
+        id,
+        htmlLink: eventUrl(calendarId, id),
+        etag: response.headers.etag
+      };
+    },
+
+    listEvents,
+
+    getEvent: async (calendarId, eventId) => (await resolveEvent(calendarId, eventId)).event,
+
+    patchEvent: async (calendarId, eventId, changes) => {
+      const { resource, event, seriesId } = await resolveEvent(calendarId, eventId);
+      const updated = applyPatch(event, changes);
+      updated.id = event.id;
+      updated.sequence = (event.sequence || 0) + 1;
+      updated.updated = new Date().toISOString();
+
+      // Instance edits are stored as an exception in the series' resource
+      if (seriesId) {
+        resource.exceptions.set(eventId, updated);
+      } else {
+        resource.master = updated;
+      }
+      updated.etag = await storeResource(calendarId, seriesId || eventId, resource);
+      return updated;
+    },
+
+    deleteEvent: async (calendarId, eventId) => {
+      const instance = splitInstanceId(eventId);
+      if (!instance) {
+        await request('DELETE', eventUrl(calendarId, eventId));
+        return;
+      }
+
+      const { resource, event, seriesId } = await resolveEvent(calendarId, eventId);
+      if (!seriesId) {
+        await request('DELETE', eventUrl(calendarId, eventId), { headers: resource.etag ? { 'If-Match': resource.etag } : {} });
+        return;
+      }
+
+      // Deleting one instance excludes it from the series
+      resource.exceptions.delete(eventId);
+      resource.master.recurrence = [...resource.master.recurrence, toExdateLine(resource.master, event.originalStartTime)];
+      resource.master.sequence = (resource.master.sequence || 0) + 1;
+      await storeResource(calendarId, seriesId, resource);
+    },
+
+    moveEvent: async (calendarId, eventId, destinationCalendarId) => {
+      if (splitInstanceId(eventId)) {
+        const { seriesId } = await resolveEvent(calendarId, eventId);
+        if (seriesId) throw createProviderError(400, 'Cannot move a single instance of a recurring event');
+      }
+
+      await request('MOVE', eventUrl(calendarId, eventId), {
+        headers: { Destination: eventUrl(destinationCalendarId, eventId), Overwrite: 'F' }
+      });
+      const { master } = await fetchResource(destinationCalendarId, eventId);
+      return master;
+    },
+
+    listInstances: async (calendarId, eventId, params = {}) => {
+      const resource = await fetchResource(calendarId, eventId);
+      const items = resource.master.recurrence
+        ? expandSeries(resource.master, id => resource.exceptions.get(id), params)
+        : [resource.master];
+      return paginate(items, params.maxResults, params.pageToken);
+    },
+
+    getCalendar: async (calendarId) => {
+      const response = await request('PROPFIND', collectionUrl(calendarId), {
+        headers: { Depth: '0', 'Content-Type': 'application/xml; charset=utf-8' },
+        data: PROPFIND_CALENDAR_BODY
+      });
+      const [collection] = parseMultistatus(response.data);
+      if (!collection || !isCalendarCollection(collection.props)) throw createProviderError(404, 'Not Found');
+      return { ...toCalendar({ ...collection, href: collectionUrl(calendarId) }), kind: 'calendar#calendar' };
+    },
+
+    listCalendars: async () => {
+      const response = await request('PROPFIND', homeUrl, {
+        headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' },
+        data: PROPFIND_CALENDAR_BODY
+      });
+      return parseMultistatus(response.data)
+        .filter(({ props }) => isCalendarCollection(props))
+        .map(toCalendar);
+    },
+
+    // Free/busy from the events themselves - free-busy-query REPORTs aren't supported everywhere
+    queryFreeBusy: async ({ timeMin, timeMax, calendarIds }) => {
+      const result = {};
+      for (const calendarId of calendarIds) {
+        try {
+          const { items } = await listEvents(calendarId, { timeMin, timeMax, singleEvents: true, maxResults: 10000 });
+          result[calendarId] = {
+            busy: items
+              .filter(event => event.transparency !== 'transparent')
+              .map(event => ({
+                start: toInstant(event.start, event.end.timeZone).toISOString(),
+                end: toInstant(event.end, event.start.timeZone).toISOString()
+              }))
+          };
+        } catch (error) {
+          if (!error.code) throw error;
+          result[calendarId] = { busy: [], errors: [{ domain: 'global', reason: error.code === 404 ? 'notFound' : 'forbidden' }] };
+        }
+      }
+      return result;
+    }
+  };
+};
+
+module.exports = {
+  createCaldavProvider
+};
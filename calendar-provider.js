@@ -0,0 +1,188 @@
+// Calendar backends. Routes talk to a provider instead of a calendar client directly, so the
+// same /api/* routes run against Google Calendar, a CalDAV server or the in-memory store
+// (CALENDAR_PROVIDER).
+//
+// Every provider exposes the same async methods, taking and returning Google Calendar API v3
+// shaped events (summary, start/end with dateTime or date, recurrence, attendees, ...):
+//   insertEvent(calendarId, event, options)                    -> event
+//     options (also for patchEvent): sendUpdates, conferenceDataVersion (1 to create or remove Meet links)
+//   listEvents(calendarId, params)                              -> { items, nextPageToken }
+//     params: timeMin, timeMax, singleEvents, showDeleted, q, iCalUID, maxResults, pageToken
+//   getEvent(calendarId, eventId)                               -> event
+//   patchEvent(calendarId, eventId, changes, options)           -> event
+//   deleteEvent(calendarId, eventId, options)                   -> undefined
+//   moveEvent(calendarId, eventId, destinationId, options)      -> event
+//   listInstances(calendarId, eventId, params)                  -> { items, nextPageToken }
+//   getCalendar(calendarId)                                     -> calendar
+//   listCalendars()                                             -> [calendar]
+//   queryFreeBusy({ timeMin, timeMax, timeZone, calendarIds })  -> { [calendarId]: { busy, errors } }
+// Failures are thrown as errors with an HTTP-style `code` (404, 403, 409, 410), the same way
+// the Google client reports them, so route error handling works for every provider.
+
+const { toInstant } = require('./dates');
+const { toICalUtc, expandRecurrence } = require('./recurrence');
+
+const PROVIDER_NAMES = ['google', 'memory', 'caldav'];
+
+// Build an error that route handlers treat like a Google API error
+const createProviderError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Helpers for providers that filter and expand events themselves (memory, CalDAV)
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Does an event overlap [timeMin, timeMax)?
+const overlaps = (event, timeMin, timeMax) => {
+  if (!event.start || !event.end) return false;
+  const start = toInstant(event.start, event.end.timeZone);
+  const end = toInstant(event.end, event.start.timeZone);
+  return (!timeMin || end > new Date(timeMin)) && (!timeMax || start < new Date(timeMax));
+};
+
+// Case-insensitive free-text match on the fields Google searches
+const matchesQuery = (event, q) => {
+  if (!q) return true;
+  const haystack = [
+    event.summary,
+    event.description,
+    event.location,
+    ...(event.attendees || []).flatMap(attendee => [attendee.email, attendee.displayName])
+  ].filter(Boolean).join(' ').toLowerCase();
+  return q.toLowerCase().split(/\s+/).filter(Boolean).every(term => haystack.includes(term));
+};
+
+// Match privateExtendedProperty/sharedExtendedProperty filters ("name=value", one or many)
+const matchesExtendedProperties = (event, privateFilters, sharedFilters) => {
+  const check = (filters, properties = {}) => [].concat(filters || []).every(filter => {
+    const [name, ...rest] = filter.split('=');
+    return properties[name] === rest.join('=');
+  });
+  return check(privateFilters, event.extendedProperties?.private) &&
+    check(sharedFilters, event.extendedProperties?.shared);
+};
+
+const sortByStart = (events) => events.sort((a, b) => toInstant(a.start, a.end?.timeZone) - toInstant(b.start, b.end?.timeZone));
+
+// Offset-based page tokens
+const paginate = (items, maxResults, pageToken) => {
+  const offset = pageToken ? Number(Buffer.from(pageToken, 'base64').toString('utf8')) || 0 : 0;
+  const limit = Number(maxResults) || 250;
+  const page = items.slice(offset, offset + limit);
+  const nextOffset = offset + limit;
+  return {
+    items: page,
+    nextPageToken: nextOffset < items.length ? Buffer.from(String(nextOffset)).toString('base64') : undefined
+  };
+};
+
+// Merge patch changes into an event: nested objects are merged one level deep, null removes a field
+const applyPatch = (event, changes) => {
+  const result = clone(event);
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null || value === undefined) {
+      delete result[key];
+    } else if (isPlainObject(value) && isPlainObject(result[key])) {
+      for (const [nestedKey, nestedValue] of Object.entries(value)) {
+        if (nestedValue === null) {
+          delete result[key][nestedKey];
+        } else {
+          result[key][nestedKey] = clone(nestedValue);
+        }
+      }
+    } else {
+      result[key] = clone(value);
+    }
+  }
+  return result;
+};
+
+// Instance IDs follow Google's format: the series ID, "_", and the original start in UTC
+// (20250101T170000Z) or the original date for all-day series (20250101)
+const INSTANCE_ID_PATTERN = /^(.+)_(\d{8}(?:T\d{6}Z)?)$/;
+
+const splitInstanceId = (eventId) => {
+  const match = INSTANCE_ID_PATTERN.exec(eventId);
+  return match ? { seriesId: match[1], suffix: match[2] } : null;
+};
+
+const toInstanceId = (seriesId, originalStartTime) => (originalStartTime.date
+  ? `${seriesId}_${originalStartTime.date.replace(/-/g, '')}`
+  : `${seriesId}_${toICalUtc(toInstant(originalStartTime))}`);
+
+// The instance of a series for one expanded occurrence
+const buildInstance = (master, occurrence) => {
+  const { recurrence, ...fields } = master;
+  return {
+    ...clone(fields),
+    id: occurrence.id,
+    recurringEventId: master.id,
+    originalStartTime: occurrence.originalStartTime,
+    start: occurrence.start,
+    end: occurrence.end
+  };
+};
+
+// Expand a series into instances, preferring stored exceptions (findException(instanceId))
+const expandSeries = (master, findException, { timeMin, timeMax, showDeleted } = {}) => {
+  if (master.status === 'cancelled') return [];
+  return expandRecurrence(master, { timeMin, timeMax })
+    .map(occurrence => findException(occurrence.id) || buildInstance(master, occurrence))
+    .filter(instance => showDeleted || instance.status !== 'cancelled');
+};
+
+// Generate the instance an instance ID refers to, or null when the series has no such occurrence
+const findInstance = (master, eventId, findException) => {
+  const instance = splitInstanceId(eventId);
+  if (!instance || !master.recurrence || instance.seriesId !== master.id) return null;
+
+  const exception = findException(eventId);
+  if (exception) return exception;
+
+  // Expand a window around the instance date and pick the matching occurrence
+  const { suffix } = instance;
+  const dayStart = new Date(`${suffix.slice(0, 4)}-${suffix.slice(4, 6)}-${suffix.slice(6, 8)}T00:00:00Z`);
+  if (Number.isNaN(dayStart.getTime())) return null;
+  const occurrence = expandRecurrence(master, {
+    timeMin: new Date(dayStart.getTime() - 2 * 86400000).toISOString(),
+    timeMax: new Date(dayStart.getTime() + 3 * 86400000).toISOString()
+  }).find(candidate => candidate.id === eventId);
+  return occurrence ? buildInstance(master, occurrence) : null;
+};
+
+// Create the provider with the given name. Providers are loaded lazily so the Google client
+// isn't required when running in memory.
+const createCalendarProvider = (name, options = {}) => {
+  switch (name) {
+    case 'google':
+      return require('./google-provider').createGoogleProvider(options);
+    case 'memory':
+      return require('./memory-provider').createMemoryProvider(options);
+    case 'caldav':
+      return require('./caldav-provider').createCaldavProvider(options);
+    default:
+      throw new Error(`Unknown calendar provider "${name}". Use one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+};
+
+module.exports = {
+  PROVIDER_NAMES,
+  createProviderError,
+  createCalendarProvider,
+  clone,
+  overlaps,
+  matchesQuery,
+  matchesExtendedProperties,
+  sortByStart,
+  paginate,
+  applyPatch,
+  splitInstanceId,
+  toInstanceId,
+  expandSeries,
+  findInstance
+};
@@ -0,0 +1,101 @@
+// Event categories. Each category maps to a Google Calendar colorId and has keywords: events
+// created without a category get the first one with a keyword in their summary or description.
+// The table comes from EVENT_CATEGORIES_FILE (a JSON array of { name, colorId, keywords }) or
+// the defaults below. The category name is kept in the event's private extended properties, so
+// categories sharing a color stay apart; events colored elsewhere are matched by colorId.
+const fs = require("node:fs");
+
+// Google's event colors are "1" to "11" (see the calendar API's colors endpoint)
+const COLOR_IDS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11'];
+
+const DEFAULT_CATEGORIES = [
+  { name: 'Work', colorId: '9', keywords: ['meeting', '1:1', 'standup', 'sync', 'review', 'interview', 'demo'] },
+  { name: 'Health', colorId: '10', keywords: ['gym', 'workout', 'run', 'yoga', 'doctor', 'dentist', 'therapy'] },
+  { name: 'Personal', colorId: '5', keywords: ['birthday', 'dinner', 'family', 'party'] },
+  { name: 'Travel', colorId: '7', keywords: ['flight', 'hotel', 'train', 'trip'] }
+];
+
+// Check a category table. Returns an error message, or null when it is valid.
+const validateCategories = (categories) => {
+  if (!Array.isArray(categories)) return 'the category table must be an array';
+
+  const names = new Set();
+  for (const category of categories) {
+    const name = typeof category?.name === 'string' ? category.name.trim() : '';
+    if (!name) return 'every category needs a name';
+    if (names.has(name.toLowerCase())) return `category "${name}" is listed twice`;
+    names.add(name.toLowerCase());
+
+    if (!COLOR_IDS.includes(String(category.colorId))) {
+      return `category "${name}" needs a colorId from ${COLOR_IDS[0]} to ${COLOR_IDS[COLOR_IDS.length - 1]}`;
+    }
+    if (category.keywords !== undefined &&
+        (!Array.isArray(category.keywords) || category.keywords.some(keyword => typeof keyword !== 'string' || !keyword.trim()))) {
+      return `keywords of category "${name}" must be an array of non-empty strings`;
+    }
+  }
+  return null;
+};
+
+const loadCategories = () => {
+  const file = process.env.EVENT_CATEGORIES_FILE;
+  if (!file) return DEFAULT_CATEGORIES;
+
+  const categories = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const error = validateCategories(categories);
+  if (error) throw new Error(`Invalid EVENT_CATEGORIES_FILE: ${error}`);
+  return categories.map(({ name, colorId, keywords = [] }) => ({
+    name: name.trim(),
+    colorId: String(colorId),
+    keywords: keywords.map(keyword => keyword.trim())
+  }));
+};
+
+const CATEGORIES = loadCategories();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Keywords match whole words ("run" doesn't match "brunch"), case-insensitively
+const KEYWORD_RULES = CATEGORIES.flatMap(category => category.keywords.map(keyword => ({
+  category,
+  pattern: new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(keyword)}($|[^\\p{L}\\p{N}])`, 'iu')
+})));
+
+// Find a category by name (case-insensitive), or null
+const findCategory = (name) => CATEGORIES.find(category => category.name.toLowerCase() === String(name).trim().toLowerCase()) || null;
+
+// The category of the first keyword found in the summary, then the description, or null
+const matchCategory = ({ summary, description }) => {
+  for (const text of [summary, description]) {
+    if (!text) continue;
+    const rule = KEYWORD_RULES.find(candidate => candidate.pattern.test(text));
+    if (rule) return rule.category;
+  }
+  return null;
+};
+
+// The category name of an event, or null
+const getEventCategory = (event) => {
+  const stored = event.extendedProperties?.private?.category;
+  if (stored) return findCategory(stored)?.name || stored;
+  return CATEGORIES.find(category => category.colorId === event.colorId)?.name || null;
+};
+
+// Event fields that put an event in a category, or take it out of its category (category null).
+// The name is blanked rather than removed, since patches merge extended properties.
+const toCategoryFields = (category, event = {}) => ({
+  colorId: category ? category.colorId : null,
+  extendedProperties: {
+    ...event.extendedProperties,
+    private: { ...event.extendedProperties?.private, category: category ? category.name : '' }
+  }
+});
+
+module.exports = {
+  COLOR_IDS,
+  CATEGORIES,
+  findCategory,
+  matchCategory,
+  getEventCategory,
+  toCategoryFields
+};
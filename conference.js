@@ -0,0 +1,135 @@
+// Video conference links for events. Google Meet links are requested through conferenceData;
+// Zoom and Jitsi links come from ZOOM_MEETING_URL / JITSI_MEETING_URL (or a url given per event)
+// and are put in the location and description, so every calendar and provider shows them.
+// Configured links may contain {room}, replaced with a new room name for each event.
+const crypto = require("node:crypto");
+
+const CONFERENCE_TYPES = ['meet', 'zoom', 'jitsi', 'none'];
+
+const LINK_TEMPLATES = {
+  zoom: process.env.ZOOM_MEETING_URL || null,
+  jitsi: process.env.JITSI_MEETING_URL || 'https://meet.jit.si/{room}'
+};
+
+const LINK_LABELS = { zoom: 'Zoom', jitsi: 'Jitsi' };
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Validate a conference option: a type, or { type, url } to use a specific Zoom or Jitsi link.
+// Returns { conference } ({ type } for meet and none, { type, url } otherwise) or { error, message }.
+const parseConference = (value) => {
+  const option = typeof value === 'string' ? { type: value } : value;
+  if (!option || typeof option !== 'object' || !CONFERENCE_TYPES.includes(option.type)) {
+    return {
+      error: 'Invalid conference',
+      message: `conference must be one of ${CONFERENCE_TYPES.join(', ')}, or an object { type, url }`
+    };
+  }
+  const { type, url } = option;
+
+  if (type === 'meet' || type === 'none') {
+    return url === undefined
+      ? { conference: { type } }
+      : { error: 'Invalid conference', message: 'url can only be given for zoom and jitsi conferences' };
+  }
+  if (url !== undefined) {
+    return isHttpUrl(url)
+      ? { conference: { type, url } }
+      : { error: 'Invalid conference', message: 'conference url must be an http(s) URL' };
+  }
+  if (!LINK_TEMPLATES[type]) {
+    return {
+      error: 'Conference not configured',
+      message: `Set ZOOM_MEETING_URL to create ${LINK_LABELS[type]} links, or pass conference.url`
+    };
+  }
+  const room = `gtc-${crypto.randomBytes(6).toString('hex')}`;
+  return { conference: { type, url: LINK_TEMPLATES[type].replace(/\{room\}/g, room) } };
+};
+
+// The link this app attached earlier, from the event's private extended properties
+const getAttachedLink = (event) => {
+  const properties = event.extendedProperties?.private || {};
+  return properties.conferenceUrl ? { type: properties.conferenceType, url: properties.conferenceUrl } : null;
+};
+
+// Event fields that switch an event (a new one, or the current state of an existing one) to a
+// conference. Previously attached Zoom/Jitsi links are taken out of the location and description;
+// an existing Meet link is kept when Meet is asked for again, and removed otherwise.
+const toConferenceFields = (conference, event = {}) => {
+  const fields = {};
+  const attached = getAttachedLink(event);
+  let location = event.location || '';
+  let description = event.description || '';
+
+  if (attached) {
+    if (location === attached.url) location = '';
+    description = description.split('\n').filter(line => !line.trim().endsWith(attached.url)).join('\n').trimEnd();
+  }
+
+  const hasMeet = event.conferenceData?.conferenceSolution?.key?.type === 'hangoutsMeet' ||
+    event.conferenceData?.createRequest?.conferenceSolutionKey?.type === 'hangoutsMeet';
+  if (conference.type === 'meet' && !hasMeet) {
+    fields.conferenceData = {
+      createRequest: { requestId: crypto.randomUUID(), conferenceSolutionKey: { type: 'hangoutsMeet' } }
+    };
+  } else if (conference.type !== 'meet' && event.conferenceData) {
+    fields.conferenceData = null;
+  }
+
+  if (conference.url) {
+    if (!location) location = conference.url;
+    description = [description, `Join ${LINK_LABELS[conference.type]} meeting: ${conference.url}`].filter(Boolean).join('\n\n');
+  }
+  if (location !== (event.location || '')) fields.location = location;
+  if (description !== (event.description || '')) fields.description = description;
+
+  // Blank values rather than removed keys, since patches merge extended properties
+  if (attached || conference.url) {
+    fields.extendedProperties = {
+      ...event.extendedProperties,
+      private: {
+        ...event.extendedProperties?.private,
+        conferenceType: conference.url ? conference.type : '',
+        conferenceUrl: conference.url || ''
+      }
+    };
+  }
+  return fields;
+};
+
+// Write options Google needs to act on conferenceData in an insert or patch
+const getConferenceOptions = (fields) => (fields.conferenceData !== undefined ? { conferenceDataVersion: 1 } : {});
+
+// The event's conference as returned by the API: { type, joinUrl, status }, or null.
+// A Meet link is "pending" until Google has created it.
+const getConference = (event) => {
+  const data = event.conferenceData;
+  if (data) {
+    const solution = data.conferenceSolution?.key?.type || data.createRequest?.conferenceSolutionKey?.type;
+    const video = (data.entryPoints || []).find(entryPoint => entryPoint.entryPointType === 'video');
+    const joinUrl = video?.uri || event.hangoutLink || null;
+    return {
+      type: solution === 'hangoutsMeet' ? 'meet' : solution || 'other',
+      joinUrl,
+      status: data.createRequest?.status?.statusCode || (joinUrl ? 'success' : 'pending')
+    };
+  }
+
+  const attached = getAttachedLink(event);
+  return attached ? { type: attached.type, joinUrl: attached.url, status: 'success' } : null;
+};
+
+module.exports = {
+  CONFERENCE_TYPES,
+  parseConference,
+  toConferenceFields,
+  getConferenceOptions,
+  getConference
+};
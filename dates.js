@@ -0,0 +1,83 @@
+// Date and time zone helpers shared by the routes and calendar providers.
+// Plain Intl-based conversions - no date library needed.
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isDateOnly = (value) => typeof value === 'string' && DATE_ONLY_PATTERN.test(value);
+
+// Add whole days to a YYYY-MM-DD date without going through local time
+const addDays = (date, days) => {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+};
+
+// Offset (in ms) of the given IANA time zone from UTC at the given instant
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const values = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+  const asUtc = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Convert a wall-clock date (YYYY-MM-DD) and time (HH:MM) in a time zone to a UTC Date
+const zonedTimeToUtc = (date, time, timeZone) => {
+  const guess = new Date(`${date}T${time.length === 5 ? `${time}:00` : time}Z`);
+  const offset = getTimeZoneOffset(guess, timeZone);
+  const result = new Date(guess.getTime() - offset);
+  // Re-check in case the guess and the result straddle a DST change
+  const correctedOffset = getTimeZoneOffset(result, timeZone);
+  return correctedOffset === offset ? result : new Date(guess.getTime() - correctedOffset);
+};
+
+// Format an instant as an ISO string with the offset of the given time zone (2025-01-01T09:00:00-08:00)
+const formatInTimeZone = (date, timeZone) => {
+  const offset = getTimeZoneOffset(date, timeZone);
+  const local = new Date(Math.floor(date.getTime() / 1000) * 1000 + offset).toISOString().slice(0, 19);
+  const sign = offset < 0 ? '-' : '+';
+  const minutes = Math.abs(offset) / 60000;
+  return `${local}${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// Resolve a Google start/end object to an instant. Date-times without an offset are wall-clock
+// times in the event's time zone; all-day dates start at midnight in that zone.
+const toInstant = (eventTime, defaultTimeZone = 'America/Los_Angeles') => {
+  const timeZone = eventTime.timeZone || defaultTimeZone;
+  if (eventTime.date) {
+    return zonedTimeToUtc(eventTime.date, '00:00', timeZone);
+  }
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(eventTime.dateTime)) {
+    return new Date(eventTime.dateTime);
+  }
+  const [date, time] = eventTime.dateTime.split('T');
+  return zonedTimeToUtc(date, time.slice(0, 8), timeZone);
+};
+
+module.exports = {
+  DATE_ONLY_PATTERN,
+  isDateOnly,
+  addDays,
+  getTimeZoneOffset,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  formatInTimeZone,
+  toInstant
+};
@@ -0,0 +1,70 @@
+// Database helpers - PostgreSQL when DATABASE_URL is set, JSON files in DATA_DIR otherwise
+const fs = require("node:fs");
+const path = require("node:path");
+const { Pool } = require('pg');
+
+require("dotenv").config();
+
+// Database connection setup
+const pool = process.env.DATABASE_URL
+  ? new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_SSL === 'false' ? false : {
+      rejectUnauthorized: false // Needed for Render.com PostgreSQL
+    }
+  })
+  : null;
+
+// Directory for the file-based fallback stores
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Table definitions registered by the modules that own them
+const schemaStatements = [];
+
+const registerSchema = (sql) => {
+  schemaStatements.push(sql);
+};
+
+// Create tables (or the data directory when running without a database)
+const initDatabase = async () => {
+  if (!pool) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    console.log(`No DATABASE_URL set - using file storage in ${DATA_DIR}`);
+    return false;
+  }
+
+  for (const sql of schemaStatements) {
+    await pool.query(sql);
+  }
+  console.log('Database schema is up to date');
+  return true;
+};
+
+// Read a JSON store from DATA_DIR, returning the fallback when it doesn't exist yet
+const readJsonStore = (name, fallback) => {
+  const filePath = path.join(DATA_DIR, `${name}.json`);
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+};
+
+// Write a JSON store atomically so a crash never leaves a half-written file
+const writeJsonStore = (name, data) => {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const filePath = path.join(DATA_DIR, `${name}.json`);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+};
+
+module.exports = {
+  pool,
+  DATA_DIR,
+  registerSchema,
+  initDatabase,
+  readJsonStore,
+  writeJsonStore
+};
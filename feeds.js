@@ -0,0 +1,187 @@
+// Subscription feed tokens. Each token gives read-only access to one calendar as an .ics feed
+// (/feeds/<token>.ics) and can be revoked. Only a hash of the token is stored; the token itself
+// is shown once, when it is issued.
+// Backed by the feed_tokens table, or by data/feed-tokens.json without a database.
+const crypto = require("node:crypto");
+const { pool, registerSchema, readJsonStore, writeJsonStore } = require('./db');
+
+const STORE_NAME = 'feed-tokens';
+
+registerSchema(`
+  CREATE TABLE IF NOT EXISTS feed_tokens (
+    id TEXT PRIMARY KEY,
+    token_hash TEXT NOT NULL UNIQUE,
+    calendar_id TEXT NOT NULL,
+    label TEXT,
+    free_busy_only BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_accessed_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ
+  )
+`);
+// The signed-in user whose calendar the feed publishes (AUTH_MODE=oauth)
+registerSchema('ALTER TABLE feed_tokens ADD COLUMN IF NOT EXISTS user_id TEXT');
+// The Workspace user the service account acts as to read the calendar (domain-wide delegation)
+registerSchema('ALTER TABLE feed_tokens ADD COLUMN IF NOT EXISTS as_user TEXT');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const toIsoString = (value) => (value ? new Date(value).toISOString() : null);
+
+// Map a database row to the shape used by the rest of the app
+const fromRow = (row) => ({
+  id: row.id,
+  calendarId: row.calendar_id,
+  userId: row.user_id,
+  asUser: row.as_user,
+  label: row.label,
+  freeBusyOnly: row.free_busy_only,
+  createdAt: toIsoString(row.created_at),
+  lastAccessedAt: toIsoString(row.last_accessed_at),
+  revokedAt: toIsoString(row.revoked_at)
+});
+
+// File records carry the hash, which never leaves this module
+const withoutHash = ({ tokenHash, ...feed }) => feed;
+
+const readFeeds = () => readJsonStore(STORE_NAME, []);
+
+// Issue a token for a calendar, optionally one of a signed-in user's calendars or one read as a
+// delegated Workspace user (asUser). Returns the feed and the token (only available now).
+const issueToken = async (calendarId, { label = null, freeBusyOnly = false, userId = null, asUser = null } = {}) => {
+  const id = crypto.randomBytes(8).toString('hex');
+  const token = crypto.randomBytes(24).toString('base64url');
+  const tokenHash = hashToken(token);
+
+  if (pool) {
+    const result = await pool.query(
+      `INSERT INTO feed_tokens (id, token_hash, calendar_id, user_id, as_user, label, free_busy_only)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [id, tokenHash, calendarId, userId, asUser, label, freeBusyOnly]
+    );
+    return { feed: fromRow(result.rows[0]), token };
+  }
+
+  const feed = {
+    id,
+    tokenHash,
+    calendarId,
+    userId,
+    asUser,
+    label,
+    freeBusyOnly,
+    createdAt: new Date().toISOString(),
+    lastAccessedAt: null,
+    revokedAt: null
+  };
+  const feeds = readFeeds();
+  feeds.push(feed);
+  writeJsonStore(STORE_NAME, feeds);
+  return { feed: withoutHash(feed), token };
+};
+
+// Find the active feed for a token, or null when it is unknown or revoked
+const findByToken = async (token) => {
+  const tokenHash = hashToken(token);
+
+  if (pool) {
+    const result = await pool.query(
+      'SELECT * FROM feed_tokens WHERE token_hash = $1 AND revoked_at IS NULL',
+      [tokenHash]
+    );
+    return result.rows.length > 0 ? fromRow(result.rows[0]) : null;
+  }
+
+  const feed = readFeeds().find(candidate => candidate.tokenHash === tokenHash && !candidate.revokedAt);
+  return feed ? withoutHash(feed) : null;
+};
+
+// Record that a feed was fetched
+const touchFeed = async (id) => {
+  if (pool) {
+    await pool.query('UPDATE feed_tokens SET last_accessed_at = NOW() WHERE id = $1', [id]);
+    return;
+  }
+
+  const feeds = readFeeds();
+  const feed = feeds.find(candidate => candidate.id === id);
+  if (!feed) return;
+  feed.lastAccessedAt = new Date().toISOString();
+  writeJsonStore(STORE_NAME, feeds);
+};
+
+// Whether a file-store feed belongs to the user (any feed when no user is given)
+const isOwnedBy = (feed, userId) => !userId || feed.userId === userId;
+
+// Get a feed (including revoked ones) by ID, or null. With a userId, other users' feeds are not found.
+const getFeed = async (id, { userId } = {}) => {
+  if (pool) {
+    const result = await pool.query(
+      'SELECT * FROM feed_tokens WHERE id = $1 AND ($2::text IS NULL OR user_id = $2)',
+      [id, userId || null]
+    );
+    return result.rows.length > 0 ? fromRow(result.rows[0]) : null;
+  }
+
+  const feed = readFeeds().find(candidate => candidate.id === id && isOwnedBy(candidate, userId));
+  return feed ? withoutHash(feed) : null;
+};
+
+// List feeds, newest first, optionally for one calendar or user. Revoked feeds are included on request.
+const listFeeds = async ({ calendarId, includeRevoked = false, userId } = {}) => {
+  if (pool) {
+    const result = await pool.query(
+      `SELECT * FROM feed_tokens
+       WHERE ($1::text IS NULL OR calendar_id = $1) AND ($2::boolean OR revoked_at IS NULL)
+         AND ($3::text IS NULL OR user_id = $3)
+       ORDER BY created_at DESC`,
+      [calendarId || null, includeRevoked, userId || null]
+    );
+    return result.rows.map(fromRow);
+  }
+
+  return readFeeds()
+    .filter(feed => (!calendarId || feed.calendarId === calendarId) && (includeRevoked || !feed.revokedAt) &&
+      isOwnedBy(feed, userId))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(withoutHash);
+};
+
+// Revoke a feed. Returns { feed } on success, or { error: 'not_found' | 'already_revoked', feed }.
+// With a userId, other users' feeds are not found.
+const revokeFeed = async (id, { userId } = {}) => {
+  if (pool) {
+    const result = await pool.query(
+      `UPDATE feed_tokens SET revoked_at = NOW()
+       WHERE id = $1 AND revoked_at IS NULL AND ($2::text IS NULL OR user_id = $2)
+       RETURNING *`,
+      [id, userId || null]
+    );
+    if (result.rows.length > 0) return { feed: fromRow(result.rows[0]) };
+
+    const existing = await pool.query(
+      'SELECT * FROM feed_tokens WHERE id = $1 AND ($2::text IS NULL OR user_id = $2)',
+      [id, userId || null]
+    );
+    return existing.rows.length > 0
+      ? { error: 'already_revoked', feed: fromRow(existing.rows[0]) }
+      : { error: 'not_found', feed: null };
+  }
+
+  const feeds = readFeeds();
+  const feed = feeds.find(candidate => candidate.id === id && isOwnedBy(candidate, userId));
+  if (!feed) return { error: 'not_found', feed: null };
+  if (feed.revokedAt) return { error: 'already_revoked', feed: withoutHash(feed) };
+  feed.revokedAt = new Date().toISOString();
+  writeJsonStore(STORE_NAME, feeds);
+  return { feed: withoutHash(feed) };
+};
+
+module.exports = {
+  issueToken,
+  findByToken,
+  touchFeed,
+  getFeed,
+  listFeeds,
+  revokeFeed
+};
@@ -0,0 +1,213 @@
+// Google Calendar provider - the calendar-provider interface on top of the googleapis client
+const fs = require("node:fs");
+const path = require("node:path");
+const { google } = require("googleapis");
+const { createProviderError } = require('./calendar-provider');
+const { createTokenBucket } = require('./rate-limit');
+
+const CALENDAR_SCOPES = [
+  'https://www.googleapis.com/auth/calendar',
+  'https://www.googleapis.com/auth/calendar.events'
+];
+
+// Service account credentials, read from the key file the first time they are needed
+let serviceAccountCredentials = null;
+
+const loadServiceAccountCredentials = () => {
+  if (serviceAccountCredentials) return serviceAccountCredentials;
+
+  const keyFilePath = process.env.GOOGLE_SERVICE_ACCOUNT_KEY_PATH || path.join(__dirname, 'service-account-key.json');
+  try {
+    serviceAccountCredentials = JSON.parse(fs.readFileSync(keyFilePath, 'utf8'));
+    console.log('Successfully loaded credentials from file');
+    return serviceAccountCredentials;
+  } catch (readError) {
+    console.error('Error reading key file:', readError);
+    throw new Error('Could not read service account key file');
+  }
+};
+
+// Auth clients by subject ('' for the service account itself). A client caches its access
+// token, so reusing it saves a token request as well as re-reading the key file.
+const serviceAccountAuths = new Map();
+
+// Consolidated service account authentication. With a subject the service account acts as that
+// Workspace user (domain-wide delegation), which Google requires for their primary calendar
+// and for inviting attendees.
+const getServiceAccountAuth = ({ subject } = {}) => {
+  const cacheKey = subject || '';
+  if (serviceAccountAuths.has(cacheKey)) return serviceAccountAuths.get(cacheKey);
+
+  try {
+    const credentials = loadServiceAccountCredentials();
+
+    // Create auth client directly with credentials
+    const auth = new google.auth.JWT(
+      credentials.client_email || credentials.web?.client_email,
+      null,
+      credentials.private_key || credentials.web?.private_key,
+      CALENDAR_SCOPES,
+      subject
+    );
+
+    serviceAccountAuths.set(cacheKey, auth);
+    return auth;
+  } catch (error) {
+    console.error('Error initializing service account auth:', error);
+    throw error;
+  }
+};
+
+// Scopes requested when users sign in with their own Google account (AUTH_MODE=oauth)
+const USER_SCOPES = ['openid', 'email', ...CALENDAR_SCOPES];
+
+// OAuth client for user sign-in, configured with GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET
+const createOAuthClient = (redirectUri) => new google.auth.OAuth2(
+  process.env.GOOGLE_CLIENT_ID,
+  process.env.GOOGLE_CLIENT_SECRET,
+  redirectUri
+);
+
+// URL of Google's consent screen. access_type=offline with prompt=consent makes Google return
+// a refresh token, so requests keep working after the first access token expires.
+const getGoogleAuthUrl = (redirectUri, state) => createOAuthClient(redirectUri).generateAuthUrl({
+  access_type: 'offline',
+  prompt: 'consent',
+  scope: USER_SCOPES,
+  state
+});
+
+// Exchange the code from Google's consent screen. Returns the tokens (without the ID token)
+// and the user's Google account ID and email from the verified ID token.
+const exchangeGoogleCode = async (code, redirectUri) => {
+  const client = createOAuthClient(redirectUri);
+  const { tokens } = await client.getToken(code);
+  const ticket = await client.verifyIdToken({ idToken: tokens.id_token, audience: process.env.GOOGLE_CLIENT_ID });
+  const { sub, email } = ticket.getPayload();
+  const { id_token, ...googleTokens } = tokens;
+  return { googleTokens, googleUserId: sub, email };
+};
+
+// Auth for a signed-in user's stored tokens. Expired access tokens are refreshed automatically;
+// onTokens receives each refreshed set so it can be saved.
+const getUserAuth = (googleTokens, onTokens) => {
+  const auth = createOAuthClient();
+  auth.setCredentials(googleTokens);
+  if (onTokens) {
+    auth.on('tokens', ({ id_token, ...tokens }) => onTokens(tokens));
+  }
+  return auth;
+};
+
+// One bucket for every Google call (service account and signed-in users alike), kept below the
+// project's quota. Calls wait up to GOOGLE_MAX_WAIT_MS for a token and are shed after that.
+const googleQuota = createTokenBucket({
+  capacity: Number(process.env.GOOGLE_RATE_LIMIT_BURST) || 20,
+  ratePerSecond: Number(process.env.GOOGLE_RATE_LIMIT_PER_SECOND) || 10,
+  maxWaitMs: Number(process.env.GOOGLE_MAX_WAIT_MS) || 10000
+});
+const RATE_LIMIT_BACKOFF_MS = 5000;
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded', 'quotaExceeded'];
+
+// Google reports rate limits as 429, or as 403 with a rate limit reason
+const isRateLimitError = (error) => error.code === 429 ||
+  (error.code === 403 && (error.errors || []).some(({ reason }) => RATE_LIMIT_REASONS.includes(reason)));
+
+// Run a Google call through the shared bucket. Rate limit errors (shed here or reported by
+// Google) are thrown with code 429 and retryAfter in seconds; Google's also pause the bucket.
+const withQuota = async (request) => {
+  if (!(await googleQuota.take())) {
+    const error = createProviderError(429, 'Too many Google Calendar requests in flight');
+    error.retryAfter = googleQuota.retryAfterSeconds();
+    throw error;
+  }
+
+  try {
+    return await request();
+  } catch (error) {
+    if (!isRateLimitError(error)) throw error;
+
+    const retryAfterMs = (Number(error.response?.headers?.['retry-after']) * 1000) || RATE_LIMIT_BACKOFF_MS;
+    console.warn(`Google Calendar rate limit exceeded - pausing calls for ${retryAfterMs}ms`);
+    googleQuota.pause(retryAfterMs);
+    const rateLimitError = createProviderError(429, 'Google Calendar rate limit exceeded');
+    rateLimitError.retryAfter = Math.ceil(retryAfterMs / 1000);
+    throw rateLimitError;
+  }
+};
+
+// Create a provider for one set of credentials (the service account unless `auth` is given,
+// acting as the `subject` user when one is given)
+const createGoogleProvider = ({ auth, subject } = {}) => {
+  const calendar = google.calendar({ version: 'v3', auth: auth || getServiceAccountAuth({ subject }) });
+
+  return {
+    name: 'google',
+
+    insertEvent: async (calendarId, event, options = {}) => {
+      const response = await withQuota(() => calendar.events.insert({ calendarId, resource: event, ...options }));
+      return response.data;
+    },
+
+    listEvents: async (calendarId, params = {}) => {
+      const response = await withQuota(() => calendar.events.list({ calendarId, ...params }));
+      return { items: response.data.items || [], nextPageToken: response.data.nextPageToken };
+    },
+
+    getEvent: async (calendarId, eventId) => {
+      const response = await withQuota(() => calendar.events.get({ calendarId, eventId }));
+      return response.data;
+    },
+
+    patchEvent: async (calendarId, eventId, changes, options = {}) => {
+      const response = await withQuota(() => calendar.events.patch({ calendarId, eventId, resource: changes, ...options }));
+      return response.data;
+    },
+
+    deleteEvent: async (calendarId, eventId, options = {}) => {
+      await withQuota(() => calendar.events.delete({ calendarId, eventId, ...options }));
+    },
+
+    moveEvent: async (calendarId, eventId, destinationCalendarId, options = {}) => {
+      const response = await withQuota(() => calendar.events.move({ calendarId, eventId, destination: destinationCalendarId, ...options }));
+      return response.data;
+    },
+
+    listInstances: async (calendarId, eventId, params = {}) => {
+      const response = await withQuota(() => calendar.events.instances({ calendarId, eventId, ...params }));
+      return { items: response.data.items || [], nextPageToken: response.data.nextPageToken };
+    },
+
+    getCalendar: async (calendarId) => {
+      const response = await withQuota(() => calendar.calendars.get({ calendarId }));
+      return response.data;
+    },
+
+    listCalendars: async () => {
+      const response = await withQuota(() => calendar.calendarList.list());
+      return response.data.items || [];
+    },
+
+    queryFreeBusy: async ({ timeMin, timeMax, timeZone, calendarIds }) => {
+      const response = await withQuota(() => calendar.freebusy.query({
+        resource: {
+          timeMin,
+          timeMax,
+          timeZone,
+          items: calendarIds.map(id => ({ id }))
+        }
+      }));
+      return response.data.calendars || {};
+    }
+  };
+};
+
+module.exports = {
+  CALENDAR_SCOPES,
+  USER_SCOPES,
+  getServiceAccountAuth,
+  getGoogleAuthUrl,
+  exchangeGoogleCode,
+  getUserAuth,
+  createGoogleProvider
+};
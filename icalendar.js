@@ -0,0 +1,463 @@
+// iCalendar (RFC 5545) conversion between Google-shaped events and VCALENDAR/VEVENT text.
+// Used by the CalDAV provider and the .ics export; events keep Google's shape (start/end with dateTime or date,
+// recurrence lines, attendees, reminders) so routes don't care where they came from.
+const { getTimeZoneOffset, isValidTimeZone, formatInTimeZone, toInstant } = require('./dates');
+const { toICalUtc } = require('./recurrence');
+
+const PRODUCT_ID = '-//gpt-to-calendar//EN';
+
+// Attendee PARTSTAT <-> Google responseStatus
+const PARTSTAT_TO_RESPONSE = {
+  'NEEDS-ACTION': 'needsAction',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  TENTATIVE: 'tentative'
+};
+const RESPONSE_TO_PARTSTAT = Object.fromEntries(Object.entries(PARTSTAT_TO_RESPONSE).map(([partstat, response]) => [response, partstat]));
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, character) => (character.toLowerCase() === 'n' ? '\n' : character));
+
+// Quote parameter values that contain separators
+const formatParam = (value) => (/[;:,]/.test(value) ? `"${String(value).replace(/"/g, '')}"` : value);
+
+// Fold a content line at 75 octets, without splitting multi-byte characters
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const character of line) {
+    const bytes = Buffer.byteLength(character);
+    const limit = parts.length === 0 ? 75 : 74; // Continuation lines start with a space
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += character;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// Split a content line into { name, params, value }, honouring quoted parameter values
+const parseContentLine = (line) => {
+  let index = 0;
+  let inQuotes = false;
+  const segments = [];
+  let current = '';
+
+  for (; index < line.length; index++) {
+    const character = line[index];
+    if (character === '"') {
+      inQuotes = !inQuotes;
+      continue;
+    }
+    if (!inQuotes && (character === ';' || character === ':')) {
+      segments.push(current);
+      current = '';
+      if (character === ':') break;
+      continue;
+    }
+    current += character;
+  }
+
+  const [name, ...paramSegments] = segments;
+  const params = {};
+  for (const segment of paramSegments) {
+    const separator = segment.indexOf('=');
+    if (separator === -1) continue;
+    params[segment.slice(0, separator).toUpperCase()] = segment.slice(separator + 1);
+  }
+  return { name: (name || '').toUpperCase(), params, value: line.slice(index + 1) };
+};
+
+// Parse iCalendar text into a tree of { type, properties, components }
+const parseComponents = (text) => {
+  const root = { type: 'ROOT', properties: [], components: [] };
+  const stack = [root];
+
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const property = parseContentLine(line);
+    const current = stack[stack.length - 1];
+
+    if (property.name === 'BEGIN') {
+      const component = { type: property.value.toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      current.properties.push(property);
+    }
+  }
+  return root.components;
+};
+
+const getProperty = (component, name) => component.properties.find(property => property.name === name);
+
+const getProperties = (component, name) => component.properties.filter(property => property.name === name);
+
+// DATE or DATE-TIME property -> Google start/end object
+const toEventTime = (property, defaultTimeZone) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(property.value.trim());
+  if (!match) return null;
+
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  if (!match[4] || property.params.VALUE === 'DATE') return { date };
+
+  const dateTime = `${date}T${match[4]}:${match[5]}:${match[6]}`;
+  if (match[7]) return { dateTime: `${dateTime}Z` };
+
+  // Unknown TZIDs (e.g. Windows zone names) and floating times use the default zone
+  const tzid = property.params.TZID?.replace(/^\//, '');
+  return { dateTime, timeZone: tzid && isValidTimeZone(tzid) ? tzid : defaultTimeZone };
+};
+
+// Google start/end object -> property line, e.g. DTSTART;TZID=Europe/Paris:20250101T090000
+const formatEventTime = (name, time) => {
+  if (time.date) return `${name};VALUE=DATE:${time.date.replace(/-/g, '')}`;
+
+  const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(time.dateTime);
+  if (time.timeZone) {
+    const local = hasOffset
+      ? formatInTimeZone(new Date(time.dateTime), time.timeZone).slice(0, 19)
+      : time.dateTime.slice(0, 19);
+    return `${name};TZID=${time.timeZone}:${local.replace(/[-:]/g, '')}`;
+  }
+  return `${name}:${toICalUtc(toInstant(time))}`;
+};
+
+// ISO 8601 duration (P1DT2H, PT30M, P1W) -> milliseconds
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+// Add a duration to a start time, keeping its form (all-day, zoned or UTC)
+const addDuration = (start, ms) => {
+  if (start.date) {
+    const end = new Date(new Date(`${start.date}T00:00:00Z`).getTime() + ms);
+    return { date: end.toISOString().slice(0, 10) };
+  }
+  const end = new Date(toInstant(start).getTime() + ms);
+  return start.timeZone
+    ? { dateTime: formatInTimeZone(end, start.timeZone).slice(0, 19), timeZone: start.timeZone }
+    : { dateTime: end.toISOString().replace(/\.\d{3}/, '') };
+};
+
+// Format a DATE-TIME property value as an ISO string
+const toIsoTimestamp = (property) => {
+  if (!property) return undefined;
+  const time = toEventTime(property, 'UTC');
+  return time?.dateTime ? toInstant(time).toISOString() : undefined;
+};
+
+const stripMailto = (value) => value.replace(/^mailto:/i, '');
+
+// VEVENT component -> Google-shaped event. Exceptions to a series carry originalStartTime.
+const fromVEvent = (component, defaultTimeZone) => {
+  const text = (name) => {
+    const property = getProperty(component, name);
+    return property ? unescapeText(property.value) : undefined;
+  };
+
+  const dtstart = getProperty(component, 'DTSTART');
+  const start = dtstart && toEventTime(dtstart, defaultTimeZone);
+  if (!start) return null;
+
+  const dtend = getProperty(component, 'DTEND') || getProperty(component, 'DUE');
+  const duration = getProperty(component, 'DURATION');
+  let end = dtend && toEventTime(dtend, defaultTimeZone);
+  if (!end) {
+    const durationMs = duration ? parseDuration(duration.value) : null;
+    // Without an end, all-day events last one day and timed events are instantaneous
+    end = addDuration(start, durationMs !== null ? durationMs : (start.date ? 86400000 : 0));
+  }
+
+  const event = {
+    iCalUID: text('UID'),
+    summary: text('SUMMARY'),
+    description: text('DESCRIPTION'),
+    location: text('LOCATION'),
+    start,
+    end,
+    status: (text('STATUS') || 'CONFIRMED').toLowerCase()
+  };
+
+  const recurrence = component.properties
+    .filter(property => ['RRULE', 'RDATE', 'EXDATE'].includes(property.name))
+    .map(property => {
+      const params = Object.entries(property.params).map(([key, value]) => `;${key}=${value}`).join('');
+      return `${property.name}${params}:${property.value}`;
+    });
+  if (recurrence.length > 0) event.recurrence = recurrence;
+
+  const recurrenceId = getProperty(component, 'RECURRENCE-ID');
+  if (recurrenceId) event.originalStartTime = toEventTime(recurrenceId, defaultTimeZone);
+
+  if (text('TRANSP') === 'TRANSPARENT') event.transparency = 'transparent';
+
+  const organizer = getProperty(component, 'ORGANIZER');
+  if (organizer) {
+    event.organizer = { email: stripMailto(organizer.value), displayName: organizer.params.CN };
+  }
+
+  const attendees = getProperties(component, 'ATTENDEE').map(attendee => ({
+    email: stripMailto(attendee.value),
+    displayName: attendee.params.CN,
+    responseStatus: PARTSTAT_TO_RESPONSE[attendee.params.PARTSTAT] || 'needsAction',
+    optional: attendee.params.ROLE === 'OPT-PARTICIPANT' || undefined
+  }));
+  if (attendees.length > 0) event.attendees = attendees;
+
+  const alarms = component.components
+    .filter(alarm => alarm.type === 'VALARM')
+    .map(alarm => {
+      const trigger = getProperty(alarm, 'TRIGGER');
+      const offset = trigger ? parseDuration(trigger.value) : null;
+      if (offset === null || offset > 0) return null;
+      return {
+        method: getProperty(alarm, 'ACTION')?.value === 'EMAIL' ? 'email' : 'popup',
+        minutes: Math.round(-offset / 60000)
+      };
+    })
+    .filter(Boolean);
+  event.reminders = alarms.length > 0 ? { useDefault: false, overrides: alarms } : { useDefault: true };
+
+  const sequence = Number(getProperty(component, 'SEQUENCE')?.value);
+  if (Number.isInteger(sequence)) event.sequence = sequence;
+  event.created = toIsoTimestamp(getProperty(component, 'CREATED'));
+  event.updated = toIsoTimestamp(getProperty(component, 'LAST-MODIFIED') || getProperty(component, 'DTSTAMP'));
+
+  // Drop fields the calendar didn't set
+  for (const key of Object.keys(event)) {
+    if (event[key] === undefined) delete event[key];
+  }
+  for (const attendee of event.attendees || []) {
+    for (const key of Object.keys(attendee)) {
+      if (attendee[key] === undefined) delete attendee[key];
+    }
+  }
+  return event;
+};
+
+// Parse an iCalendar document. Returns the calendar name and time zone (if set) and its events.
+const parseICalendar = (text, { defaultTimeZone = 'UTC' } = {}) => {
+  const calendars = parseComponents(text).filter(component => component.type === 'VCALENDAR');
+  const result = { name: undefined, timeZone: undefined, events: [] };
+
+  for (const calendar of calendars) {
+    const name = getProperty(calendar, 'X-WR-CALNAME');
+    const timeZone = getProperty(calendar, 'X-WR-TIMEZONE');
+    if (name && !result.name) result.name = unescapeText(name.value);
+    if (timeZone && !result.timeZone && isValidTimeZone(timeZone.value)) result.timeZone = timeZone.value;
+
+    for (const component of calendar.components) {
+      if (component.type !== 'VEVENT') continue;
+      const event = fromVEvent(component, result.timeZone || defaultTimeZone);
+      if (event) result.events.push(event);
+    }
+  }
+  return result;
+};
+
+// Google-shaped event -> VEVENT lines
+const toVEventLines = (event, { dtstamp = new Date() } = {}) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.iCalUID || event.id}`,
+    // Without a METHOD, DTSTAMP is the last modification, which keeps unchanged output stable
+    `DTSTAMP:${toICalUtc(event.updated ? new Date(event.updated) : dtstamp)}`,
+    formatEventTime('DTSTART', event.start),
+    formatEventTime('DTEND', event.end)
+  ];
+
+  if (event.originalStartTime) lines.push(formatEventTime('RECURRENCE-ID', event.originalStartTime));
+  if (event.summary) lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  for (const line of event.recurrence || []) lines.push(line);
+
+  if (event.status && event.status !== 'confirmed') lines.push(`STATUS:${event.status.toUpperCase()}`);
+  if (event.transparency === 'transparent') lines.push('TRANSP:TRANSPARENT');
+  if (Number.isInteger(event.sequence)) lines.push(`SEQUENCE:${event.sequence}`);
+  if (event.created) lines.push(`CREATED:${toICalUtc(new Date(event.created))}`);
+  if (event.updated) lines.push(`LAST-MODIFIED:${toICalUtc(new Date(event.updated))}`);
+
+  if (event.organizer?.email) {
+    const name = event.organizer.displayName ? `;CN=${formatParam(event.organizer.displayName)}` : '';
+    lines.push(`ORGANIZER${name}:mailto:${event.organizer.email}`);
+  }
+  for (const attendee of event.attendees || []) {
+    const params = [
+      attendee.displayName ? `CN=${formatParam(attendee.displayName)}` : null,
+      `ROLE=${attendee.optional ? 'OPT-PARTICIPANT' : 'REQ-PARTICIPANT'}`,
+      `PARTSTAT=${RESPONSE_TO_PARTSTAT[attendee.responseStatus] || 'NEEDS-ACTION'}`,
+      'RSVP=TRUE'
+    ].filter(Boolean);
+    lines.push(`ATTENDEE;${params.join(';')}:mailto:${attendee.email}`);
+  }
+
+  for (const reminder of event.reminders?.overrides || []) {
+    lines.push(
+      'BEGIN:VALARM',
+      `ACTION:${reminder.method === 'email' ? 'EMAIL' : 'DISPLAY'}`,
+      `DESCRIPTION:${escapeText(event.summary || 'Reminder')}`,
+      `TRIGGER:-PT${Number(reminder.minutes) || 0}M`
+    );
+    if (reminder.method === 'email' && event.organizer?.email) {
+      lines.push(`SUMMARY:${escapeText(event.summary || 'Reminder')}`, `ATTENDEE:mailto:${event.organizer.email}`);
+    }
+    lines.push('END:VALARM');
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// EXDATE line for one occurrence, in the same form as the series' DTSTART
+const toExdateLine = (master, originalStartTime) => {
+  if (master.start.date) return `EXDATE;VALUE=DATE:${(originalStartTime.date || originalStartTime.dateTime).slice(0, 10).replace(/-/g, '')}`;
+
+  const instant = toInstant(originalStartTime, master.start.timeZone);
+  if (master.start.timeZone) {
+    return `EXDATE;TZID=${master.start.timeZone}:${formatInTimeZone(instant, master.start.timeZone).slice(0, 19).replace(/[-:]/g, '')}`;
+  }
+  return `EXDATE:${toICalUtc(instant)}`;
+};
+
+// Prepare events listed without singleEvents (series, exceptions and cancelled instances)
+// for a VCALENDAR: cancelled instances become EXDATEs on their series, other cancelled
+// events are dropped, and exceptions are kept so they are written with a RECURRENCE-ID.
+const toExportableEvents = (events) => {
+  const series = new Map(events.filter(event => event.recurrence).map(event => [event.id, { ...event, recurrence: [...event.recurrence] }]));
+  const exportable = [];
+
+  for (const event of events) {
+    if (series.has(event.id)) {
+      exportable.push(series.get(event.id));
+      continue;
+    }
+    const master = event.recurringEventId && series.get(event.recurringEventId);
+    if (event.status === 'cancelled') {
+      if (master && event.originalStartTime) master.recurrence.push(toExdateLine(master, event.originalStartTime));
+      continue;
+    }
+    // Exceptions whose series isn't exported are written as standalone events
+    exportable.push(master || !event.recurringEventId
+      ? event
+      : { ...event, iCalUID: event.id, originalStartTime: undefined, recurringEventId: undefined });
+  }
+  return exportable;
+};
+
+const formatUtcOffset = (ms) => {
+  const minutes = Math.abs(ms) / 60000;
+  return `${ms < 0 ? '-' : '+'}${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// Find the instants in a year where a time zone's UTC offset changes (minute precision)
+const findOffsetTransitions = (timeZone, year) => {
+  const offsetAt = (ms) => getTimeZoneOffset(new Date(ms), timeZone);
+  const transitions = [];
+  const yearStart = Date.UTC(year, 0, 1);
+  let previous = offsetAt(yearStart);
+
+  for (let day = 1; day <= 366; day++) {
+    const dayEnd = yearStart + day * 86400000;
+    const offset = offsetAt(dayEnd);
+    if (offset === previous) continue;
+
+    let low = dayEnd - 86400000;
+    let high = dayEnd;
+    while (high - low > 60000) {
+      const middle = low + Math.floor((high - low) / 120000) * 60000;
+      if (offsetAt(middle) === previous) low = middle;
+      else high = middle;
+    }
+    transitions.push({ at: high, from: previous, to: offset });
+    previous = offset;
+  }
+  return transitions;
+};
+
+// Build a VTIMEZONE for an IANA zone from the rules in effect in the given year. Transitions
+// are written as yearly "nth weekday of the month" rules, which covers the zones in use today.
+const toVTimeZoneLines = (timeZone, year) => {
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  const transitions = findOffsetTransitions(timeZone, year);
+
+  if (transitions.length === 0) {
+    const offset = formatUtcOffset(getTimeZoneOffset(new Date(Date.UTC(year, 0, 1)), timeZone));
+    lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+  }
+
+  for (const { at, from, to } of transitions) {
+    // Transitions are expressed in the local time before the change
+    const local = new Date(at + from);
+    const dayOfMonth = local.getUTCDate();
+    const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+    const ordinal = dayOfMonth + 7 > daysInMonth ? -1 : Math.ceil(dayOfMonth / 7);
+    const weekday = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'][local.getUTCDay()];
+    const type = to > from ? 'DAYLIGHT' : 'STANDARD';
+
+    lines.push(
+      `BEGIN:${type}`,
+      `DTSTART:${local.toISOString().slice(0, 19).replace(/[-:]/g, '')}`,
+      `RRULE:FREQ=YEARLY;BYMONTH=${local.getUTCMonth() + 1};BYDAY=${ordinal}${weekday}`,
+      `TZOFFSETFROM:${formatUtcOffset(from)}`,
+      `TZOFFSETTO:${formatUtcOffset(to)}`,
+      `END:${type}`
+    );
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+// Build a VCALENDAR document for the given events, with a VTIMEZONE for every TZID used
+const buildICalendar = (events, { name, timeZone, method } = {}) => {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN'];
+  if (method) lines.push(`METHOD:${method}`);
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (timeZone) lines.push(`X-WR-TIMEZONE:${timeZone}`);
+
+  // Earliest year each zone is used in, so the VTIMEZONE covers the events
+  const zoneYears = new Map();
+  for (const event of events) {
+    for (const time of [event.start, event.end, event.originalStartTime]) {
+      if (!time?.timeZone || time.date) continue;
+      const year = Number((time.dateTime || '').slice(0, 4)) || new Date().getUTCFullYear();
+      zoneYears.set(time.timeZone, Math.min(zoneYears.get(time.timeZone) || year, year));
+    }
+  }
+  for (const [zone, year] of zoneYears) lines.push(...toVTimeZoneLines(zone, year));
+
+  const dtstamp = new Date();
+  for (const event of events) lines.push(...toVEventLines(event, { dtstamp }));
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeText,
+  unescapeText,
+  parseICalendar,
+  buildICalendar,
+  toVEventLines,
+  toExdateLine,
+  toExportableEvents
+};
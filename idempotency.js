@@ -0,0 +1,219 @@
+// Idempotency keys for mutating routes. The first response for a key is stored for
+// IDEMPOTENCY_TTL_HOURS and replayed for repeats, so ChatGPT retries don't create duplicates.
+// Backed by the idempotency_keys table, or by data/idempotency-keys.json without a database.
+const crypto = require("node:crypto");
+const { pool, registerSchema, readJsonStore, writeJsonStore } = require('./db');
+
+const TTL_MS = (Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const IN_PROGRESS_TIMEOUT_MS = 5 * 60 * 1000; // Reservations left behind by a crashed request
+const MAX_KEY_LENGTH = 255;
+
+const STORE_NAME = 'idempotency-keys';
+
+registerSchema(`
+  CREATE TABLE IF NOT EXISTS idempotency_keys (
+    idempotency_key TEXT NOT NULL,
+    route TEXT NOT NULL,
+    request_hash TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'in_progress',
+    response_status INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    PRIMARY KEY (idempotency_key, route)
+  )
+`);
+
+// JSON with sorted object keys, so the same payload always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (body) => {
+  const { idempotencyKey, ...payload } = body || {};
+  return crypto.createHash('sha256').update(stableStringify(payload)).digest('hex');
+};
+
+// Google event IDs use base32hex characters (0-9, a-v); a hex digest is a valid subset
+const toGoogleEventId = (idempotencyKey) => crypto.createHash('sha256').update(`idempotency:${idempotencyKey}`).digest('hex');
+
+const isStale = (record, now = Date.now()) => new Date(record.expiresAt).getTime() < now ||
+  (record.status === 'in_progress' && new Date(record.createdAt).getTime() < now - IN_PROGRESS_TIMEOUT_MS);
+
+// Claim a key for a route. Returns { state: 'new' } when the caller should run the request,
+// 'replay' with the stored response, 'mismatch' when the key was used with another payload,
+// or 'in_progress' while the first request is still running.
+const reserve = async (key, route, requestHash) => {
+  const expiresAt = new Date(Date.now() + TTL_MS);
+  let existing;
+
+  if (pool) {
+    const inserted = await pool.query(
+      `INSERT INTO idempotency_keys (idempotency_key, route, request_hash, expires_at)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (idempotency_key, route) DO UPDATE
+       SET request_hash = EXCLUDED.request_hash,
+           status = 'in_progress',
+           response_status = NULL,
+           response_body = NULL,
+           created_at = NOW(),
+           expires_at = EXCLUDED.expires_at
+       WHERE idempotency_keys.expires_at < NOW()
+          OR (idempotency_keys.status = 'in_progress'
+              AND idempotency_keys.created_at < NOW() - ($5::int * INTERVAL '1 millisecond'))
+       RETURNING idempotency_key`,
+      [key, route, requestHash, expiresAt, IN_PROGRESS_TIMEOUT_MS]
+    );
+    if (inserted.rows.length > 0) return { state: 'new' };
+
+    const result = await pool.query(
+      'SELECT * FROM idempotency_keys WHERE idempotency_key = $1 AND route = $2',
+      [key, route]
+    );
+    const row = result.rows[0];
+    existing = {
+      requestHash: row.request_hash,
+      status: row.status,
+      responseStatus: row.response_status,
+      responseBody: row.response_body
+    };
+  } else {
+    const records = readJsonStore(STORE_NAME, {});
+    const recordKey = `${route} ${key}`;
+    existing = records[recordKey];
+
+    if (!existing || isStale(existing)) {
+      records[recordKey] = {
+        requestHash,
+        status: 'in_progress',
+        responseStatus: null,
+        responseBody: null,
+        createdAt: new Date().toISOString(),
+        expiresAt: expiresAt.toISOString()
+      };
+      writeJsonStore(STORE_NAME, records);
+      return { state: 'new' };
+    }
+  }
+
+  if (existing.requestHash !== requestHash) return { state: 'mismatch' };
+  if (existing.status === 'in_progress') return { state: 'in_progress' };
+  return { state: 'replay', status: existing.responseStatus, body: existing.responseBody };
+};
+
+// Store the response for a reserved key
+const complete = async (key, route, status, body) => {
+  if (pool) {
+    await pool.query(
+      `UPDATE idempotency_keys
+       SET status = 'completed', response_status = $3, response_body = $4
+       WHERE idempotency_key = $1 AND route = $2`,
+      [key, route, status, body]
+    );
+    return;
+  }
+
+  const records = readJsonStore(STORE_NAME, {});
+  const record = records[`${route} ${key}`];
+  if (!record) return;
+  Object.assign(record, { status: 'completed', responseStatus: status, responseBody: body });
+  writeJsonStore(STORE_NAME, records);
+};
+
+// Drop a reservation so the request can be retried (used when the request failed)
+const release = async (key, route) => {
+  if (pool) {
+    await pool.query('DELETE FROM idempotency_keys WHERE idempotency_key = $1 AND route = $2', [key, route]);
+    return;
+  }
+
+  const records = readJsonStore(STORE_NAME, {});
+  delete records[`${route} ${key}`];
+  writeJsonStore(STORE_NAME, records);
+};
+
+// Remove expired keys
+const purgeExpired = async () => {
+  if (pool) {
+    const result = await pool.query('DELETE FROM idempotency_keys WHERE expires_at < NOW()');
+    return result.rowCount;
+  }
+
+  const records = readJsonStore(STORE_NAME, {});
+  const now = Date.now();
+  const expired = Object.keys(records).filter(recordKey => new Date(records[recordKey].expiresAt).getTime() < now);
+  if (expired.length === 0) return 0;
+  for (const recordKey of expired) delete records[recordKey];
+  writeJsonStore(STORE_NAME, records);
+  return expired.length;
+};
+
+// Express middleware for one route. Reads the key from the Idempotency-Key header or the
+// idempotencyKey body field; requests without a key pass straight through. Keys of signed-in
+// users and API keys are scoped to the caller, so two callers can't replay each other's responses.
+const idempotent = (route) => async (req, res, next) => {
+  const clientKey = req.get('Idempotency-Key') || req.body?.idempotencyKey;
+  if (!clientKey) return next();
+
+  if (typeof clientKey !== 'string' || clientKey.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: 'Invalid idempotency key',
+      message: `Idempotency keys must be strings of at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const caller = req.user ? req.user.id : req.apiKey && `key-${req.apiKey.id}`;
+  const key = caller ? `${caller}:${clientKey}` : clientKey;
+
+  try {
+    const reservation = await reserve(key, route, hashRequest(req.body));
+
+    if (reservation.state === 'replay') {
+      console.log(`Replaying stored response for idempotency key ${clientKey} on ${route}`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(reservation.status).json(reservation.body);
+    }
+    if (reservation.state === 'mismatch') {
+      return res.status(422).json({
+        error: 'Idempotency key reused',
+        message: 'This idempotency key was already used with a different request payload'
+      });
+    }
+    if (reservation.state === 'in_progress') {
+      return res.status(409).json({
+        error: 'Request in progress',
+        message: 'A request with this idempotency key is still being processed. Retry shortly.'
+      });
+    }
+  } catch (error) {
+    console.error('Idempotency key lookup failed:', error);
+    return res.status(500).json({
+      error: 'Server error',
+      message: error.message
+    });
+  }
+
+  // Store the response before sending it, so a retry arriving right after sees the result.
+  // Errors release the key instead, so a corrected or retried request is processed for real.
+  req.idempotencyKey = key;
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    const settle = res.statusCode < 300 ? complete(key, route, res.statusCode, body) : release(key, route);
+    settle
+      .catch(error => console.error('Failed to store idempotent response:', error))
+      .finally(() => sendJson(body));
+    return res;
+  };
+
+  return next();
+};
+
+module.exports = {
+  idempotent,
+  toGoogleEventId,
+  purgeExpired
+};
@@ -0,0 +1,276 @@
+// In-memory calendar provider for local development, demos and offline testing of the routes.
+// Mimics the Google Calendar behaviour the routes rely on: instance IDs for recurring events,
+// cancelled events that stay readable, 404/409/410 errors, patch semantics and free/busy.
+// State lives in this process only and is lost on restart.
+const crypto = require("node:crypto");
+const {
+  createProviderError,
+  clone,
+  overlaps,
+  matchesQuery,
+  matchesExtendedProperties,
+  sortByStart,
+  paginate,
+  applyPatch,
+  expandSeries,
+  findInstance,
+  splitInstanceId
+} = require('./calendar-provider');
+const { toInstant } = require('./dates');
+
+// calendarId -> { calendar, events: Map<eventId, event> }
+const calendars = new Map();
+
+const newEtag = () => `"${crypto.randomBytes(8).toString('hex')}"`;
+
+// Google event IDs: base32hex characters, 5 to 1024 long
+const EVENT_ID_PATTERN = /^[a-v0-9]{5,1024}$/;
+
+const ensureCalendar = (calendarId, summary = calendarId) => {
+  if (!calendars.has(calendarId)) {
+    calendars.set(calendarId, {
+      calendar: {
+        kind: 'calendar#calendar',
+        id: calendarId,
+        summary,
+        description: '',
+        timeZone: 'America/Los_Angeles'
+      },
+      events: new Map()
+    });
+  }
+  return calendars.get(calendarId);
+};
+
+const requireCalendar = (calendarId) => {
+  const entry = calendars.get(calendarId);
+  if (!entry) throw createProviderError(404, 'Not Found');
+  return entry;
+};
+
+// Instances of a series, with the exceptions stored under their instance IDs
+const expandInstances = (entry, master, params) => expandSeries(master, id => entry.events.get(id), params);
+
+// Find a stored event, or generate the instance a recurring event ID like "abc_20250101T170000Z" refers to
+const findEvent = (entry, eventId) => {
+  if (entry.events.has(eventId)) return entry.events.get(eventId);
+
+  const instance = splitInstanceId(eventId);
+  const master = instance && entry.events.get(instance.seriesId);
+  return master ? findInstance(master, eventId, id => entry.events.get(id)) : null;
+};
+
+// Stand in for Google creating a Meet link: with conferenceDataVersion 1, a createRequest is
+// answered with a memory:// join link. Removing the conference data removes the link too.
+const resolveConference = (event, options = {}) => {
+  if (!options.conferenceDataVersion) return event;
+  if (event.conferenceData === null) return { ...event, hangoutLink: null };
+
+  const request = event.conferenceData?.createRequest;
+  if (!request || request.status) return event;
+  const conferenceId = crypto.randomBytes(5).toString('hex');
+  const uri = `memory://meet/${conferenceId}`;
+  return {
+    ...event,
+    hangoutLink: uri,
+    conferenceData: {
+      createRequest: { ...request, status: { statusCode: 'success' } },
+      conferenceSolution: { key: { type: request.conferenceSolutionKey.type } },
+      entryPoints: [{ entryPointType: 'video', uri }],
+      conferenceId
+    }
+  };
+};
+
+const touch = (event) => {
+  event.updated = new Date().toISOString();
+  event.etag = newEtag();
+  return event;
+};
+
+// The memory provider. Calendars listed in options.calendars are created on first use.
+const createMemoryProvider = ({ calendars: calendarIds = [] } = {}) => {
+  for (const calendarId of calendarIds) {
+    ensureCalendar(calendarId);
+  }
+
+  return {
+    name: 'memory',
+
+    insertEvent: async (calendarId, newEvent, options) => {
+      const entry = requireCalendar(calendarId);
+      const event = resolveConference(newEvent, options);
+
+      if (!event.start || !event.end || (!event.start.dateTime && !event.start.date)) {
+        throw createProviderError(400, 'Missing time');
+      }
+      if (event.id !== undefined && !EVENT_ID_PATTERN.test(event.id)) {
+        throw createProviderError(400, 'Invalid resource id value.');
+      }
+      const id = event.id || crypto.randomBytes(13).toString('hex');
+      if ([...calendars.values()].some(other => other.events.has(id))) {
+        throw createProviderError(409, 'The requested identifier already exists.');
+      }
+
+      const now = new Date().toISOString();
+      const stored = {
+        kind: 'calendar#event',
+        ...clone(event),
+        id,
+        status: 'confirmed',
+        iCalUID: event.iCalUID || `${id}@memory.local`,
+        htmlLink: `memory://calendars/${encodeURIComponent(calendarId)}/events/${id}`,
+        created: now,
+        updated: now,
+        sequence: 0,
+        etag: newEtag(),
+        creator: { email: 'memory@localhost' },
+        organizer: { email: calendarId, self: true }
+      };
+      entry.events.set(id, stored);
+      return clone(stored);
+    },
+
+    listEvents: async (calendarId, params = {}) => {
+      const entry = requireCalendar(calendarId);
+      const {
+        timeMin,
+        timeMax,
+        singleEvents = false,
+        showDeleted = false,
+        q,
+        iCalUID,
+        maxResults,
+        pageToken,
+        privateExtendedProperty,
+        sharedExtendedProperty
+      } = params;
+
+      const items = [];
+      for (const event of entry.events.values()) {
+        if (iCalUID && event.iCalUID !== iCalUID) continue;
+        // With singleEvents, exceptions are returned through their series
+        if (singleEvents && event.recurringEventId && entry.events.has(event.recurringEventId)) continue;
+
+        if (event.recurrence && singleEvents) {
+          items.push(...expandInstances(entry, event, { timeMin, timeMax, showDeleted })
+            .filter(instance => overlaps(instance, timeMin, timeMax)));
+        } else if ((showDeleted || event.status !== 'cancelled') &&
+            (event.recurrence ? overlaps(event, null, timeMax) : overlaps(event, timeMin, timeMax))) {
+          items.push(event);
+        }
+      }
+
+      const matching = sortByStart(items.filter(event => matchesQuery(event, q) &&
+        matchesExtendedProperties(event, privateExtendedProperty, sharedExtendedProperty)));
+      const page = paginate(matching, maxResults, pageToken);
+      return { items: clone(page.items), nextPageToken: page.nextPageToken };
+    },
+
+    getEvent: async (calendarId, eventId) => {
+      const event = findEvent(requireCalendar(calendarId), eventId);
+      if (!event) throw createProviderError(404, 'Not Found');
+      return clone(event);
+    },
+
+    patchEvent: async (calendarId, eventId, changes, options) => {
+      const entry = requireCalendar(calendarId);
+      const event = findEvent(entry, eventId);
+      if (!event) throw createProviderError(404, 'Not Found');
+
+      const updated = touch(applyPatch(event, resolveConference(changes, options)));
+      updated.id = event.id;
+      updated.sequence = (event.sequence || 0) + 1;
+      entry.events.set(event.id, updated);
+      return clone(updated);
+    },
+
+    deleteEvent: async (calendarId, eventId) => {
+      const entry = requireCalendar(calendarId);
+      const event = findEvent(entry, eventId);
+      if (!event) throw createProviderError(404, 'Not Found');
+      if (event.status === 'cancelled') throw createProviderError(410, 'Resource has been deleted');
+
+      // Deleting an instance stores a cancelled exception, like Google does
+      entry.events.set(event.id, touch({ ...clone(event), status: 'cancelled' }));
+    },
+
+    moveEvent: async (calendarId, eventId, destinationCalendarId) => {
+      const source = requireCalendar(calendarId);
+      const destination = requireCalendar(destinationCalendarId);
+      const event = source.events.get(eventId);
+
+      if (!event || event.status === 'cancelled') throw createProviderError(404, 'Not Found');
+      if (event.recurringEventId) throw createProviderError(400, 'Cannot change the organizer of an instance.');
+
+      // A series moves together with its exceptions
+      for (const [id, stored] of [...source.events.entries()]) {
+        if (id === eventId || stored.recurringEventId === eventId) {
+          source.events.delete(id);
+          destination.events.set(id, touch({
+            ...stored,
+            organizer: { email: destinationCalendarId, self: true },
+            htmlLink: `memory://calendars/${encodeURIComponent(destinationCalendarId)}/events/${id}`
+          }));
+        }
+      }
+      return clone(destination.events.get(eventId));
+    },
+
+    listInstances: async (calendarId, eventId, params = {}) => {
+      const entry = requireCalendar(calendarId);
+      const master = entry.events.get(eventId);
+      if (!master) throw createProviderError(404, 'Not Found');
+
+      const items = master.recurrence
+        ? expandInstances(entry, master, params)
+        : [master];
+      const page = paginate(items, params.maxResults, params.pageToken);
+      return { items: clone(page.items), nextPageToken: page.nextPageToken };
+    },
+
+    getCalendar: async (calendarId) => clone(requireCalendar(calendarId).calendar),
+
+    listCalendars: async () => [...calendars.values()].map(({ calendar }) => ({
+      ...clone(calendar),
+      kind: 'calendar#calendarListEntry',
+      accessRole: 'owner',
+      backgroundColor: '#9fc6e7',
+      foregroundColor: '#000000',
+      selected: true
+    })),
+
+    queryFreeBusy: async ({ timeMin, timeMax, calendarIds }) => {
+      const result = {};
+      for (const calendarId of calendarIds) {
+        const entry = calendars.get(calendarId);
+        if (!entry) {
+          result[calendarId] = { busy: [], errors: [{ domain: 'global', reason: 'notFound' }] };
+          continue;
+        }
+
+        const busy = [];
+        for (const event of entry.events.values()) {
+          if (event.recurringEventId && entry.events.has(event.recurringEventId)) continue;
+          const occurrences = event.recurrence
+            ? expandInstances(entry, event, { timeMin, timeMax })
+            : (event.status === 'cancelled' ? [] : [event]);
+
+          for (const occurrence of occurrences) {
+            if (occurrence.transparency === 'transparent' || !overlaps(occurrence, timeMin, timeMax)) continue;
+            busy.push({
+              start: toInstant(occurrence.start, occurrence.end.timeZone).toISOString(),
+              end: toInstant(occurrence.end, occurrence.start.timeZone).toISOString()
+            });
+          }
+        }
+        result[calendarId] = { busy: busy.sort((a, b) => new Date(a.start) - new Date(b.start)) };
+      }
+      return result;
+    }
+  };
+};
+
+module.exports = {
+  createMemoryProvider
+};
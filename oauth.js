@@ -0,0 +1,236 @@
+// Per-user OAuth mode (AUTH_MODE=oauth). This server is the OAuth provider for the ChatGPT
+// action: users sign in with Google, their Google tokens are stored here, and ChatGPT gets
+// its own access and refresh tokens for calling the API on the user's behalf.
+//
+// Users live in the oauth_users table; authorization requests, codes and tokens live in
+// oauth_grants. Only hashes of codes and tokens are stored. Without a database both are
+// kept in data/oauth-users.json and data/oauth-grants.json.
+const crypto = require("node:crypto");
+const { pool, registerSchema, readJsonStore, writeJsonStore } = require('./db');
+
+const ACCESS_TOKEN_TTL_MS = (Number(process.env.OAUTH_ACCESS_TOKEN_TTL_MINUTES) || 60) * 60 * 1000;
+const REQUEST_TTL_MS = 10 * 60 * 1000; // Time to finish the Google consent screen
+const CODE_TTL_MS = 5 * 60 * 1000; // Authorization codes are exchanged right away
+
+const USERS_STORE = 'oauth-users';
+const GRANTS_STORE = 'oauth-grants';
+
+registerSchema(`
+  CREATE TABLE IF NOT EXISTS oauth_users (
+    user_id TEXT PRIMARY KEY,
+    email TEXT,
+    google_tokens JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  )
+`);
+registerSchema(`
+  CREATE TABLE IF NOT EXISTS oauth_grants (
+    secret_hash TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    user_id TEXT,
+    client_id TEXT NOT NULL,
+    data JSONB NOT NULL DEFAULT '{}',
+    expires_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  )
+`);
+registerSchema('CREATE INDEX IF NOT EXISTS oauth_grants_user_idx ON oauth_grants (user_id)');
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const isExpired = (grant) => grant.expiresAt && new Date(grant.expiresAt).getTime() < Date.now();
+
+const toIsoString = (value) => (value ? new Date(value).toISOString() : null);
+
+const fromUserRow = (row) => ({
+  userId: row.user_id,
+  email: row.email,
+  googleTokens: row.google_tokens,
+  createdAt: toIsoString(row.created_at),
+  updatedAt: toIsoString(row.updated_at)
+});
+
+const fromGrantRow = (row) => ({
+  kind: row.kind,
+  userId: row.user_id,
+  clientId: row.client_id,
+  data: row.data,
+  expiresAt: toIsoString(row.expires_at)
+});
+
+// Store a secret of the given kind ('request', 'code', 'access' or 'refresh'). Returns the secret.
+const createGrant = async (kind, { userId = null, clientId, data = {}, ttlMs = null }) => {
+  const secret = newSecret();
+  const expiresAt = ttlMs ? new Date(Date.now() + ttlMs).toISOString() : null;
+
+  if (pool) {
+    await pool.query(
+      `INSERT INTO oauth_grants (secret_hash, kind, user_id, client_id, data, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [hashSecret(secret), kind, userId, clientId, data, expiresAt]
+    );
+    return secret;
+  }
+
+  const grants = readJsonStore(GRANTS_STORE, {});
+  grants[hashSecret(secret)] = { kind, userId, clientId, data, expiresAt, createdAt: new Date().toISOString() };
+  writeJsonStore(GRANTS_STORE, grants);
+  return secret;
+};
+
+// Look up an unexpired secret of the given kind. With consume, the secret is deleted so it
+// can only be used once.
+const findGrant = async (kind, secret, { consume = false } = {}) => {
+  if (!secret) return null;
+  const secretHash = hashSecret(secret);
+
+  if (pool) {
+    const result = consume
+      ? await pool.query('DELETE FROM oauth_grants WHERE secret_hash = $1 AND kind = $2 RETURNING *', [secretHash, kind])
+      : await pool.query('SELECT * FROM oauth_grants WHERE secret_hash = $1 AND kind = $2', [secretHash, kind]);
+    const grant = result.rows.length > 0 ? fromGrantRow(result.rows[0]) : null;
+    return grant && !isExpired(grant) ? grant : null;
+  }
+
+  const grants = readJsonStore(GRANTS_STORE, {});
+  const grant = grants[secretHash];
+  if (!grant || grant.kind !== kind) return null;
+  if (consume) {
+    delete grants[secretHash];
+    writeJsonStore(GRANTS_STORE, grants);
+  }
+  return isExpired(grant) ? null : grant;
+};
+
+// Remember an authorization request from ChatGPT while the user is on Google's consent screen.
+// Returns the ID passed through Google as the state parameter.
+const createAuthorizationRequest = ({ clientId, redirectUri, state }) =>
+  createGrant('request', { clientId, data: { redirectUri, state }, ttlMs: REQUEST_TTL_MS });
+
+// Take (and forget) the authorization request for a state parameter, or null
+const takeAuthorizationRequest = (requestId) => findGrant('request', requestId, { consume: true });
+
+// Issue a one-time authorization code for a signed-in user
+const issueCode = (userId, clientId, redirectUri) =>
+  createGrant('code', { userId, clientId, data: { redirectUri }, ttlMs: CODE_TTL_MS });
+
+// Redeem an authorization code. Returns the user ID, or null when the code is unknown, expired,
+// already used, or was issued to another client or redirect URI.
+const redeemCode = async (code, clientId, redirectUri) => {
+  const grant = await findGrant('code', code, { consume: true });
+  if (!grant || grant.clientId !== clientId) return null;
+  if (redirectUri && grant.data.redirectUri !== redirectUri) return null;
+  return grant.userId;
+};
+
+// Issue an access token (and a refresh token unless one is being reused) in the OAuth token response format
+const issueTokens = async (userId, clientId, { refreshToken } = {}) => {
+  const accessToken = await createGrant('access', { userId, clientId, ttlMs: ACCESS_TOKEN_TTL_MS });
+  return {
+    access_token: accessToken,
+    token_type: 'bearer',
+    expires_in: Math.floor(ACCESS_TOKEN_TTL_MS / 1000),
+    refresh_token: refreshToken || await createGrant('refresh', { userId, clientId })
+  };
+};
+
+// Issue a new access token for a refresh token. Returns null when the refresh token is
+// unknown, revoked, or belongs to another client.
+const refreshTokens = async (refreshToken, clientId) => {
+  const grant = await findGrant('refresh', refreshToken);
+  if (!grant || grant.clientId !== clientId) return null;
+  return issueTokens(grant.userId, clientId, { refreshToken });
+};
+
+// The user an access token was issued to, or null
+const findUserIdByAccessToken = async (accessToken) => {
+  const grant = await findGrant('access', accessToken);
+  return grant ? grant.userId : null;
+};
+
+// Create or update a user after a Google sign-in. Google only sends a refresh token on the
+// first consent, so an existing one is kept when the new tokens don't include it.
+const saveUser = async ({ userId, email, googleTokens }) => {
+  if (pool) {
+    const result = await pool.query(
+      `INSERT INTO oauth_users (user_id, email, google_tokens) VALUES ($1, $2, $3)
+       ON CONFLICT (user_id) DO UPDATE
+       SET email = EXCLUDED.email,
+           google_tokens = oauth_users.google_tokens || EXCLUDED.google_tokens,
+           updated_at = NOW()
+       RETURNING *`,
+      [userId, email, googleTokens]
+    );
+    return fromUserRow(result.rows[0]);
+  }
+
+  const users = readJsonStore(USERS_STORE, {});
+  const now = new Date().toISOString();
+  const existing = users[userId];
+  users[userId] = {
+    userId,
+    email,
+    googleTokens: { ...(existing?.googleTokens || {}), ...googleTokens },
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+  writeJsonStore(USERS_STORE, users);
+  return users[userId];
+};
+
+const getUser = async (userId) => {
+  if (pool) {
+    const result = await pool.query('SELECT * FROM oauth_users WHERE user_id = $1', [userId]);
+    return result.rows.length > 0 ? fromUserRow(result.rows[0]) : null;
+  }
+  return readJsonStore(USERS_STORE, {})[userId] || null;
+};
+
+// Merge refreshed Google tokens into a user's stored tokens
+const updateGoogleTokens = async (userId, googleTokens) => {
+  if (pool) {
+    await pool.query(
+      `UPDATE oauth_users SET google_tokens = google_tokens || $2, updated_at = NOW() WHERE user_id = $1`,
+      [userId, googleTokens]
+    );
+    return;
+  }
+
+  const users = readJsonStore(USERS_STORE, {});
+  if (!users[userId]) return;
+  users[userId].googleTokens = { ...users[userId].googleTokens, ...googleTokens };
+  users[userId].updatedAt = new Date().toISOString();
+  writeJsonStore(USERS_STORE, users);
+};
+
+// Remove expired requests, codes and access tokens
+const purgeExpired = async () => {
+  if (pool) {
+    const result = await pool.query('DELETE FROM oauth_grants WHERE expires_at < NOW()');
+    return result.rowCount;
+  }
+
+  const grants = readJsonStore(GRANTS_STORE, {});
+  const expired = Object.keys(grants).filter(secretHash => isExpired(grants[secretHash]));
+  if (expired.length === 0) return 0;
+  for (const secretHash of expired) delete grants[secretHash];
+  writeJsonStore(GRANTS_STORE, grants);
+  return expired.length;
+};
+
+module.exports = {
+  createAuthorizationRequest,
+  takeAuthorizationRequest,
+  issueCode,
+  redeemCode,
+  issueTokens,
+  refreshTokens,
+  findUserIdByAccessToken,
+  saveUser,
+  getUser,
+  updateGoogleTokens,
+  purgeExpired
+};
@@ -0,0 +1,290 @@
+// Durable queue of event creations that failed and are retried by the background worker.
+// Backed by the pending_events table, or by data/pending-events.json without a database
+// (the file store is only safe for a single instance).
+const crypto = require("node:crypto");
+const { pool, registerSchema, readJsonStore, writeJsonStore } = require('./db');
+
+// Retry settings
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 60 * 1000; // 1 minute, doubled after every failed attempt
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000; // 1 hour
+const LEASE_MS = 5 * 60 * 1000; // How long a worker may hold an item before others can reclaim it
+
+const STORE_NAME = 'pending-events';
+
+registerSchema(`
+  CREATE TABLE IF NOT EXISTS pending_events (
+    id TEXT PRIMARY KEY,
+    calendar_id TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    locked_until TIMESTAMPTZ,
+    result JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  )
+`);
+registerSchema('CREATE INDEX IF NOT EXISTS pending_events_due_idx ON pending_events (status, next_attempt_at)');
+// The signed-in user the event is created for (AUTH_MODE=oauth); NULL for the service account
+registerSchema('ALTER TABLE pending_events ADD COLUMN IF NOT EXISTS user_id TEXT');
+
+// Delay before the next attempt after the given number of failed attempts
+const getRetryDelay = (attempts) => Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY_MS);
+
+const toIsoString = (value) => (value ? new Date(value).toISOString() : null);
+
+// Map a database row to the shape used by the rest of the app
+const fromRow = (row) => ({
+  id: row.id,
+  calendarId: row.calendar_id,
+  userId: row.user_id,
+  payload: row.payload,
+  status: row.status,
+  attempts: row.attempts,
+  lastError: row.last_error,
+  nextAttemptAt: toIsoString(row.next_attempt_at),
+  lockedUntil: toIsoString(row.locked_until),
+  result: row.result,
+  createdAt: toIsoString(row.created_at),
+  updatedAt: toIsoString(row.updated_at)
+});
+
+const readItems = () => readJsonStore(STORE_NAME, []);
+
+// Add an event to the queue, optionally on behalf of a signed-in user. Returns the queued
+// item and its position among pending items.
+const enqueue = async (calendarId, payload, { userId = null } = {}) => {
+  const id = crypto.randomBytes(16).toString('hex');
+
+  if (pool) {
+    const result = await pool.query(
+      `INSERT INTO pending_events (id, calendar_id, user_id, payload) VALUES ($1, $2, $3, $4) RETURNING *`,
+      [id, calendarId, userId, payload]
+    );
+    const position = await pool.query(
+      `SELECT COUNT(*)::int AS count FROM pending_events WHERE status IN ('pending', 'processing')`
+    );
+    return { item: fromRow(result.rows[0]), position: position.rows[0].count };
+  }
+
+  const now = new Date().toISOString();
+  const item = {
+    id,
+    calendarId,
+    userId,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: now,
+    lockedUntil: null,
+    result: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  const items = readItems();
+  items.push(item);
+  writeJsonStore(STORE_NAME, items);
+  return { item, position: items.filter(queued => ['pending', 'processing'].includes(queued.status)).length };
+};
+
+// Lease up to `limit` items that are due, counting the attempt. Items are locked with
+// SKIP LOCKED so concurrent instances never pick up the same item; leases that expire
+// (a worker crashed mid-attempt) make the item claimable again.
+const claimDue = async (limit = 10) => {
+  if (pool) {
+    const result = await pool.query(
+      `UPDATE pending_events
+       SET status = 'processing',
+           attempts = attempts + 1,
+           locked_until = NOW() + ($2::int * INTERVAL '1 millisecond'),
+           updated_at = NOW()
+       WHERE id IN (
+         SELECT id FROM pending_events
+         WHERE (status = 'pending' AND next_attempt_at <= NOW())
+            OR (status = 'processing' AND locked_until < NOW())
+         ORDER BY next_attempt_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [limit, LEASE_MS]
+    );
+    return result.rows.map(fromRow);
+  }
+
+  const now = new Date();
+  const items = readItems();
+  const claimed = items
+    .filter(item => (item.status === 'pending' && new Date(item.nextAttemptAt) <= now) ||
+      (item.status === 'processing' && new Date(item.lockedUntil) < now))
+    .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt))
+    .slice(0, limit);
+
+  for (const item of claimed) {
+    item.status = 'processing';
+    item.attempts += 1;
+    item.lockedUntil = new Date(now.getTime() + LEASE_MS).toISOString();
+    item.updatedAt = now.toISOString();
+  }
+  writeJsonStore(STORE_NAME, items);
+  return claimed.map(item => ({ ...item }));
+};
+
+// Apply changes to one file-store item
+const updateFileItem = (id, changes) => {
+  const items = readItems();
+  const item = items.find(queued => queued.id === id);
+  if (!item) return null;
+  Object.assign(item, changes, { updatedAt: new Date().toISOString() });
+  writeJsonStore(STORE_NAME, items);
+  return { ...item };
+};
+
+// Record a successful attempt
+const markCompleted = async (id, result) => {
+  if (pool) {
+    await pool.query(
+      `UPDATE pending_events
+       SET status = 'completed', result = $2, last_error = NULL, locked_until = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [id, result]
+    );
+    return;
+  }
+  updateFileItem(id, { status: 'completed', result, lastError: null, lockedUntil: null });
+};
+
+// Record a failed attempt and schedule the next one. Items that reach MAX_ATTEMPTS, or whose
+// failure can never succeed (permanent), move to the dead-letter list and are no longer retried.
+const markFailed = async (id, attempts, errorMessage, { permanent = false } = {}) => {
+  const exhausted = permanent || attempts >= MAX_ATTEMPTS;
+  const status = exhausted ? 'dead_letter' : 'pending';
+  const nextAttemptAt = new Date(Date.now() + getRetryDelay(attempts));
+
+  if (pool) {
+    await pool.query(
+      `UPDATE pending_events
+       SET status = $2, last_error = $3, next_attempt_at = $4, locked_until = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [id, status, errorMessage, nextAttemptAt]
+    );
+    return status;
+  }
+  updateFileItem(id, { status, lastError: errorMessage, nextAttemptAt: nextAttemptAt.toISOString(), lockedUntil: null });
+  return status;
+};
+
+// Whether a file-store item belongs to the user (any item when no user is given)
+const isOwnedBy = (item, userId) => !userId || item.userId === userId;
+
+// Whether a file-store item is on one of the calendars (any calendar when none are given)
+const isOnCalendars = (item, calendarIds) => !calendarIds || calendarIds.includes(item.calendarId);
+
+// List items, newest first, optionally filtered by status, calendars and user
+const listItems = async ({ status, calendarIds, limit = 50, userId } = {}) => {
+  if (pool) {
+    const result = await pool.query(
+      `SELECT * FROM pending_events
+       WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR user_id = $2)
+         AND ($3::text[] IS NULL OR calendar_id = ANY($3))
+       ORDER BY created_at DESC LIMIT $4`,
+      [status || null, userId || null, calendarIds || null, limit]
+    );
+    return result.rows.map(fromRow);
+  }
+
+  return readItems()
+    .filter(item => (!status || item.status === status) && isOnCalendars(item, calendarIds) && isOwnedBy(item, userId))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, limit);
+};
+
+// Look up one item by the eventId handed out at queue time. With a userId, other users'
+// items are not found.
+const getItem = async (id, { userId } = {}) => {
+  if (pool) {
+    const result = await pool.query(
+      'SELECT * FROM pending_events WHERE id = $1 AND ($2::text IS NULL OR user_id = $2)',
+      [id, userId || null]
+    );
+    return result.rows.length > 0 ? fromRow(result.rows[0]) : null;
+  }
+  return readItems().find(item => item.id === id && isOwnedBy(item, userId)) || null;
+};
+
+// Move an item to a new status, but only from one of the allowed statuses. Returns
+// { item } on success, or { error: 'not_found' | 'invalid_status', item } otherwise.
+const transitionItem = async (id, fromStatuses, changes, { userId } = {}) => {
+  if (pool) {
+    const result = await pool.query(
+      `UPDATE pending_events
+       SET status = $3,
+           attempts = CASE WHEN $4::boolean THEN 0 ELSE attempts END,
+           next_attempt_at = CASE WHEN $4::boolean THEN NOW() ELSE next_attempt_at END,
+           locked_until = NULL,
+           updated_at = NOW()
+       WHERE id = $1 AND status = ANY($2) AND ($5::text IS NULL OR user_id = $5)
+       RETURNING *`,
+      [id, fromStatuses, changes.status, Boolean(changes.resetAttempts), userId || null]
+    );
+    if (result.rows.length > 0) return { item: fromRow(result.rows[0]) };
+
+    const existing = await getItem(id, { userId });
+    return { error: existing ? 'invalid_status' : 'not_found', item: existing };
+  }
+
+  const existing = readItems().find(item => item.id === id && isOwnedBy(item, userId));
+  if (!existing) return { error: 'not_found', item: null };
+  if (!fromStatuses.includes(existing.status)) return { error: 'invalid_status', item: existing };
+
+  const updates = { status: changes.status, lockedUntil: null };
+  if (changes.resetAttempts) {
+    updates.attempts = 0;
+    updates.nextAttemptAt = new Date().toISOString();
+  }
+  return { item: updateFileItem(id, updates) };
+};
+
+// Make an item due immediately with a fresh set of attempts
+const retryItem = (id, options) => transitionItem(id, ['pending', 'dead_letter', 'cancelled'], { status: 'pending', resetAttempts: true }, options);
+
+// Stop an item from being retried. Items being processed right now can't be cancelled.
+const cancelItem = (id, options) => transitionItem(id, ['pending', 'dead_letter'], { status: 'cancelled' }, options);
+
+// Number of items per status, optionally for some calendars or one user
+const countByStatus = async ({ calendarIds, userId } = {}) => {
+  const counts = { pending: 0, processing: 0, completed: 0, dead_letter: 0, cancelled: 0 };
+
+  if (pool) {
+    const result = await pool.query(
+      `SELECT status, COUNT(*)::int AS count FROM pending_events
+       WHERE ($1::text IS NULL OR user_id = $1) AND ($2::text[] IS NULL OR calendar_id = ANY($2))
+       GROUP BY status`,
+      [userId || null, calendarIds || null]
+    );
+    for (const row of result.rows) counts[row.status] = row.count;
+    return counts;
+  }
+
+  for (const item of readItems().filter(queued => isOnCalendars(queued, calendarIds) && isOwnedBy(queued, userId))) {
+    counts[item.status] = (counts[item.status] || 0) + 1;
+  }
+  return counts;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  enqueue,
+  claimDue,
+  markCompleted,
+  markFailed,
+  countByStatus,
+  listItems,
+  getItem,
+  retryItem,
+  cancelItem
+};
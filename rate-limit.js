@@ -0,0 +1,94 @@
+// Rate limiting, kept in memory (limits reset when the server restarts and are per instance).
+//
+// createRateLimiter: fixed-window request budgets per client, for inbound API requests.
+// createTokenBucket: a shared bucket for outbound calls, so bursts wait for a token (or are
+// shed) instead of running into the backend's own rate limit.
+
+// Fixed-window counter per key: at most `limit` hits every `windowMs`
+const createRateLimiter = ({ limit, windowMs }) => {
+  const windows = new Map();
+
+  // Forget windows that have ended, so idle clients don't pile up
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return {
+    limit,
+    windowMs,
+
+    // Count a hit for a key. Returns whether it is allowed, the hits left and when the window resets.
+    hit: (key) => {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return {
+        allowed: window.count <= limit,
+        limit,
+        remaining: Math.max(0, limit - window.count),
+        resetMs: window.resetAt - now
+      };
+    }
+  };
+};
+
+// Token bucket holding up to `capacity` tokens, refilled at `ratePerSecond`. take() waits for a
+// token when it will be available within maxWaitMs (in arrival order), and otherwise returns
+// false right away so the caller can shed the call.
+const createTokenBucket = ({ capacity, ratePerSecond, maxWaitMs }) => {
+  let tokens = capacity;
+  let refilledAt = Date.now();
+  let pausedUntil = 0;
+  let reserved = 0; // Tokens promised to waiting callers
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - refilledAt) / 1000) * ratePerSecond);
+    refilledAt = now;
+  };
+
+  // Milliseconds until the next free token (after the ones already promised)
+  const waitForToken = () => {
+    refill();
+    const missing = reserved + 1 - tokens;
+    const untilRefill = missing > 0 ? (missing / ratePerSecond) * 1000 : 0;
+    return Math.max(untilRefill, pausedUntil - Date.now());
+  };
+
+  return {
+    take: async () => {
+      const waitMs = waitForToken();
+      if (waitMs > maxWaitMs) return false;
+      if (waitMs > 0) {
+        reserved += 1;
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+        reserved -= 1;
+        refill();
+      }
+      tokens -= 1;
+      return true;
+    },
+
+    // Hold every call for a while, e.g. after the backend reported its rate limit
+    pause: (ms) => {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+      tokens = Math.min(tokens, 0);
+    },
+
+    // Seconds a shed caller should wait before retrying
+    retryAfterSeconds: () => Math.max(1, Math.ceil(waitForToken() / 1000))
+  };
+};
+
+module.exports = {
+  createRateLimiter,
+  createTokenBucket
+};
@@ -0,0 +1,328 @@
+// RRULE/EXDATE parsing, validation and expansion (RFC 5545 subset supported by Google Calendar)
+const { addDays, zonedTimeToUtc, formatInTimeZone, toInstant } = require('./dates');
+
+// Recurrence constants - Google Calendar only honours day-or-longer frequencies
+const RRULE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const RRULE_WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const RRULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYYEARDAY', 'BYWEEKNO', 'BYSETPOS', 'WKST'];
+
+// Format a Date as an iCalendar UTC timestamp (20250101T090000Z)
+const toICalUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Convert an ISO date or date-time string into an iCalendar value, or null if it can't be parsed
+const toICalValue = (value) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return { isDate: true, value: value.replace(/-/g, '') };
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return { isDate: false, value: toICalUtc(date) };
+};
+
+// Split an RRULE line into an ordered { PART: value } map
+const parseRRule = (line) => {
+  const rule = {};
+  for (const part of line.replace(/^RRULE:/i, '').split(';')) {
+    if (!part) continue;
+    const [key, value = ''] = part.split('=');
+    rule[key.toUpperCase()] = value.toUpperCase();
+  }
+  return rule;
+};
+
+const serializeRRule = (rule) => `RRULE:${Object.entries(rule).map(([key, value]) => `${key}=${value}`).join(';')}`;
+
+// Check one RRULE map against the parts Google accepts - returns an error message or null
+const validateRRule = (rule) => {
+  for (const key of Object.keys(rule)) {
+    if (!RRULE_PARTS.includes(key)) return `Unsupported RRULE part: ${key}`;
+  }
+  if (!RRULE_FREQUENCIES.includes(rule.FREQ)) {
+    return `FREQ must be one of ${RRULE_FREQUENCIES.join(', ')}`;
+  }
+  if (rule.INTERVAL !== undefined && !/^[1-9]\d*$/.test(rule.INTERVAL)) {
+    return 'INTERVAL must be a positive integer';
+  }
+  if (rule.COUNT !== undefined && !/^[1-9]\d*$/.test(rule.COUNT)) {
+    return 'COUNT must be a positive integer';
+  }
+  if (rule.COUNT !== undefined && rule.UNTIL !== undefined) {
+    return 'COUNT and UNTIL cannot be combined';
+  }
+  if (rule.UNTIL !== undefined && !/^\d{8}(T\d{6}Z?)?$/.test(rule.UNTIL)) {
+    return 'UNTIL must be an iCalendar date (YYYYMMDD) or UTC date-time (YYYYMMDDTHHMMSSZ)';
+  }
+  if (rule.BYDAY !== undefined) {
+    const invalidDay = rule.BYDAY.split(',').find(day => {
+      const match = /^([+-]?\d{1,2})?([A-Z]{2})$/.exec(day);
+      return !match || !RRULE_WEEKDAYS.includes(match[2]);
+    });
+    if (invalidDay !== undefined) return `Invalid BYDAY value: ${invalidDay}`;
+  }
+  if (rule.BYMONTHDAY !== undefined && rule.BYMONTHDAY.split(',').some(day => !/^-?\d{1,2}$/.test(day) || day === '0' || Math.abs(day) > 31)) {
+    return 'BYMONTHDAY values must be between 1 and 31 (or -31 and -1)';
+  }
+  if (rule.BYMONTH !== undefined && rule.BYMONTH.split(',').some(month => !/^\d{1,2}$/.test(month) || month < 1 || month > 12)) {
+    return 'BYMONTH values must be between 1 and 12';
+  }
+  if (rule.WKST !== undefined && !RRULE_WEEKDAYS.includes(rule.WKST)) {
+    return `WKST must be one of ${RRULE_WEEKDAYS.join(', ')}`;
+  }
+  return null;
+};
+
+// Validate an EXDATE/RDATE line such as EXDATE;TZID=Europe/Paris:20250101T090000
+const validateDateListLine = (line) => {
+  const separator = line.indexOf(':');
+  if (separator === -1) return `Malformed recurrence line: ${line}`;
+  const values = line.slice(separator + 1).split(',');
+  if (values.some(value => !/^\d{8}(T\d{6}Z?)?$/.test(value))) {
+    return `Invalid date value in: ${line}`;
+  }
+  return null;
+};
+
+// Turn the recurrence input (RRULE string, array of raw lines, or structured object)
+// into the recurrence array Google expects. Returns { recurrence } or { error }.
+const buildRecurrence = (input) => {
+  let lines;
+  
+  if (typeof input === 'string') {
+    lines = [input];
+  } else if (Array.isArray(input)) {
+    lines = input;
+  } else if (input && typeof input === 'object') {
+    const {
+      frequency,
+      interval,
+      byDay,
+      byMonthDay,
+      byMonth,
+      until,
+      count,
+      exceptionDates = []
+    } = input;
+    
+    const rule = { FREQ: String(frequency || '').toUpperCase() };
+    if (interval !== undefined) rule.INTERVAL = String(interval);
+    if (byDay !== undefined) rule.BYDAY = [].concat(byDay).join(',').toUpperCase();
+    if (byMonthDay !== undefined) rule.BYMONTHDAY = [].concat(byMonthDay).join(',');
+    if (byMonth !== undefined) rule.BYMONTH = [].concat(byMonth).join(',');
+    if (count !== undefined) rule.COUNT = String(count);
+    if (until !== undefined) {
+      const untilValue = toICalValue(String(until));
+      if (!untilValue) return { error: 'recurrence.until must be a valid ISO date or date-time' };
+      // Date-only limits include the whole day
+      rule.UNTIL = untilValue.isDate ? `${untilValue.value}T235959Z` : untilValue.value;
+    }
+    
+    lines = [serializeRRule(rule)];
+    
+    for (const exceptionDate of [].concat(exceptionDates)) {
+      const exdate = toICalValue(String(exceptionDate));
+      if (!exdate) return { error: `Invalid exception date: ${exceptionDate}` };
+      lines.push(exdate.isDate ? `EXDATE;VALUE=DATE:${exdate.value}` : `EXDATE:${exdate.value}`);
+    }
+  } else {
+    return { error: 'recurrence must be an RRULE string, an array of recurrence lines, or a structured object' };
+  }
+  
+  const recurrence = [];
+  for (const rawLine of lines) {
+    if (typeof rawLine !== 'string' || !rawLine.trim()) {
+      return { error: 'recurrence lines must be non-empty strings' };
+    }
+    
+    let line = rawLine.trim();
+    if (/^FREQ=/i.test(line)) line = `RRULE:${line}`;
+    const name = line.split(/[;:]/)[0].toUpperCase();
+    
+    if (name === 'RRULE') {
+      const rule = parseRRule(line);
+      const ruleError = validateRRule(rule);
+      if (ruleError) return { error: ruleError };
+      recurrence.push(serializeRRule(rule));
+    } else if (name === 'EXDATE' || name === 'RDATE') {
+      const dateError = validateDateListLine(line);
+      if (dateError) return { error: dateError };
+      recurrence.push(line);
+    } else {
+      return { error: `Unsupported recurrence line: ${line}` };
+    }
+  }
+  
+  if (!recurrence.some(line => line.startsWith('RRULE:'))) {
+    return { error: 'recurrence must contain at least one RRULE' };
+  }
+  
+  return { recurrence };
+};
+
+const WEEKDAY_INDEX = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const MAX_EXPANSION_DAYS = 366 * 20; // Never walk a series further than this
+
+// Parse an iCalendar date or date-time value to an instant. Floating values are read in the given time zone.
+const parseICalDate = (value, timeZone = 'UTC') => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) return null;
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  if (!match[4]) return zonedTimeToUtc(date, '00:00', timeZone);
+  const time = `${match[4]}:${match[5]}:${match[6]}`;
+  return match[7] ? new Date(`${date}T${time}Z`) : zonedTimeToUtc(date, time, timeZone);
+};
+
+const daysBetween = (fromDate, toDate) => Math.round((new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / 86400000);
+
+// Does a day's date satisfy the BYMONTHDAY/BYDAY parts (or default to the series' day of month)?
+const matchesMonthDay = (rule, day, dtstartDay) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  const dayOfMonth = date.getUTCDate();
+  const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+
+  if (rule.byMonthDay) {
+    return rule.byMonthDay.some(value => (value > 0 ? value : daysInMonth + 1 + value) === dayOfMonth);
+  }
+  if (rule.byDay) {
+    return rule.byDay.some(({ ordinal, weekday }) => weekday === date.getUTCDay() && (
+      ordinal === null ||
+      (ordinal > 0 && Math.ceil(dayOfMonth / 7) === ordinal) ||
+      (ordinal < 0 && Math.ceil((daysInMonth - dayOfMonth + 1) / 7) === -ordinal)
+    ));
+  }
+  return dayOfMonth === new Date(`${dtstartDay}T00:00:00Z`).getUTCDate();
+};
+
+// Does a day fall on the rule's pattern, counted from the series' first day?
+const matchesRule = (rule, day, dtstartDay) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  const dtstart = new Date(`${dtstartDay}T00:00:00Z`);
+  const weekday = date.getUTCDay();
+  const monthsSince = (date.getUTCFullYear() - dtstart.getUTCFullYear()) * 12 + date.getUTCMonth() - dtstart.getUTCMonth();
+
+  if (rule.byMonth && !rule.byMonth.includes(date.getUTCMonth() + 1)) return false;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return daysBetween(dtstartDay, day) % rule.interval === 0 &&
+        (!rule.byDay || rule.byDay.some(entry => entry.weekday === weekday)) &&
+        (!rule.byMonthDay || matchesMonthDay(rule, day, dtstartDay));
+    case 'WEEKLY': {
+      // Weeks start on Monday (WKST=MO)
+      const weekStart = (value) => addDays(value, -((new Date(`${value}T00:00:00Z`).getUTCDay() + 6) % 7));
+      const weeksSince = daysBetween(weekStart(dtstartDay), weekStart(day)) / 7;
+      const weekdays = rule.byDay ? rule.byDay.map(entry => entry.weekday) : [dtstart.getUTCDay()];
+      return weeksSince % rule.interval === 0 && weekdays.includes(weekday);
+    }
+    case 'MONTHLY':
+      return monthsSince % rule.interval === 0 && matchesMonthDay(rule, day, dtstartDay);
+    case 'YEARLY':
+      return (date.getUTCFullYear() - dtstart.getUTCFullYear()) % rule.interval === 0 &&
+        (rule.byMonth || date.getUTCMonth() === dtstart.getUTCMonth()) &&
+        matchesMonthDay(rule, day, dtstartDay);
+    default:
+      return false;
+  }
+};
+
+// Expand a recurring Google-style event into its occurrences overlapping [timeMin, timeMax).
+// Supports FREQ, INTERVAL, COUNT, UNTIL, BYDAY (with ordinals), BYMONTHDAY, BYMONTH, EXDATE and
+// RDATE; BYSETPOS, BYWEEKNO and BYYEARDAY are ignored. Returns { id, start, end, originalStartTime }
+// per occurrence, with the instance ID suffix Google uses.
+const expandRecurrence = (event, { timeMin, timeMax, maxInstances = 2500 } = {}) => {
+  const allDay = Boolean(event.start.date);
+  const timeZone = event.start.timeZone || event.end?.timeZone || 'UTC';
+  const firstStart = toInstant(event.start, timeZone);
+  const durationMs = toInstant(event.end, timeZone) - firstStart;
+  const durationDays = allDay ? daysBetween(event.start.date, event.end.date) : 0;
+  const [dtstartDay, startTime] = allDay
+    ? [event.start.date, '00:00:00']
+    : formatInTimeZone(firstStart, timeZone).slice(0, 19).split('T');
+
+  const rules = [];
+  const exdates = new Set();
+  const exdateDays = new Set();
+  const occurrences = new Map();
+  const toOccurrence = (day, instant) => ({ day, instant: allDay ? zonedTimeToUtc(day, '00:00', timeZone) : instant });
+
+  for (const line of event.recurrence || []) {
+    const name = line.split(/[;:]/)[0].toUpperCase();
+    if (name === 'RRULE') {
+      const rule = parseRRule(line);
+      rules.push({
+        freq: rule.FREQ,
+        interval: Number(rule.INTERVAL || 1),
+        count: rule.COUNT ? Number(rule.COUNT) : Infinity,
+        until: rule.UNTIL ? parseICalDate(rule.UNTIL.length === 8 ? `${rule.UNTIL}T235959` : rule.UNTIL, timeZone) : null,
+        byDay: rule.BYDAY ? rule.BYDAY.split(',').map(value => {
+          const match = /^([+-]?\d{1,2})?([A-Z]{2})$/.exec(value);
+          return { ordinal: match[1] ? Number(match[1]) : null, weekday: WEEKDAY_INDEX[match[2]] };
+        }) : null,
+        byMonthDay: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number) : null,
+        byMonth: rule.BYMONTH ? rule.BYMONTH.split(',').map(Number) : null
+      });
+    } else if (name === 'EXDATE' || name === 'RDATE') {
+      const separator = line.indexOf(':');
+      const tzid = /TZID=([^;:]+)/i.exec(line.slice(0, separator))?.[1] || timeZone;
+      for (const value of line.slice(separator + 1).split(',')) {
+        const instant = parseICalDate(value, tzid);
+        if (!instant) continue;
+        const day = `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+        if (name === 'RDATE') {
+          occurrences.set(instant.getTime(), toOccurrence(day, instant));
+        } else if (value.length === 8) {
+          exdateDays.add(day);
+        } else {
+          exdates.add(instant.getTime());
+        }
+      }
+    }
+  }
+
+  const windowEnd = timeMax ? new Date(timeMax) : null;
+  for (const rule of rules) {
+    let matched = 0;
+    for (let offset = 0; offset < MAX_EXPANSION_DAYS && matched < rule.count; offset++) {
+      const day = addDays(dtstartDay, offset);
+      // DTSTART is always the first occurrence
+      if (offset > 0 && !matchesRule(rule, day, dtstartDay)) continue;
+
+      const instant = allDay ? zonedTimeToUtc(day, '00:00', timeZone) : zonedTimeToUtc(day, startTime, timeZone);
+      if (rule.until && instant > rule.until) break;
+      if (windowEnd && instant >= windowEnd) break;
+
+      matched += 1;
+      occurrences.set(instant.getTime(), toOccurrence(day, instant));
+    }
+  }
+
+  const windowStart = timeMin ? new Date(timeMin) : null;
+  return [...occurrences.values()]
+    .filter(({ day, instant }) => !exdates.has(instant.getTime()) && !exdateDays.has(day))
+    .filter(({ instant }) => (!windowStart || instant.getTime() + durationMs > windowStart) && (!windowEnd || instant < windowEnd))
+    .sort((a, b) => a.instant - b.instant)
+    .slice(0, maxInstances)
+    .map(({ day, instant }) => {
+      const start = allDay ? { date: day } : { dateTime: formatInTimeZone(instant, timeZone), timeZone };
+      return {
+        id: `${event.id}_${allDay ? day.replace(/-/g, '') : toICalUtc(instant)}`,
+        start,
+        end: allDay
+          ? { date: addDays(day, durationDays) }
+          : { dateTime: formatInTimeZone(new Date(instant.getTime() + durationMs), timeZone), timeZone },
+        originalStartTime: start
+      };
+    });
+};
+
+module.exports = {
+  RRULE_FREQUENCIES,
+  RRULE_WEEKDAYS,
+  toICalUtc,
+  toICalValue,
+  parseRRule,
+  serializeRRule,
+  validateRRule,
+  buildRecurrence,
+  parseICalDate,
+  expandRecurrence
+};
@@ -9,19 +9,44 @@ const crypto = require("node:crypto");
 const { google } = require("googleapis");
 const cors = require('cors');
 const axios = require('axios');
+const multer = require('multer');
 
 // Environment configuration
 require("dotenv").config();
 
+// Local modules
+const { pool, initDatabase } = require('./db');
+const pendingQueue = require('./queue');
+const idempotency = require('./idempotency');
+const feeds = require('./feeds');
+const oauth = require('./oauth');
+const apiKeys = require('./api-keys');
+const audit = require('./audit');
+const trash = require('./trash');
+const { createRateLimiter } = require('./rate-limit');
+const { parseConference, toConferenceFields, getConferenceOptions, getConference } = require('./conference');
+const { CATEGORIES, findCategory, matchCategory, getEventCategory, toCategoryFields } = require('./categories');
+const {
+  isDateOnly,
+  addDays,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  formatInTimeZone,
+  toInstant
+} = require('./dates');
+const { toICalUtc, parseRRule, serializeRRule, buildRecurrence } = require('./recurrence');
+const { parseICalendar, buildICalendar, toExportableEvents } = require('./icalendar');
+const { createCalendarProvider, createProviderError, toInstanceId } = require('./calendar-provider');
+const { getServiceAccountAuth, getGoogleAuthUrl, exchangeGoogleCode, getUserAuth } = require('./google-provider');
+
 // Define calendar constants
-const DEFAULT_CALENDAR_ID = '865d9be49c7fe3679063400a3796fcb5d38560d6c907e9bbbf77802bc646a4ac@group.calendar.google.com';
-const CALENDAR_SCOPES = [
-  'https://www.googleapis.com/auth/calendar',
-  'https://www.googleapis.com/auth/calendar.events'
-];
+// Override DEFAULT_CALENDAR_ID when using another provider (e.g. a CalDAV calendar name)
+const DEFAULT_CALENDAR_ID = process.env.DEFAULT_CALENDAR_ID || '865d9be49c7fe3679063400a3796fcb5d38560d6c907e9bbbf77802bc646a4ac@group.calendar.google.com';
 
 // Express app setup
 const app = express();
+// Number of proxies in front of the app (e.g. 1 on Render), so req.ip is the client's address
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
@@ -32,8 +57,9 @@ app.use(cors({
     'http://localhost:3000'
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-API-Key'],
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']
 }));
 
 // Initialize Google Auth with explicit credentials
@@ -94,520 +120,3878 @@ const logToConsole = (message, level = 'info') => {
   }
 };
 
-// Consolidated service account authentication
-const getServiceAccountAuth = () => {
+// Calendar backend: 'google' (default), 'caldav' (configured with CALDAV_URL, CALDAV_USERNAME and
+// CALDAV_PASSWORD) or 'memory' for local development without credentials
+const CALENDAR_PROVIDER = (process.env.CALENDAR_PROVIDER || 'google').toLowerCase();
+const MEMORY_CALENDAR_IDS = (process.env.MEMORY_CALENDAR_IDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+// Authentication: 'service-account' (default) runs every request with the service account;
+// 'oauth' signs users in with Google and runs each request with the calling user's credentials
+const AUTH_MODE = (process.env.AUTH_MODE || 'service-account').toLowerCase();
+const AUTH_MODES = ['service-account', 'oauth'];
+
+if (!AUTH_MODES.includes(AUTH_MODE)) {
+  throw new Error(`Unknown AUTH_MODE "${AUTH_MODE}". Use one of: ${AUTH_MODES.join(', ')}`);
+}
+if (AUTH_MODE === 'oauth' && CALENDAR_PROVIDER !== 'google') {
+  throw new Error('AUTH_MODE=oauth requires the google calendar provider');
+}
+
+// Domain-wide delegation: the service account can act as Workspace users, so their primary
+// calendars, invitations and attendee notifications work. Only DELEGATION_ALLOWED_USERS (emails,
+// or "@example.com" for a whole domain) can be impersonated - per request with asUser, or per
+// calendar with DELEGATION_CALENDAR_USERS ("calendarId=user@example.com,...").
+const DELEGATION_ALLOWED_USERS = (process.env.DELEGATION_ALLOWED_USERS || '')
+  .split(',')
+  .map(entry => entry.trim().toLowerCase())
+  .filter(Boolean);
+const DELEGATION_CALENDAR_USERS = Object.fromEntries((process.env.DELEGATION_CALENDAR_USERS || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const separator = entry.lastIndexOf('=');
+    return [entry.slice(0, separator).trim(), entry.slice(separator + 1).trim()];
+  }));
+
+// Whether the service account may act as a user
+const canImpersonate = (email) => {
+  const address = String(email).trim().toLowerCase();
+  return DELEGATION_ALLOWED_USERS.some(entry => (entry.startsWith('@') ? address.endsWith(entry) : address === entry));
+};
+
+if (DELEGATION_ALLOWED_USERS.length > 0 && CALENDAR_PROVIDER !== 'google') {
+  throw new Error('DELEGATION_ALLOWED_USERS requires the google calendar provider');
+}
+for (const [calendarId, email] of Object.entries(DELEGATION_CALENDAR_USERS)) {
+  if (!calendarId || !email || !canImpersonate(email)) {
+    throw new Error(`DELEGATION_CALENDAR_USERS maps "${calendarId}" to "${email}", which is not in DELEGATION_ALLOWED_USERS`);
+  }
+}
+
+// Provider for requests without a user, built on first use
+let configuredProvider = null;
+
+// Create the calendar provider for a request (see calendar-provider.js) - the signed-in user's
+// Google calendars in OAuth mode, the service account acting as the delegated user when there
+// is one, the configured provider otherwise. The memory provider starts out with the default
+// calendar and any MEMORY_CALENDAR_IDS.
+const getCalendarProvider = (req) => {
+  if (req?.user) return createCalendarProvider('google', { auth: req.user.auth });
+  if (req?.delegatedUser) return createCalendarProvider('google', { subject: req.delegatedUser });
+  if (!configuredProvider) {
+    configuredProvider = createCalendarProvider(CALENDAR_PROVIDER, { calendars: [DEFAULT_CALENDAR_ID, ...MEMORY_CALENDAR_IDS] });
+  }
+  return configuredProvider;
+};
+
+// Calendar used when a request doesn't name one - the user's own calendar in OAuth mode or
+// when the request acts as a user with asUser
+const getDefaultCalendarId = (req) => (req?.user || req?.asUser ? 'primary' : DEFAULT_CALENDAR_ID);
+
+// Google auth for a stored user. Tokens Google refreshes along the way are saved for next time.
+const getStoredUserAuth = (user) => getUserAuth(user.googleTokens, (tokens) => {
+  oauth.updateGoogleTokens(user.userId, tokens)
+    .catch(error => logToConsole(`Failed to save refreshed tokens for ${user.userId}: ${error.message}`, 'error'));
+});
+
+// Provider for work done outside a request (queued events, feeds), for the user who started it
+// or the Workspace user the service account acted as
+const getProviderForUser = async (userId, { asUser } = {}) => {
+  if (asUser) {
+    if (!canImpersonate(asUser)) throw createProviderError(403, `${asUser} can no longer be impersonated`);
+    return createCalendarProvider('google', { subject: asUser });
+  }
+  if (!userId) return getCalendarProvider();
+  
+  const user = await oauth.getUser(userId);
+  if (!user) throw createProviderError(403, `User ${userId} is no longer signed in`);
+  return createCalendarProvider('google', { auth: getStoredUserAuth(user) });
+};
+
+// Base URL for links handed out to users (set PUBLIC_BASE_URL behind a proxy)
+const getPublicBaseUrl = (req) => (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+
+// Compare secrets without leaking their contents through timing
+const secretsMatch = (given, expected) => {
+  if (typeof given !== 'string' || !expected) return false;
+  const hash = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(given), hash(expected));
+};
+
+// API routes that stay open without credentials
+const PUBLIC_API_PATHS = ['/health', '/status'];
+
+// Bootstrap key with the admin scope on every calendar, for issuing the first stored API keys
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+// Without API keys every request runs with the service account, so this is for local development only
+const ALLOW_ANONYMOUS_ACCESS = process.env.ALLOW_ANONYMOUS_ACCESS === 'true';
+
+if (AUTH_MODE === 'service-account' && !ADMIN_API_KEY && !ALLOW_ANONYMOUS_ACCESS) {
+  console.warn('ADMIN_API_KEY is not set - API requests need a stored API key (set ALLOW_ANONYMOUS_ACCESS=true for local development)');
+}
+
+const getBearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+// OAuth mode: resolve the Bearer token to the signed-in user (req.user)
+const authenticateUser = async (req, res, next) => {
+  const accessToken = getBearerToken(req);
+  const userId = accessToken ? await oauth.findUserIdByAccessToken(accessToken) : null;
+  const user = userId ? await oauth.getUser(userId) : null;
+  
+  if (!user) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Sign in with Google to use this API. The access token is missing, expired or revoked.'
+    });
+  }
+  
+  req.user = { id: user.userId, email: user.email, auth: getStoredUserAuth(user) };
+  return next();
+};
+
+// Service-account mode: resolve the API key (X-API-Key header or Bearer token) to req.apiKey
+const authenticateApiKey = async (req, res, next) => {
+  const key = req.get('X-API-Key') || getBearerToken(req);
+  
+  if (!key && ALLOW_ANONYMOUS_ACCESS) return next();
+  
+  const apiKey = secretsMatch(key, ADMIN_API_KEY)
+    ? { id: 'admin-api-key', name: 'ADMIN_API_KEY', scopes: ['admin'], calendarIds: null }
+    : await apiKeys.findByKey(key);
+  
+  if (!apiKey) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: key
+        ? 'The API key is invalid, expired or revoked.'
+        : 'Send an API key in the X-API-Key header or as a Bearer token.'
+    });
+  }
+  
+  if (apiKey.createdAt) {
+    apiKeys.touchKey(apiKey).catch(error => console.error('Failed to record API key use:', error.message));
+  }
+  req.apiKey = apiKey;
+  return next();
+};
+
+// Authenticate every API route except PUBLIC_API_PATHS
+const authenticateRequest = async (req, res, next) => {
+  if (PUBLIC_API_PATHS.includes(req.path)) return next();
+  
   try {
-    const keyFilePath = process.env.GOOGLE_SERVICE_ACCOUNT_KEY_PATH || path.join(__dirname, 'service-account-key.json');
-    
-    // Read the key file directly and parse it
-    let credentials;
-    try {
-      const keyFileContent = fs.readFileSync(keyFilePath, 'utf8');
-      credentials = JSON.parse(keyFileContent);
-      console.log('Successfully loaded credentials from file');
-    } catch (readError) {
-      console.error('Error reading key file:', readError);
-      throw new Error('Could not read service account key file');
-    }
-    
-    // Create auth client directly with credentials
-    const auth = new google.auth.JWT(
-      credentials.client_email || credentials.web?.client_email,
-      null,
-      credentials.private_key || credentials.web?.private_key,
-      CALENDAR_SCOPES
-    );
-    
-    return auth;
+    return AUTH_MODE === 'oauth'
+      ? await authenticateUser(req, res, next)
+      : await authenticateApiKey(req, res, next);
   } catch (error) {
-    console.error('Error initializing service account auth:', error);
-    throw error;
+    console.error('Error authenticating request:', error);
+    return res.status(500).json({
+      error: 'Server error',
+      message: error.message
+    });
   }
 };
 
-// Initialize calendar API client
-const getCalendarClient = () => {
-  const auth = getServiceAccountAuth();
-  return google.calendar({ version: 'v3', auth });
+app.use('/api', authenticateRequest);
+
+// Per-client request budgets, counted separately for reads and writes. A limit of 0 disables it.
+const RATE_LIMIT_WINDOW_MS = (Number(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000;
+const rateLimiters = {
+  read: createRateLimiter({ limit: Number(process.env.RATE_LIMIT_READ ?? 120), windowMs: RATE_LIMIT_WINDOW_MS }),
+  write: createRateLimiter({ limit: Number(process.env.RATE_LIMIT_WRITE ?? 30), windowMs: RATE_LIMIT_WINDOW_MS })
 };
 
-// Create a calendar event
-app.post('/api/create-event', async (req, res) => {
+// POST routes that only read
+const READ_POST_PATHS = ['/api/find-slots'];
+
+// Identify the client by API key, signed-in user, or IP address as a fallback
+const getRateLimitClient = (req) => {
+  if (req.apiKey) return `key:${req.apiKey.id}`;
+  if (req.user) return `user:${req.user.id}`;
+  return `ip:${req.ip}`;
+};
+
+// Count the request against the client's read or write budget. Sets the RateLimit-* headers,
+// and rejects the request with 429 and Retry-After once the budget is spent.
+const rateLimitRequest = (req, res, next) => {
+  const routePath = req.baseUrl + req.path;
+  if (PUBLIC_API_PATHS.some(publicPath => routePath === `/api${publicPath}`)) return next();
+  
+  const budget = ['GET', 'HEAD'].includes(req.method) || READ_POST_PATHS.includes(routePath) ? 'read' : 'write';
+  const limiter = rateLimiters[budget];
+  if (!limiter.limit) return next();
+  
+  const { allowed, limit, remaining, resetMs } = limiter.hit(`${budget}:${getRateLimitClient(req)}`);
+  const resetSeconds = Math.max(1, Math.ceil(resetMs / 1000));
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(resetSeconds),
+    'RateLimit-Policy': `${limit};w=${limiter.windowMs / 1000}`
+  });
+  
+  if (!allowed) {
+    res.set('Retry-After', String(resetSeconds));
+    return res.status(429).json({
+      error: 'Too many requests',
+      message: `Rate limit of ${limit} ${budget} requests per ${limiter.windowMs / 1000} seconds exceeded. Retry after ${resetSeconds} seconds.`,
+      retryAfter: resetSeconds
+    });
+  }
+  return next();
+};
+
+app.use('/api', rateLimitRequest);
+app.use('/feeds', rateLimitRequest);
+
+// Who made a request, as recorded in the audit log
+const getCaller = (req) => {
+  if (req.apiKey) return { type: 'api-key', id: req.apiKey.id, name: req.apiKey.name };
+  if (req.user) return { type: 'user', id: req.user.id, name: req.user.email };
+  return { type: 'anonymous', id: null, name: req.ip };
+};
+
+// Append an audit log entry for a request (the request body is the payload unless the entry
+// has its own). A failed write is logged but never fails the request.
+const recordAudit = async (req, entry) => {
   try {
-    const { 
-      calendarId = DEFAULT_CALENDAR_ID, 
-      summary, 
-      description, 
-      location,
-      startDateTime, 
-      endDateTime, 
-      attendees = [],
-      reminders = { useDefault: true },
-      timeZone = 'America/Los_Angeles' // Default to PST
-    } = req.body;
-    
-    if (!summary || !startDateTime || !endDateTime) {
-      return res.status(400).json({ 
-        error: 'Missing required fields', 
-        message: 'summary, startDateTime, and endDateTime are required'
+    await audit.record({ caller: getCaller(req), userId: req.user?.id || null, request: req.body, ...entry });
+  } catch (error) {
+    console.error('Failed to write audit log entry:', error);
+  }
+};
+
+// Run a calendar mutation and audit it: the resulting event on success, the error on failure
+const withAudit = async (req, entry, mutation) => {
+  try {
+    const result = await mutation();
+    await recordAudit(req, { eventId: result?.id, ...entry, after: result || null, outcome: 'success' });
+    return result;
+  } catch (error) {
+    await recordAudit(req, { ...entry, outcome: 'failed', error: error.message });
+    throw error;
+  }
+};
+
+// Put the events of a delete or move in the trash so it can be undone. Returns the undo fields
+// for the response, or none when the trash can't be written - the operation itself already succeeded.
+const trashForUndo = async (req, entries) => {
+  if (entries.length === 0) return {};
+  try {
+    const { token, expiresAt } = await trash.trashEvents(entries, { userId: req.user?.id, asUser: req.delegatedUser || null });
+    return { undoToken: token, undoExpiresAt: expiresAt };
+  } catch (error) {
+    console.error('Failed to record undo information:', error);
+    return {};
+  }
+};
+
+// The calendar backend's rate limit was reached: the call was shed before reaching Google, or
+// Google reported rateLimitExceeded. Tell the client when to retry.
+const sendRateLimited = (res, error) => {
+  const retryAfter = error.retryAfter || 1;
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Calendar rate limit reached',
+    message: `${error.message}. Retry after ${retryAfter} seconds.`,
+    retryAfter
+  });
+};
+
+// Calendars a request names: calendarId (or the default), destinationCalendarId, calendarIds
+// and the calendarId of batched events
+const getRequestedCalendarIds = (req) => {
+  // Raw .ics uploads arrive as a string body
+  const fields = { ...req.query, ...(typeof req.body === 'object' ? req.body : {}) };
+  const calendarIds = fields.calendarIds
+    ? [].concat(fields.calendarIds).flatMap(id => String(id).split(',')).map(id => id.trim()).filter(Boolean)
+    : [fields.calendarId || getDefaultCalendarId(req)];
+  
+  if (fields.destinationCalendarId) calendarIds.push(fields.destinationCalendarId);
+  if (Array.isArray(fields.events)) {
+    calendarIds.push(...fields.events.map(event => event?.calendarId).filter(Boolean));
+  }
+  return [...new Set(calendarIds)];
+};
+
+// Whether the caller may use a calendar (only API keys with an allow-list are restricted)
+const canUseCalendar = (req, calendarId) => !req.apiKey || apiKeys.allowsCalendar(req.apiKey, calendarId);
+
+// Resolve the Workspace user the service account acts as (see DELEGATION_ALLOWED_USERS): asUser
+// from the query or body, or else the user DELEGATION_CALENDAR_USERS maps the request's calendars
+// to. Sets req.asUser (explicit only) and req.delegatedUser. An explicit asUser needs an API key
+// with the delegate scope.
+const resolveDelegation = (req, res, next) => {
+  const fields = { ...req.query, ...(typeof req.body === 'object' ? req.body : {}) };
+  
+  if (fields.asUser !== undefined) {
+    if (req.user) {
+      return res.status(400).json({
+        error: 'Impersonation not available',
+        message: 'asUser is only available in service-account mode - signed-in users always act as themselves'
       });
     }
-    
-    // Validate start and end times
-    const startTime = new Date(startDateTime);
-    const endTime = new Date(endDateTime);
-    
-    if (Number.isNaN(startTime.getTime()) || Number.isNaN(endTime.getTime())) {
+    if (DELEGATION_ALLOWED_USERS.length === 0) {
       return res.status(400).json({
-        error: 'Invalid date format',
-        message: 'startDateTime and endDateTime must be valid ISO date strings'
+        error: 'Impersonation not configured',
+        message: 'Set DELEGATION_ALLOWED_USERS to let the service account act as Workspace users'
       });
     }
-    
-    if (endTime < startTime) {
-      return res.status(400).json({
-        error: 'Invalid time range',
-        message: 'endDateTime must be after startDateTime'
+    if (req.apiKey && !apiKeys.hasScope(req.apiKey, 'delegate')) {
+      return res.status(403).json({
+        error: 'Insufficient scope',
+        message: 'This API key does not have the "delegate" scope needed for asUser'
       });
     }
-    
-    // Try to use service account for direct access - with explicit file path
-    try {
-      const keyFilePath = process.env.GOOGLE_SERVICE_ACCOUNT_KEY_PATH || path.join(__dirname, 'service-account-key.json');
-      console.log(`Using service account key at: ${keyFilePath}`);
-      
-      // Read the key file directly and parse it
-      let credentials;
-      try {
-        const keyFileContent = fs.readFileSync(keyFilePath, 'utf8');
-        credentials = JSON.parse(keyFileContent);
-        console.log('Successfully loaded credentials from file');
-      } catch (readError) {
-        console.error('Error reading key file:', readError);
-        throw new Error('Could not read service account key file');
-      }
-      
-      // Create auth client directly with credentials
-      const auth = new google.auth.JWT(
-        credentials.client_email || credentials.web?.client_email,
-        null,
-        credentials.private_key || credentials.web?.private_key,
-        ['https://www.googleapis.com/auth/calendar']
-      );
-      
-      // Initialize the calendar API with our authenticated client
-      const calendar = google.calendar({ version: 'v3', auth });
-      
-      // Format the event - handle attendees safely
-      const event = {
-        summary,
-        description,
-        location,
-        start: {
-          dateTime: startDateTime,
-          timeZone
-        },
-        end: {
-          dateTime: endDateTime,
-          timeZone
-        },
-        reminders
-      };
-      
-      // Only add attendees if there are any (to avoid Domain-Wide Delegation error)
-      if (attendees && attendees.length > 0) {
-        console.log('Warning: Adding attendees with service account may require Domain-Wide Delegation');
-        // Make attendees optional - only include if explicitly requested
-        event.attendees = attendees.map(email => ({ email }));
-      }
-      
-      console.log(`Attempting to create event in calendar: ${calendarId}`);
-      
-      const response = await calendar.events.insert({
-        calendarId,
-        resource: event
+    if (typeof fields.asUser !== 'string' || !canImpersonate(fields.asUser)) {
+      return res.status(403).json({
+        error: 'Impersonation not allowed',
+        message: `${fields.asUser} is not in DELEGATION_ALLOWED_USERS`
       });
-      
-      console.log(`Event created successfully: ${response.data.id}`);
-      
-      return res.status(200).json({ 
-        success: true,
-        message: 'Event created successfully',
-        eventId: response.data.id,
-        htmlLink: response.data.htmlLink
+    }
+    req.asUser = fields.asUser.trim();
+    req.delegatedUser = req.asUser;
+    return next();
+  }
+  
+  if (req.user || Object.keys(DELEGATION_CALENDAR_USERS).length === 0) return next();
+  
+  const users = [...new Set(getRequestedCalendarIds(req).map(calendarId => DELEGATION_CALENDAR_USERS[calendarId]).filter(Boolean))];
+  if (users.length > 1) {
+    return res.status(400).json({
+      error: 'Ambiguous impersonation',
+      message: `The calendars in this request are delegated to different users (${users.join(', ')}). Pass asUser to choose one.`
+    });
+  }
+  req.delegatedUser = users[0];
+  return next();
+};
+
+// Require an API key scope, resolve delegation, and (unless checkCalendars is false) require
+// access to every calendar the request names. Signed-in users and anonymous development access
+// are not restricted, except that signed-in users are never admins. Routes that parse their own
+// body (multipart uploads) put their parser before this, so asUser and calendarId are seen.
+const requireScope = (scope, { checkCalendars = true } = {}) => (req, res, next) => {
+  if (req.user && scope === 'admin') {
+    return res.status(403).json({
+      error: 'Insufficient scope',
+      message: 'API keys are managed in service-account mode only'
+    });
+  }
+  if (req.apiKey && !apiKeys.hasScope(req.apiKey, scope)) {
+    return res.status(403).json({
+      error: 'Insufficient scope',
+      message: `This API key does not have the "${scope}" scope`
+    });
+  }
+  
+  // Delegation comes first, since it changes the default calendar
+  return resolveDelegation(req, res, () => {
+    const denied = checkCalendars ? getRequestedCalendarIds(req).filter(calendarId => !canUseCalendar(req, calendarId)) : [];
+    if (denied.length > 0) {
+      return res.status(403).json({
+        error: 'Calendar not allowed',
+        message: `This API key may not use calendar ${denied.join(', ')}`
       });
-    } catch (error) {
-      console.error('Direct calendar access failed:', error);
-      
-      // Fallback: Queue for later processing
-      if (!global.pendingEvents) {
-        global.pendingEvents = [];
-      }
-      
-      const eventId = crypto.randomBytes(16).toString('hex');
-      global.pendingEvents.push({
-        id: eventId,
-        calendarId,
-        summary,
-        description,
-        location,
-        startDateTime,
-        endDateTime,
-        attendees: [], // Don't include attendees in the queued event to avoid Domain-Wide Delegation error
-        reminders,
-        timeZone,
-        timestamp: new Date().toISOString(),
-        attempts: 0
+    }
+    
+    return next();
+  });
+};
+
+// ChatGPT's OAuth client credentials - the same values go in the GPT action's authentication settings
+const OAUTH_CLIENT_ID = process.env.OAUTH_CLIENT_ID;
+const OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET;
+// Where users may be sent back to: ChatGPT action callbacks, plus any OAUTH_REDIRECT_URIS
+const CHATGPT_CALLBACK_PATTERN = /^https:\/\/(chat\.openai\.com|chatgpt\.com)\/aip\/[^/]+\/oauth\/callback$/;
+const OAUTH_REDIRECT_URIS = (process.env.OAUTH_REDIRECT_URIS || '')
+  .split(',')
+  .map(uri => uri.trim())
+  .filter(Boolean);
+
+const isAllowedRedirectUri = (uri) => CHATGPT_CALLBACK_PATTERN.test(uri || '') || OAUTH_REDIRECT_URIS.includes(uri);
+
+// Google sends users back here after the consent screen
+const getGoogleRedirectUri = (req) => process.env.GOOGLE_REDIRECT_URI || `${getPublicBaseUrl(req)}/auth/callback`;
+
+// Send the user back to the OAuth client with the given query parameters
+const redirectToClient = (res, redirectUri, params) => {
+  const url = new URL(redirectUri);
+  for (const [name, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) url.searchParams.set(name, value);
+  }
+  return res.redirect(url.toString());
+};
+
+// The OAuth routes only exist in OAuth mode
+const requireOAuthMode = (req, res, next) => {
+  if (AUTH_MODE === 'oauth') return next();
+  return res.status(404).json({
+    error: 'Not found',
+    message: 'OAuth sign-in is not enabled on this server (set AUTH_MODE=oauth)'
+  });
+};
+
+// OAuth authorization endpoint for the ChatGPT action: checks the client and redirect URI, then
+// sends the user to Google's consent screen
+app.get('/oauth/authorize', requireOAuthMode, async (req, res) => {
+  try {
+    const { response_type: responseType, client_id: clientId, redirect_uri: redirectUri, state } = req.query;
+    
+    // Without a trusted redirect URI, errors can't be sent back to the client
+    if (!secretsMatch(clientId, OAUTH_CLIENT_ID)) {
+      return res.status(400).json({
+        error: 'Invalid client',
+        message: 'Unknown client_id'
       });
-      
-      return res.status(200).json({ 
-        success: true,
-        message: 'Event queued for creation',
-        queuePosition: global.pendingEvents.length,
-        eventId
+    }
+    if (!isAllowedRedirectUri(redirectUri)) {
+      return res.status(400).json({
+        error: 'Invalid redirect URI',
+        message: 'redirect_uri must be a ChatGPT action callback or listed in OAUTH_REDIRECT_URIS'
       });
     }
+    if (responseType !== 'code') {
+      return redirectToClient(res, redirectUri, { error: 'unsupported_response_type', state });
+    }
+    
+    const requestId = await oauth.createAuthorizationRequest({ clientId, redirectUri, state });
+    return res.redirect(getGoogleAuthUrl(getGoogleRedirectUri(req), requestId));
   } catch (error) {
-    console.error('Error in create-event endpoint:', error);
+    console.error('Error starting OAuth sign-in:', error);
     return res.status(500).json({
-      error: 'Server error',
+      error: 'Failed to start sign-in',
       message: error.message
     });
   }
 });
 
-// Get calendar events
-app.get('/api/list-events', async (req, res) => {
+// Google's redirect after the consent screen: store the user's Google tokens, then send the user
+// back to ChatGPT with an authorization code
+app.get('/auth/callback', requireOAuthMode, async (req, res) => {
   try {
-    const { 
-      calendarId = DEFAULT_CALENDAR_ID,
-      timeMin = new Date().toISOString(),
-      timeMax = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(), // 1 week from now
-      maxResults = 10
-    } = req.query;
+    const { code, state: requestId, error: googleError } = req.query;
     
-    // Try to use service account
-    try {
-      const keyFilePath = process.env.GOOGLE_SERVICE_ACCOUNT_KEY_PATH || path.join(__dirname, 'service-account-key.json');
-      
-      // Read the key file directly and parse it
-      let credentials;
-      try {
-        const keyFileContent = fs.readFileSync(keyFilePath, 'utf8');
-        credentials = JSON.parse(keyFileContent);
-        console.log('Successfully loaded credentials from file');
-      } catch (readError) {
-        console.error('Error reading key file:', readError);
-        throw new Error('Could not read service account key file');
-      }
-      
-      // Create auth client directly with credentials
-      const auth = new google.auth.JWT(
-        credentials.client_email || credentials.web?.client_email,
-        null,
-        credentials.private_key || credentials.web?.private_key,
-        ['https://www.googleapis.com/auth/calendar']
-      );
-      
-      // Initialize the calendar API with our authenticated client
-      const calendar = google.calendar({ version: 'v3', auth });
-      
-      console.log(`Listing events from calendar: ${calendarId}`);
-      
-      const response = await calendar.events.list({
-        calendarId,
-        timeMin,
-        timeMax,
-        maxResults,
-        singleEvents: true,
-        orderBy: 'startTime'
-      });
-      
-      return res.status(200).json({ 
-        success: true,
-        events: response.data.items
-      });
-    } catch (error) {
-      console.error('Calendar list access failed:', error);
-      return res.status(500).json({
-        error: 'Failed to list events',
-        message: error.message
+    const request = await oauth.takeAuthorizationRequest(requestId);
+    if (!request) {
+      return res.status(400).json({
+        error: 'Invalid sign-in request',
+        message: 'The sign-in request is unknown or has expired. Start again from ChatGPT.'
       });
     }
+    const { redirectUri, state } = request.data;
+    
+    if (googleError || !code) {
+      return redirectToClient(res, redirectUri, { error: 'access_denied', state });
+    }
+    
+    const { googleTokens, googleUserId, email } = await exchangeGoogleCode(code, getGoogleRedirectUri(req));
+    const user = await oauth.saveUser({ userId: googleUserId, email, googleTokens });
+    
+    if (!user.googleTokens.refresh_token) {
+      // Without a refresh token the user would be signed out after an hour
+      logToConsole(`Google returned no refresh token for ${email}`, 'warn');
+    }
+    
+    const authorizationCode = await oauth.issueCode(user.userId, request.clientId, redirectUri);
+    logToConsole(`User ${email} signed in`);
+    
+    return redirectToClient(res, redirectUri, { code: authorizationCode, state });
   } catch (error) {
-    console.error('Error in list-events endpoint:', error);
+    console.error('Error completing OAuth sign-in:', error);
     return res.status(500).json({
-      error: 'Server error',
+      error: 'Failed to sign in',
       message: error.message
     });
   }
 });
 
-// Add a health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).send('OK');
+// OAuth token endpoint: exchanges authorization codes and refresh tokens for access tokens.
+// Responses follow RFC 6749, which is what OAuth clients such as ChatGPT expect.
+app.post('/oauth/token', requireOAuthMode, async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  
+  try {
+    // Client credentials come as HTTP Basic auth or as form fields
+    let { client_id: clientId, client_secret: clientSecret } = req.body;
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Basic ')) {
+      const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      clientId = decodeURIComponent(decoded.slice(0, separator));
+      clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+    }
+    
+    if (!secretsMatch(clientId, OAUTH_CLIENT_ID) || !secretsMatch(clientSecret, OAUTH_CLIENT_SECRET)) {
+      return res.status(401).json({ error: 'invalid_client', error_description: 'Unknown client or wrong secret' });
+    }
+    
+    const { grant_type: grantType, code, redirect_uri: redirectUri, refresh_token: refreshToken } = req.body;
+    let tokens = null;
+    
+    if (grantType === 'authorization_code') {
+      const userId = await oauth.redeemCode(code, clientId, redirectUri);
+      if (userId) tokens = await oauth.issueTokens(userId, clientId);
+    } else if (grantType === 'refresh_token') {
+      tokens = await oauth.refreshTokens(refreshToken, clientId);
+    } else {
+      return res.status(400).json({ error: 'unsupported_grant_type', error_description: 'Use authorization_code or refresh_token' });
+    }
+    
+    if (!tokens) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'The code or refresh token is invalid, expired or already used' });
+    }
+    
+    return res.status(200).json(tokens);
+  } catch (error) {
+    console.error('Error issuing OAuth tokens:', error);
+    return res.status(500).json({ error: 'server_error', error_description: error.message });
+  }
 });
 
-// Update the status endpoint
-app.get('/api/status', (req, res) => {
-  logToConsole('Status endpoint called');
+// Validate an ISO start/end pair - returns an error payload, or null when valid
+const validateEventTimes = (startDateTime, endDateTime) => {
+  const startTime = new Date(startDateTime);
+  const endTime = new Date(endDateTime);
   
-  // Count pending events
-  const pendingCount = global.pendingEvents ? global.pendingEvents.length : 0;
+  if (Number.isNaN(startTime.getTime()) || Number.isNaN(endTime.getTime())) {
+    return {
+      error: 'Invalid date format',
+      message: 'startDateTime and endDateTime must be valid ISO date strings'
+    };
+  }
   
-  // Check if we have a service account key
-  const keyFilePath = process.env.GOOGLE_SERVICE_ACCOUNT_KEY_PATH || './service-account-key.json';
-  const hasServiceAccount = fs.existsSync(keyFilePath);
+  if (endTime < startTime) {
+    return {
+      error: 'Invalid time range',
+      message: 'endDateTime must be after startDateTime'
+    };
+  }
   
-  // Return status information
-  res.json({
-    status: 'operational',
-    pendingEvents: pendingCount,
-    hasServiceAccount,
-    defaultCalendarId: DEFAULT_CALENDAR_ID,
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development'
-  });
-});
-
-// Delete a calendar event - handle both DELETE and POST methods
-app.delete('/api/delete-event', handleDeleteEvent);
-app.post('/api/delete-event', handleDeleteEvent);
+  return null;
+};
 
-async function handleDeleteEvent(req, res) {
-  try {
-    const { 
-      calendarId = DEFAULT_CALENDAR_ID,
-      eventId 
-    } = req.body;
+// Build Google start/end objects from route input. Date-only input (or allDay: true) becomes an
+// all-day event; endDateTime is then the last day of the event, inclusive, and is converted to
+// Google's exclusive end date. Returns { allDay, start, end } or an error payload.
+const buildEventTimes = ({ startDateTime, endDateTime, timeZone, allDay }) => {
+  const useAllDay = allDay === true ||
+    (allDay === undefined && isDateOnly(startDateTime) && (!endDateTime || isDateOnly(endDateTime)));
+  
+  if (useAllDay) {
+    const startDate = String(startDateTime || '').slice(0, 10);
+    const lastDate = String(endDateTime || startDateTime || '').slice(0, 10);
+    
+    if (!isDateOnly(startDate) || !isDateOnly(lastDate) ||
+        Number.isNaN(new Date(startDate).getTime()) || Number.isNaN(new Date(lastDate).getTime())) {
+      return {
+        error: 'Invalid date format',
+        message: 'All-day events need startDateTime and endDateTime as YYYY-MM-DD dates or ISO date strings'
+      };
+    }
+    
+    if (lastDate < startDate) {
+      return {
+        error: 'Invalid time range',
+        message: 'endDateTime must not be before startDateTime'
+      };
+    }
+    
+    return {
+      allDay: true,
+      start: { date: startDate },
+      end: { date: addDays(lastDate, 1) }
+    };
+  }
+  
+  if (isDateOnly(startDateTime) || isDateOnly(endDateTime)) {
+    return {
+      error: 'Invalid date format',
+      message: 'Mixing dates and date-times is not supported - pass allDay: true, or give both startDateTime and endDateTime with a time'
+    };
+  }
+  
+  const timeError = validateEventTimes(startDateTime, endDateTime);
+  if (timeError) return timeError;
+  
+  return {
+    allDay: false,
+    start: { dateTime: startDateTime, timeZone },
+    end: { dateTime: endDateTime, timeZone }
+  };
+};
+
+// Shape a Google event for list responses
+const formatEventForList = (event) => ({
+  ...event,
+  allDay: Boolean(event.start?.date),
+  category: getEventCategory(event)
+});
+
+const RECURRENCE_SCOPES = ['instance', 'following', 'all'];
+
+// Fields compared when reporting what an update changed
+const DIFFABLE_EVENT_FIELDS = ['summary', 'description', 'location', 'start', 'end', 'recurrence', 'colorId'];
+
+// Build a { field: { before, after } } map of the fields that differ between two event snapshots
+const diffEventFields = (before = {}, after = {}, fields = DIFFABLE_EVENT_FIELDS) => {
+  const changes = {};
+  
+  for (const field of fields) {
+    const beforeValue = before[field] === undefined ? null : before[field];
+    const afterValue = after[field] === undefined ? null : after[field];
+    
+    if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+      changes[field] = { before: beforeValue, after: afterValue };
+    }
+  }
+  
+  return changes;
+};
+
+// Collect every page of a series' instances
+const listAllInstances = async (provider, calendarId, eventId, params) => {
+  const instances = [];
+  let pageToken;
+  do {
+    const page = await provider.listInstances(calendarId, eventId, { ...params, pageToken, maxResults: 2500 });
+    instances.push(...page.items);
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+  return instances;
+};
+
+// Collect every page of a calendar's events
+const listAllEvents = async (provider, calendarId, params) => {
+  const events = [];
+  let pageToken;
+  do {
+    const page = await provider.listEvents(calendarId, { ...params, pageToken, maxResults: 2500 });
+    events.push(...page.items);
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+  return events;
+};
+
+// Strip the server-managed fields from an event so it can be re-inserted as a new event
+const toInsertableEvent = (event) => {
+  const {
+    id, iCalUID, etag, htmlLink, created, updated, creator, organizer, sequence, kind,
+    recurringEventId, originalStartTime, hangoutLink, conferenceData, status,
+    ...insertable
+  } = event;
+  return insertable;
+};
+
+// End a series just before the given instance. Returns the series master before and after
+// truncation, the recurrence the remaining instances need, and whether the instance was the
+// first one (in which case nothing was truncated and the caller should act on the whole series).
+const truncateSeriesBefore = async (provider, calendarId, instance, sendUpdates) => {
+  const master = await provider.getEvent(calendarId, instance.recurringEventId);
+  const originalStart = instance.originalStartTime?.dateTime || instance.originalStartTime?.date;
+  
+  const priorInstances = await listAllInstances(provider, calendarId, master.id, {
+    timeMax: new Date(originalStart).toISOString(),
+    showDeleted: true
+  });
+  
+  if (priorInstances.length === 0) {
+    return { master, isFirstInstance: true, remainingRecurrence: master.recurrence };
+  }
+  
+  // All-day series end on the previous date, timed series one second before the instance
+  const until = instance.originalStartTime?.date
+    ? addDays(originalStart, -1).replace(/-/g, '')
+    : toICalUtc(new Date(new Date(originalStart).getTime() - 1000));
+  const truncatedRecurrence = [];
+  const remainingRecurrence = [];
+  
+  for (const line of master.recurrence || []) {
+    if (!line.startsWith('RRULE:')) {
+      truncatedRecurrence.push(line);
+      remainingRecurrence.push(line);
+      continue;
+    }
+    
+    const rule = parseRRule(line);
+    const remaining = { ...rule };
+    if (rule.COUNT) {
+      remaining.COUNT = String(Math.max(Number(rule.COUNT) - priorInstances.length, 1));
+      delete rule.COUNT;
+    }
+    rule.UNTIL = until;
+    truncatedRecurrence.push(serializeRRule(rule));
+    remainingRecurrence.push(serializeRRule(remaining));
+  }
+  
+  const truncated = await provider.patchEvent(calendarId, master.id, { recurrence: truncatedRecurrence }, { sendUpdates });
+  
+  return { master, truncated, isFirstInstance: false, remainingRecurrence };
+};
+
+const CONFLICT_POLICIES = ['allow', 'warn', 'reject'];
+
+// List the busy events on a calendar that overlap the given start/end. Events marked as
+// "free" (transparent) never conflict. Only the first occurrence of a new series is checked.
+const findConflicts = async (provider, calendarId, { start, end }, { excludeEventId } = {}) => {
+  const items = await listAllEvents(provider, calendarId, {
+    timeMin: toInstant(start).toISOString(),
+    timeMax: toInstant(end).toISOString(),
+    singleEvents: true,
+    orderBy: 'startTime'
+  });
+  
+  return items
+    .filter(event => event.status !== 'cancelled' && event.transparency !== 'transparent')
+    .filter(event => !excludeEventId || (event.id !== excludeEventId && event.recurringEventId !== excludeEventId))
+    .map(event => ({
+      id: event.id,
+      summary: event.summary,
+      start: event.start?.dateTime || event.start?.date,
+      end: event.end?.dateTime || event.end?.date,
+      allDay: Boolean(event.start?.date)
+    }));
+};
+
+// How Google notifies attendees about a change
+const SEND_UPDATES_OPTIONS = ['all', 'externalOnly', 'none'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Normalize attendees given as emails or { email, displayName, optional } objects, dropping
+// repeated emails. Returns { attendees } or { error, message }.
+const normalizeAttendees = (attendees) => {
+  if (!Array.isArray(attendees)) {
+    return { error: 'Invalid attendees', message: 'attendees must be an array of emails or { email, displayName, optional } objects' };
+  }
+  
+  const normalized = [];
+  const seen = new Set();
+  for (const entry of attendees) {
+    const attendee = typeof entry === 'string' ? { email: entry } : entry;
+    const email = typeof attendee?.email === 'string' ? attendee.email.trim() : '';
+    if (!EMAIL_PATTERN.test(email)) {
+      return { error: 'Invalid attendees', message: `"${attendee?.email ?? entry}" is not a valid email address` };
+    }
+    if (attendee.optional !== undefined && typeof attendee.optional !== 'boolean') {
+      return { error: 'Invalid attendees', message: `optional must be true or false (attendee ${email})` };
+    }
+    if (seen.has(email.toLowerCase())) continue;
+    seen.add(email.toLowerCase());
+    
+    normalized.push({
+      email,
+      ...(attendee.displayName ? { displayName: String(attendee.displayName) } : {}),
+      ...(attendee.optional !== undefined ? { optional: attendee.optional } : {})
+    });
+  }
+  return { attendees: normalized };
+};
+
+// Validate a conference option (see conference.js). Google Meet links need Google Calendar.
+const validateConference = (value) => {
+  const parsed = parseConference(value);
+  if (parsed.conference?.type === 'meet' && CALENDAR_PROVIDER === 'caldav') {
+    return { error: 'Conference not available', message: 'Google Meet links need the google calendar provider' };
+  }
+  return parsed;
+};
+
+// Error for a category name that isn't in the category table
+const invalidCategory = (name) => ({
+  error: 'Invalid category',
+  message: `Unknown category "${name}". Use one of: ${CATEGORIES.map(category => category.name).join(', ')}`
+});
+
+// Validate a create-event payload. Returns { error, message } for invalid input, or the
+// normalized fields with the built eventTimes and recurrenceLines.
+const validateCreateEvent = (fields, defaultCalendarId = DEFAULT_CALENDAR_ID) => {
+  const { 
+    calendarId = defaultCalendarId, 
+    summary, 
+    description, 
+    location,
+    startDateTime, 
+    endDateTime, 
+    attendees = [],
+    reminders = { useDefault: true },
+    timeZone = 'America/Los_Angeles', // Default to PST
+    allDay,
+    recurrence,
+    conflictPolicy = 'warn',
+    sendUpdates = 'all',
+    conference,
+    category: categoryName,
+    autoCategorize = true
+  } = fields;
+  
+  // All-day events may omit the end date to cover a single day
+  const endOptional = allDay === true || isDateOnly(startDateTime);
+  if (!summary || !startDateTime || (!endDateTime && !endOptional)) {
+    return { 
+      error: 'Missing required fields', 
+      message: 'summary, startDateTime, and endDateTime are required'
+    };
+  }
+  
+  if (typeof timeZone !== 'string' || !isValidTimeZone(timeZone)) {
+    return {
+      error: 'Invalid time zone',
+      message: `Unknown time zone: ${timeZone}`
+    };
+  }
+  
+  // Validate start and end times
+  const eventTimes = buildEventTimes({ startDateTime, endDateTime, timeZone, allDay });
+  if (eventTimes.error) {
+    return eventTimes;
+  }
+  
+  if (!CONFLICT_POLICIES.includes(conflictPolicy)) {
+    return {
+      error: 'Invalid conflict policy',
+      message: `conflictPolicy must be one of ${CONFLICT_POLICIES.join(', ')}`
+    };
+  }
+  
+  if (!SEND_UPDATES_OPTIONS.includes(sendUpdates)) {
+    return {
+      error: 'Invalid sendUpdates',
+      message: `sendUpdates must be one of ${SEND_UPDATES_OPTIONS.join(', ')}`
+    };
+  }
+  
+  const guests = normalizeAttendees(attendees);
+  if (guests.error) {
+    return guests;
+  }
+  
+  const videoCall = conference === undefined || conference === null ? { conference: null } : validateConference(conference);
+  if (videoCall.error) {
+    return videoCall;
+  }
+  
+  if (typeof autoCategorize !== 'boolean') {
+    return {
+      error: 'Invalid autoCategorize',
+      message: 'autoCategorize must be true or false'
+    };
+  }
+  
+  // An explicit category wins; otherwise the keyword rules pick one (category null opts out)
+  let category = null;
+  if (categoryName !== undefined && categoryName !== null) {
+    category = findCategory(categoryName);
+    if (!category) {
+      return invalidCategory(categoryName);
+    }
+  } else if (categoryName === undefined && autoCategorize) {
+    category = matchCategory({ summary, description });
+  }
+  
+  // Validate the recurrence rules, if any
+  let recurrenceLines;
+  if (recurrence !== undefined && recurrence !== null) {
+    const built = buildRecurrence(recurrence);
+    if (built.error) {
+      return {
+        error: 'Invalid recurrence',
+        message: built.error
+      };
+    }
+    recurrenceLines = built.recurrence;
+  }
+  
+  return {
+    calendarId,
+    summary,
+    description,
+    location,
+    startDateTime,
+    endDateTime,
+    attendees: guests.attendees,
+    reminders,
+    timeZone,
+    conflictPolicy,
+    sendUpdates,
+    conference: videoCall.conference,
+    category,
+    eventTimes,
+    recurrenceLines
+  };
+};
+
+// Build the Google event for a validated create-event payload
+const toNewEvent = (payload, eventId) => {
+  const event = {
+    summary: payload.summary,
+    description: payload.description,
+    location: payload.location,
+    start: payload.eventTimes.start,
+    end: payload.eventTimes.end,
+    reminders: payload.reminders
+  };
+  
+  if (payload.recurrenceLines) {
+    event.recurrence = payload.recurrenceLines;
+  }
+  
+  if (eventId) {
+    event.id = eventId;
+  }
+  
+  if (payload.attendees.length > 0) {
+    event.attendees = payload.attendees;
+  }
+  
+  if (payload.conference) {
+    Object.assign(event, toConferenceFields(payload.conference, event));
+  }
+  
+  if (payload.category) {
+    Object.assign(event, toCategoryFields(payload.category, event));
+  }
+  
+  return event;
+};
+
+// Queue payload for an event that could not be created directly. asUser is the Workspace user
+// the service account acted as, so the worker creates the event the same way.
+const toQueuedEvent = (payload, googleEventId, asUser) => ({
+  summary: payload.summary,
+  description: payload.description,
+  location: payload.location,
+  startDateTime: payload.startDateTime,
+  endDateTime: payload.endDateTime,
+  attendees: payload.attendees,
+  reminders: payload.reminders,
+  timeZone: payload.timeZone,
+  allDay: payload.eventTimes.allDay,
+  recurrence: payload.recurrenceLines,
+  sendUpdates: payload.sendUpdates,
+  conference: payload.conference,
+  category: payload.category?.name || null,
+  ...(asUser ? { asUser } : {}),
+  googleEventId
+});
+
+// Network failures worth retrying (Node and axios error codes)
+const TRANSIENT_NETWORK_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ENOTFOUND',
+  'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'EPIPE'
+];
+
+// Errors worth retrying later: network failures, rate limits and server errors. Anything else
+// (bad input, missing calendars, bugs) would fail the same way on every retry.
+const isTransientError = (error) => {
+  if (TRANSIENT_NETWORK_CODES.includes(error.code)) return true;
+  const status = Number(error.code);
+  return Number.isInteger(status) && (status === 429 || status >= 500);
+};
+
+// Insert an event. When an event with the same deterministic ID already exists (an earlier
+// attempt created it), that event is returned instead - restored if it was deleted since.
+const insertEventOnce = async (provider, calendarId, event, options = {}) => {
+  try {
+    return await provider.insertEvent(calendarId, event, options);
+  } catch (error) {
+    if (!event.id || error.code !== 409) throw error;
+    
+    const existing = await provider.getEvent(calendarId, event.id);
+    if (existing.status !== 'cancelled') {
+      console.log(`Event ${event.id} already exists, returning it`);
+      return existing;
+    }
+    
+    console.log(`Event ${event.id} was deleted, restoring it`);
+    const { id, ...changes } = event;
+    return provider.patchEvent(calendarId, event.id, { ...changes, status: 'confirmed' }, options);
+  }
+};
+
+// Create a calendar event
+app.post('/api/create-event', requireScope('write'), idempotency.idempotent('create-event'), async (req, res) => {
+  try {
+    const payload = validateCreateEvent(req.body, getDefaultCalendarId(req));
+    if (payload.error) {
+      return res.status(400).json(payload);
+    }
+    
+    const { calendarId, eventTimes, conflictPolicy } = payload;
+    
+    // A deterministic ID makes a repeated insert for the same idempotency key fail instead of duplicating
+    const googleEventId = req.idempotencyKey ? idempotency.toGoogleEventId(req.idempotencyKey) : undefined;
+    
+    const provider = getCalendarProvider(req);
+    const event = toNewEvent(payload, googleEventId);
+    
+    // Check for overlapping events unless the caller explicitly allows double-booking. A failed
+    // check fails the request - only the insert itself is queued.
+    let conflicts = [];
+    if (conflictPolicy !== 'allow') {
+      conflicts = await findConflicts(provider, calendarId, eventTimes);
+      
+      if (conflicts.length > 0 && conflictPolicy === 'reject') {
+        console.log(`Rejected event creation: ${conflicts.length} conflicting event(s) in ${calendarId}`);
+        return res.status(409).json({
+          error: 'Scheduling conflict',
+          message: 'The event overlaps existing events. Retry with conflictPolicy "allow" to create it anyway.',
+          conflicts
+        });
+      }
+    }
+    
+    // Try to create the event directly; transient failures are queued for the background worker
+    try {
+      console.log(`Attempting to create event in calendar: ${calendarId}`);
+      
+      const created = await withAudit(req, { action: 'create', calendarId },
+        () => insertEventOnce(provider, calendarId, event, { sendUpdates: payload.sendUpdates, ...getConferenceOptions(event) }));
+      
+      console.log(`Event created successfully: ${created.id}`);
+      
+      return res.status(200).json({ 
+        success: true,
+        message: conflicts.length > 0
+          ? `Event created successfully, but it overlaps ${conflicts.length} existing event(s)`
+          : 'Event created successfully',
+        eventId: created.id,
+        htmlLink: created.htmlLink,
+        allDay: eventTimes.allDay,
+        recurrence: created.recurrence,
+        conference: getConference(created),
+        category: getEventCategory(created),
+        conflicts
+      });
+    } catch (error) {
+      console.error('Direct calendar access failed:', error);
+      if (!isTransientError(error)) throw error;
+      
+      // Fallback: Queue for later processing
+      const { item, position } = await pendingQueue.enqueue(calendarId, toQueuedEvent(payload, googleEventId, req.delegatedUser), { userId: req.user?.id });
+      await recordAudit(req, { action: 'create', calendarId, eventId: item.id, outcome: 'queued', error: error.message });
+      
+      return res.status(200).json({ 
+        success: true,
+        message: 'Event queued for creation',
+        queuePosition: position,
+        eventId: item.id
+      });
+    }
+  } catch (error) {
+    console.error('Error in create-event endpoint:', error);
+    
+    if (error.code === 429) return sendRateLimited(res, error);
+    if (error.code === 400) {
+      return res.status(400).json({
+        error: 'Invalid event',
+        message: 'The calendar rejected the event.',
+        details: error.message
+      });
+    }
+    if (error.code === 404) {
+      return res.status(404).json({
+        error: 'Calendar not found',
+        message: 'The specified calendar does not exist or is not accessible.'
+      });
+    }
+    if (error.code === 403) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'Service account does not have permission to access this calendar.',
+        details: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+const MAX_BATCH_EVENTS = 50;
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 4;
+
+// Run task(item, index) over items with at most `limit` tasks in flight. No new tasks are
+// started once shouldStop() returns true; tasks already running are awaited.
+const runWithConcurrency = async (items, limit, task, shouldStop = () => false) => {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length && !shouldStop()) {
+      const index = next++;
+      await task(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+};
+
+// Create several events in one request. Every event is validated before anything is created.
+// With atomic: true, a failed or rejected event stops the batch and deletes the events already
+// created; otherwise each event succeeds or fails on its own (inserts that hit a transient error
+// are queued).
+app.post('/api/create-events', requireScope('write'), idempotency.idempotent('create-events'), async (req, res) => {
+  try {
+    const { events, atomic = false, calendarId, timeZone, conflictPolicy } = req.body;
+    
+    if (!Array.isArray(events) || events.length === 0) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'events must be a non-empty array of create-event payloads'
+      });
+    }
+    if (events.length > MAX_BATCH_EVENTS) {
+      return res.status(400).json({
+        error: 'Too many events',
+        message: `A batch can contain at most ${MAX_BATCH_EVENTS} events; this one has ${events.length}`
+      });
+    }
+    if (typeof atomic !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid field',
+        message: 'atomic must be true or false'
+      });
+    }
+    
+    // calendarId, timeZone and conflictPolicy at the top level are defaults for every event
+    const defaults = Object.fromEntries(Object.entries({ calendarId, timeZone, conflictPolicy })
+      .filter(([, value]) => value !== undefined));
+    const payloads = events.map(item => (item && typeof item === 'object' && !Array.isArray(item)
+      ? validateCreateEvent({ ...defaults, ...item }, getDefaultCalendarId(req))
+      : { error: 'Invalid event', message: 'Each event must be an object' }));
+    
+    const invalid = payloads
+      .map((payload, index) => ({ index, error: payload.error, message: payload.message }))
+      .filter(item => item.error);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid events',
+        message: `${invalid.length} of ${events.length} event(s) are invalid; nothing was created`,
+        invalidEvents: invalid
+      });
+    }
+    
+    const provider = getCalendarProvider(req);
+    const results = payloads.map((payload, index) => ({
+      index,
+      summary: payload.summary,
+      calendarId: payload.calendarId,
+      status: 'not_attempted'
+    }));
+    let batchFailed = false;
+    
+    console.log(`Creating ${payloads.length} event(s)${atomic ? ' atomically' : ''}`);
+    
+    await runWithConcurrency(payloads, BATCH_CONCURRENCY, async (payload, index) => {
+      const result = results[index];
+      // Per-event deterministic IDs, so a retried batch doesn't duplicate events
+      const googleEventId = req.idempotencyKey
+        ? idempotency.toGoogleEventId(`${req.idempotencyKey}:${index}`)
+        : undefined;
+      
+      try {
+        let conflicts = [];
+        if (payload.conflictPolicy !== 'allow') {
+          conflicts = await findConflicts(provider, payload.calendarId, payload.eventTimes);
+          
+          if (conflicts.length > 0 && payload.conflictPolicy === 'reject') {
+            Object.assign(result, { status: 'conflict', error: 'The event overlaps existing events', conflicts });
+            batchFailed = true;
+            return;
+          }
+        }
+        
+        const newEvent = toNewEvent(payload, googleEventId);
+        const created = await withAudit(req, { action: 'create', calendarId: payload.calendarId, request: events[index] },
+          () => insertEventOnce(provider, payload.calendarId, newEvent, { sendUpdates: payload.sendUpdates, ...getConferenceOptions(newEvent) }));
+        Object.assign(result, {
+          status: 'created',
+          eventId: created.id,
+          htmlLink: created.htmlLink,
+          allDay: payload.eventTimes.allDay,
+          recurrence: created.recurrence,
+          conference: getConference(created),
+          category: getEventCategory(created),
+          conflicts
+        });
+      } catch (error) {
+        console.error(`Failed to create batch event ${index}:`, error.message);
+        batchFailed = true;
+        
+        if (atomic || !isTransientError(error)) {
+          Object.assign(result, { status: 'failed', error: error.message });
+          return;
+        }
+        
+        // Events that can't be created right now are queued for the worker
+        try {
+          const { item, position } = await pendingQueue.enqueue(payload.calendarId, toQueuedEvent(payload, googleEventId, req.delegatedUser), {
+            userId: req.user?.id
+          });
+          Object.assign(result, { status: 'queued', eventId: item.id, queuePosition: position, error: error.message });
+          await recordAudit(req, {
+            action: 'create',
+            calendarId: payload.calendarId,
+            eventId: item.id,
+            request: events[index],
+            outcome: 'queued',
+            error: error.message
+          });
+        } catch (queueError) {
+          Object.assign(result, { status: 'failed', error: queueError.message });
+        }
+      }
+    }, () => atomic && batchFailed);
+    
+    if (atomic && batchFailed) {
+      // Undo the events created before the failure
+      for (const result of results.filter(item => item.status === 'created')) {
+        try {
+          // Attendees invited by the insert are told about the cancellation the same way
+          const { sendUpdates } = payloads[result.index];
+          await withAudit(req, { action: 'delete', calendarId: result.calendarId, eventId: result.eventId, request: { rollback: true, sendUpdates } },
+            () => provider.deleteEvent(result.calendarId, result.eventId, { sendUpdates }));
+          result.status = 'rolled_back';
+        } catch (error) {
+          console.error(`Failed to roll back event ${result.eventId}:`, error.message);
+          Object.assign(result, { status: 'rollback_failed', error: error.message });
+        }
+      }
+      
+      const rollbackFailed = results.filter(item => item.status === 'rollback_failed').length;
+      const rejected = results.some(item => item.status === 'conflict');
+      console.log(`Atomic batch failed and was rolled back${rollbackFailed ? ` (${rollbackFailed} event(s) could not be removed)` : ''}`);
+      
+      return res.status(rejected ? 409 : 500).json({
+        error: rejected ? 'Scheduling conflict' : 'Batch failed',
+        message: rollbackFailed > 0
+          ? `The batch failed and ${rollbackFailed} created event(s) could not be rolled back`
+          : 'The batch failed; no events were created',
+        results
+      });
+    }
+    
+    const counts = { created: 0, queued: 0, conflict: 0, failed: 0 };
+    for (const result of results) counts[result.status] += 1;
+    
+    return res.status(200).json({
+      success: counts.conflict === 0 && counts.failed === 0,
+      message: `Created ${counts.created} of ${results.length} event(s)` +
+        (counts.queued > 0 ? `, queued ${counts.queued}` : '') +
+        (counts.conflict > 0 ? `, ${counts.conflict} rejected for conflicts` : '') +
+        (counts.failed > 0 ? `, ${counts.failed} failed` : ''),
+      counts,
+      results
+    });
+  } catch (error) {
+    console.error('Error in create-events endpoint:', error);
+    
+    if (error.code === 429) return sendRateLimited(res, error);
+    
+    return res.status(500).json({
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+const LIST_VIEWS = ['full', 'compact'];
+const MAX_LIST_RESULTS = 250;
+// Provider pages scanned per request when attendee/location filters drop events
+const MAX_LIST_SCAN_PAGES = 10;
+
+// Compact projection for list responses - enough to identify and act on an event
+const toCompactEvent = (event) => {
+  const compact = {
+    id: event.id,
+    summary: event.summary,
+    start: event.start?.dateTime || event.start?.date,
+    end: event.end?.dateTime || event.end?.date,
+    allDay: Boolean(event.start?.date)
+  };
+  if (event.location) compact.location = event.location;
+  if (event.recurringEventId) compact.recurringEventId = event.recurringEventId;
+  const conference = getConference(event);
+  if (conference?.joinUrl) compact.joinUrl = conference.joinUrl;
+  const category = getEventCategory(event);
+  if (category) compact.category = category;
+  return compact;
+};
+
+// list-events cursors wrap the provider's page token with an offset into that page, so a page
+// can end partway through a provider page when filters skip events. The provider page size is
+// kept in the cursor because page tokens are only valid with the same maxResults.
+const encodeListCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeListCursor = (token) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (!Number.isInteger(cursor.offset) || cursor.offset < 0 ||
+        !Number.isInteger(cursor.pageSize) || cursor.pageSize < 1) {
+      return null;
+    }
+    return cursor;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Case-insensitive match on attendee emails and names, on the location, and on the category name
+const matchesListFilters = (event, { attendee, location, category }) => {
+  if (attendee) {
+    const needle = attendee.toLowerCase();
+    const found = (event.attendees || []).some(entry =>
+      [entry.email, entry.displayName].some(value => value && value.toLowerCase().includes(needle)));
+    if (!found) return false;
+  }
+  if (location && !(event.location || '').toLowerCase().includes(location.toLowerCase())) {
+    return false;
+  }
+  if (category && (getEventCategory(event) || '').toLowerCase() !== category.toLowerCase()) {
+    return false;
+  }
+  return true;
+};
+
+// Get calendar events
+app.get('/api/list-events', requireScope('read'), async (req, res) => {
+  try {
+    const { 
+      calendarId = getDefaultCalendarId(req),
+      timeMin = new Date().toISOString(),
+      timeMax = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(), // 1 week from now
+      maxResults = 10,
+      q,
+      attendee,
+      location,
+      category,
+      pageToken,
+      view = 'full'
+    } = req.query;
+    
+    const limit = Number(maxResults);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_RESULTS) {
+      return res.status(400).json({
+        error: 'Invalid maxResults',
+        message: `maxResults must be a whole number from 1 to ${MAX_LIST_RESULTS}`
+      });
+    }
+    
+    if (!LIST_VIEWS.includes(view)) {
+      return res.status(400).json({
+        error: 'Invalid view',
+        message: `view must be one of ${LIST_VIEWS.join(', ')}`
+      });
+    }
+    
+    if (category && !findCategory(category)) {
+      return res.status(400).json(invalidCategory(category));
+    }
+    
+    // Filtered listings read bigger provider pages, since some of each page is skipped
+    let cursor = { pageToken: undefined, offset: 0, pageSize: attendee || location || category ? MAX_LIST_RESULTS : limit };
+    if (pageToken) {
+      cursor = decodeListCursor(pageToken);
+      if (!cursor) {
+        return res.status(400).json({
+          error: 'Invalid page token',
+          message: 'pageToken must be a nextPageToken returned by list-events for the same query'
+        });
+      }
+    }
+    
+    try {
+      const provider = getCalendarProvider(req);
+      
+      console.log(`Listing events from calendar: ${calendarId}${q ? ` matching "${q}"` : ''}`);
+      
+      // Walk provider pages until the page is full, picking up where the cursor left off
+      const events = [];
+      let nextCursor = null;
+      let scannedPages = 0;
+      while (cursor && events.length < limit && scannedPages < MAX_LIST_SCAN_PAGES) {
+        const page = await provider.listEvents(calendarId, {
+          timeMin,
+          timeMax,
+          q,
+          maxResults: cursor.pageSize,
+          pageToken: cursor.pageToken,
+          singleEvents: true,
+          orderBy: 'startTime'
+        });
+        scannedPages += 1;
+        
+        let index = cursor.offset;
+        for (; index < page.items.length && events.length < limit; index++) {
+          if (matchesListFilters(page.items[index], { attendee, location, category })) events.push(page.items[index]);
+        }
+        
+        if (index < page.items.length) {
+          nextCursor = { pageToken: cursor.pageToken, offset: index, pageSize: cursor.pageSize };
+          cursor = null;
+        } else {
+          cursor = page.nextPageToken ? { pageToken: page.nextPageToken, offset: 0, pageSize: cursor.pageSize } : null;
+          nextCursor = cursor;
+        }
+      }
+      
+      return res.status(200).json({ 
+        success: true,
+        events: events.map(view === 'compact' ? toCompactEvent : formatEventForList),
+        nextPageToken: nextCursor ? encodeListCursor(nextCursor) : null
+      });
+    } catch (error) {
+      console.error('Calendar list access failed:', error);
+      
+      if (error.code === 429) return sendRateLimited(res, error);
+      
+      return res.status(500).json({
+        error: 'Failed to list events',
+        message: error.message
+      });
+    }
+  } catch (error) {
+    console.error('Error in list-events endpoint:', error);
+    return res.status(500).json({
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// Export events as an iCalendar (.ics) file - a time range of a calendar, or one event by eventId
+app.get('/api/export.ics', requireScope('read'), async (req, res) => {
+  try {
+    const {
+      calendarId = getDefaultCalendarId(req),
+      eventId,
+      timeMin = new Date().toISOString(),
+      timeMax = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString() // 1 week from now
+    } = req.query;
+    
+    if (!eventId && (Number.isNaN(new Date(timeMin).getTime()) || Number.isNaN(new Date(timeMax).getTime()))) {
+      return res.status(400).json({
+        error: 'Invalid date format',
+        message: 'timeMin and timeMax must be valid ISO date strings'
+      });
+    }
+    
+    const provider = getCalendarProvider(req);
+    const calendar = await provider.getCalendar(calendarId);
+    
+    let events;
+    let filename;
+    if (eventId) {
+      const event = await provider.getEvent(calendarId, eventId);
+      if (event.status === 'cancelled') {
+        return res.status(404).json({
+          error: 'Event not found',
+          message: 'The event has been deleted'
+        });
+      }
+      
+      if (event.recurringEventId) {
+        // A single instance of a series is exported as a standalone event
+        events = [{ ...event, iCalUID: event.id, recurringEventId: undefined, originalStartTime: undefined }];
+      } else if (event.recurrence) {
+        // A series is exported with its edited and cancelled instances
+        events = await listAllEvents(provider, calendarId, { iCalUID: event.iCalUID, showDeleted: true });
+      } else {
+        events = [event];
+      }
+      filename = `${eventId}.ics`;
+    } else {
+      events = await listAllEvents(provider, calendarId, { timeMin, timeMax, showDeleted: true });
+      filename = 'calendar.ics';
+    }
+    
+    const ics = buildICalendar(toExportableEvents(events), {
+      name: calendar.summary,
+      timeZone: calendar.timeZone
+    });
+    
+    console.log(`Exported ${events.length} event(s) from calendar ${calendarId} as iCalendar`);
+    
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename.replace(/[^\w.@-]/g, '_')}"`);
+    return res.status(200).send(ics);
+  } catch (error) {
+    console.error('Calendar export failed:', error);
+    
+    if (error.code === 429) return sendRateLimited(res, error);
+    
+    if (error.code === 404) {
+      return res.status(404).json({
+        error: 'Resource not found',
+        message: 'The calendar or event was not found. Please verify the IDs.',
+        details: error.message
+      });
+    }
+    if (error.code === 403) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'Service account does not have access to this calendar.',
+        details: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      error: 'Failed to export events',
+      message: error.message
+    });
+  }
+});
+
+// Events published in subscription feeds, relative to the time of the request
+const FEED_PAST_DAYS = Number(process.env.FEED_PAST_DAYS) || 30;
+const FEED_FUTURE_DAYS = Number(process.env.FEED_FUTURE_DAYS) || 365;
+
+// Shape a feed for API responses
+const formatFeed = (feed) => ({
+  feedId: feed.id,
+  calendarId: feed.calendarId,
+  asUser: feed.asUser || null,
+  label: feed.label,
+  freeBusyOnly: feed.freeBusyOnly,
+  createdAt: feed.createdAt,
+  lastAccessedAt: feed.lastAccessedAt,
+  revokedAt: feed.revokedAt
+});
+
+// Free/busy-only feeds publish times and recurrence, with every event titled "Busy"
+const toFreeBusyEvent = (event) => ({
+  id: event.id,
+  iCalUID: event.iCalUID,
+  summary: 'Busy',
+  start: event.start,
+  end: event.end,
+  recurrence: event.recurrence,
+  originalStartTime: event.originalStartTime,
+  updated: event.updated
+});
+
+// Issue a subscription feed token for a calendar
+app.post('/api/feeds', requireScope('write'), async (req, res) => {
+  try {
+    const { calendarId = getDefaultCalendarId(req), label, freeBusyOnly = false } = req.body;
+    
+    if (typeof freeBusyOnly !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid field',
+        message: 'freeBusyOnly must be true or false'
+      });
+    }
+    
+    // Only hand out feeds for calendars we can read
+    await getCalendarProvider(req).getCalendar(calendarId);
+    
+    const { feed, token } = await feeds.issueToken(calendarId, {
+      label: label || null,
+      freeBusyOnly,
+      userId: req.user?.id,
+      asUser: req.delegatedUser || null
+    });
+    const url = `${getPublicBaseUrl(req)}/feeds/${token}.ics`;
+    
+    console.log(`Issued feed ${feed.id} for calendar ${calendarId}${freeBusyOnly ? ' (free/busy only)' : ''}`);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Feed created. The URL contains a secret token and is only shown once.',
+      feed: formatFeed(feed),
+      url,
+      webcalUrl: url.replace(/^https?:/, 'webcal:')
+    });
+  } catch (error) {
+    console.error('Error creating feed:', error);
+    
+    if (error.code === 429) return sendRateLimited(res, error);
+    
+    if (error.code === 404) {
+      return res.status(404).json({
+        error: 'Calendar not found',
+        message: 'The specified calendar does not exist or is not accessible.',
+        details: error.message
+      });
+    }
+    if (error.code === 403) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'Service account does not have permission to access this calendar.',
+        details: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      error: 'Failed to create feed',
+      message: error.message
+    });
+  }
+});
+
+// List subscription feeds (tokens are never returned again)
+app.get('/api/feeds', requireScope('read', { checkCalendars: false }), async (req, res) => {
+  try {
+    const { calendarId, includeRevoked } = req.query;
+    const items = await feeds.listFeeds({ calendarId, includeRevoked: includeRevoked === 'true', userId: req.user?.id });
+    
+    return res.status(200).json({
+      success: true,
+      feeds: items.filter(feed => canUseCalendar(req, feed.calendarId)).map(formatFeed)
+    });
+  } catch (error) {
+    console.error('Error listing feeds:', error);
+    return res.status(500).json({
+      error: 'Failed to list feeds',
+      message: error.message
+    });
+  }
+});
+
+// Revoke a subscription feed - its URL stops working immediately
+async function handleRevokeFeed(req, res) {
+  try {
+    const feed = await feeds.getFeed(req.params.feedId, { userId: req.user?.id });
+    const result = feed && canUseCalendar(req, feed.calendarId)
+      ? await feeds.revokeFeed(feed.id, { userId: req.user?.id })
+      : { error: 'not_found' };
+    
+    if (result.error === 'not_found') {
+      return res.status(404).json({
+        error: 'Feed not found',
+        message: 'No feed has this feedId'
+      });
+    }
+    if (result.error === 'already_revoked') {
+      return res.status(200).json({
+        success: true,
+        message: 'Feed was already revoked',
+        feed: formatFeed(result.feed)
+      });
+    }
+    
+    console.log(`Revoked feed ${result.feed.id}`);
+    return res.status(200).json({
+      success: true,
+      message: 'Feed revoked',
+      feed: formatFeed(result.feed)
+    });
+  } catch (error) {
+    console.error('Error revoking feed:', error);
+    return res.status(500).json({
+      error: 'Failed to revoke feed',
+      message: error.message
+    });
+  }
+}
+
+app.delete('/api/feeds/:feedId', requireScope('write', { checkCalendars: false }), handleRevokeFeed);
+app.post('/api/feeds/:feedId/revoke', requireScope('write', { checkCalendars: false }), handleRevokeFeed);
+
+// Subscription feed for calendar apps. The token in the URL is the only credential. Responses
+// carry an ETag and Last-Modified so subscribers can revalidate with a 304.
+app.get('/feeds/:token.ics', async (req, res) => {
+  try {
+    const feed = await feeds.findByToken(req.params.token);
+    if (!feed) {
+      return res.status(404).json({
+        error: 'Feed not found',
+        message: 'This feed does not exist or has been revoked'
+      });
+    }
+    
+    feeds.touchFeed(feed.id).catch(error => console.error('Failed to record feed access:', error.message));
+    
+    const provider = await getProviderForUser(feed.userId, { asUser: feed.asUser });
+    const calendar = await provider.getCalendar(feed.calendarId);
+    const items = await listAllEvents(provider, feed.calendarId, {
+      timeMin: new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+      timeMax: new Date(Date.now() + FEED_FUTURE_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+      showDeleted: true
+    });
+    
+    let events = toExportableEvents(items);
+    if (feed.freeBusyOnly) {
+      events = events.filter(event => event.transparency !== 'transparent').map(toFreeBusyEvent);
+    }
+    
+    const ics = buildICalendar(events, {
+      name: feed.label || calendar.summary,
+      timeZone: calendar.timeZone
+    });
+    
+    // Deletions show up as cancelled items, so they move Last-Modified forward too
+    const lastModified = items.reduce((latest, item) => {
+      const updated = item.updated ? new Date(item.updated).getTime() : 0;
+      return Math.max(latest, updated);
+    }, new Date(feed.createdAt).getTime());
+    
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.set('ETag', `"${crypto.createHash('sha256').update(ics).digest('hex').slice(0, 32)}"`);
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+    
+    // Express answers 304 Not Modified when If-None-Match/If-Modified-Since still match
+    return res.status(200).send(ics);
+  } catch (error) {
+    console.error('Error serving feed:', error);
+    
+    if (error.code === 429) return sendRateLimited(res, error);
+    
+    return res.status(error.code === 404 ? 404 : 500).json({
+      error: 'Failed to build feed',
+      message: error.code === 404 ? 'The calendar behind this feed is no longer accessible' : error.message
+    });
+  }
+});
+
+// Limits for .ics imports
+const MAX_IMPORT_EVENTS = 500;
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+
+// .ics files arrive as a multipart upload ("file"), a text/calendar body or an "ics" JSON field
+const icsUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_IMPORT_BYTES, files: 1 } });
+const icsTextBody = express.text({ type: ['text/calendar', 'text/plain'], limit: MAX_IMPORT_BYTES });
+
+const receiveIcsFile = (req, res, next) => icsUpload.single('file')(req, res, (uploadError) => {
+  if (uploadError) {
+    return res.status(400).json({ error: 'Invalid upload', message: uploadError.message });
+  }
+  icsTextBody(req, res, (bodyError) => {
+    if (bodyError) {
+      return res.status(bodyError.status || 400).json({ error: 'Invalid request body', message: bodyError.message });
+    }
+    next();
+  });
+});
+
+// Fields compared to decide whether a re-imported event changed
+const IMPORT_COMPARED_FIELDS = ['summary', 'description', 'location', 'start', 'end', 'recurrence', 'transparency'];
+
+// Compare start/end by the instant they describe, since providers may return a different form
+const toComparable = (field, value) => {
+  if ((field === 'start' || field === 'end') && value) {
+    return value.date ? { date: value.date } : { instant: toInstant(value).toISOString() };
+  }
+  if (field === 'transparency') return value === 'transparent' ? value : null;
+  return value === undefined || value === '' ? null : value;
+};
+
+const findImportChanges = (existing, imported) => IMPORT_COMPARED_FIELDS.filter(field => field in imported &&
+  JSON.stringify(toComparable(field, existing[field])) !== JSON.stringify(toComparable(field, imported[field])));
+
+// The writable fields of a parsed VEVENT. Attendees are only kept on request, since inviting
+// them needs a delegated user (asUser) with a service account.
+const toImportedEvent = (event, { includeAttendees }) => {
+  const imported = {
+    iCalUID: event.iCalUID,
+    summary: event.summary || '',
+    description: event.description || '',
+    location: event.location || '',
+    start: event.start,
+    end: event.end,
+    reminders: event.reminders,
+    transparency: event.transparency || 'opaque'
+  };
+  if (event.recurrence) imported.recurrence = event.recurrence;
+  if (includeAttendees && event.attendees) imported.attendees = event.attendees;
+  return imported;
+};
+
+// Import one VEVENT that isn't an exception: create it, update the event with its UID, or skip it if unchanged
+const importEvent = async (req, provider, calendarId, event, options) => {
+  const imported = toImportedEvent(event, options);
+  const request = { importedEvent: imported };
+  const { items } = await provider.listEvents(calendarId, { iCalUID: event.iCalUID, showDeleted: true });
+  const existing = items.find(item => !item.recurringEventId);
+  
+  if (!existing) {
+    const created = await withAudit(req, { action: 'create', calendarId, request },
+      () => provider.insertEvent(calendarId, imported));
+    return { status: 'created', eventId: created.id };
+  }
+  
+  // Events deleted from the calendar are restored by re-importing them
+  const changedFields = findImportChanges(existing, imported);
+  if (existing.status !== 'cancelled' && changedFields.length === 0) {
+    return { status: 'skipped', eventId: existing.id, reason: 'Unchanged since the last import' };
+  }
+  
+  const { iCalUID, ...changes } = imported;
+  if (existing.status === 'cancelled') changes.status = 'confirmed';
+  await withAudit(req, { action: 'update', calendarId, eventId: existing.id, before: existing, request },
+    () => provider.patchEvent(calendarId, existing.id, changes));
+  return { status: 'updated', eventId: existing.id, changedFields };
+};
+
+// Import a VEVENT with a RECURRENCE-ID as a change to (or cancellation of) one instance of its series
+const importException = async (req, provider, calendarId, event, seriesId) => {
+  const instanceId = toInstanceId(seriesId, event.originalStartTime);
+  let instance;
+  try {
+    instance = await provider.getEvent(calendarId, instanceId);
+  } catch (error) {
+    if (error.code !== 404) throw error;
+    return { status: 'failed', eventId: instanceId, error: 'The recurring event has no instance at this RECURRENCE-ID' };
+  }
+  
+  if (event.status === 'cancelled') {
+    if (instance.status === 'cancelled') {
+      return { status: 'skipped', eventId: instanceId, reason: 'Instance already cancelled' };
+    }
+    await withAudit(req, { action: 'delete', calendarId, eventId: instanceId, before: instance, request: { importedEvent: event } },
+      () => provider.deleteEvent(calendarId, instanceId));
+    return { status: 'updated', eventId: instanceId, changedFields: ['status'] };
+  }
+  
+  const { iCalUID, recurrence, ...imported } = toImportedEvent(event, { includeAttendees: false });
+  const changedFields = findImportChanges(instance, imported);
+  if (changedFields.length === 0) {
+    return { status: 'skipped', eventId: instanceId, reason: 'Unchanged since the last import' };
+  }
+  await withAudit(req, { action: 'update', calendarId, eventId: instanceId, before: instance, request: { importedEvent: imported } },
+    () => provider.patchEvent(calendarId, instanceId, imported));
+  return { status: 'updated', eventId: instanceId, changedFields };
+};
+
+// Import events from an iCalendar file, deduplicated by UID
+app.post('/api/import-ics', receiveIcsFile, requireScope('write'), async (req, res) => {
+  try {
+    const isTextBody = typeof req.body === 'string';
+    const options = isTextBody ? req.query : { ...req.query, ...req.body };
+    const {
+      calendarId = getDefaultCalendarId(req),
+      timeZone = 'America/Los_Angeles' // Used for floating times and unknown TZIDs
+    } = options;
+    const includeAttendees = options.includeAttendees === true || options.includeAttendees === 'true';
+    const ics = req.file ? req.file.buffer.toString('utf8') : (isTextBody ? req.body : options.ics);
+    
+    if (!ics || typeof ics !== 'string') {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'Send the iCalendar data as a "file" upload, a text/calendar body, or an "ics" field'
+      });
+    }
+    
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        error: 'Invalid time zone',
+        message: `Unknown time zone: ${timeZone}`
+      });
+    }
+    
+    const { events } = parseICalendar(ics, { defaultTimeZone: timeZone });
+    if (events.length === 0) {
+      return res.status(400).json({
+        error: 'No events found',
+        message: 'The iCalendar data does not contain any VEVENT with a valid DTSTART'
+      });
+    }
+    if (events.length > MAX_IMPORT_EVENTS) {
+      return res.status(400).json({
+        error: 'Too many events',
+        message: `An import can contain at most ${MAX_IMPORT_EVENTS} events; this file has ${events.length}`
+      });
+    }
+    
+    // Events without a UID get one derived from their content, so re-imports still dedupe
+    for (const event of events) {
+      if (!event.iCalUID) {
+        const fingerprint = JSON.stringify([event.summary, event.start, event.end, event.location]);
+        event.iCalUID = `import-${crypto.createHash('sha256').update(fingerprint).digest('hex').slice(0, 32)}`;
+      }
+    }
+    
+    const provider = getCalendarProvider(req);
+    await provider.getCalendar(calendarId);
+    
+    console.log(`Importing ${events.length} event(s) into calendar ${calendarId}`);
+    
+    // Series first, so exceptions can find the series they belong to
+    const ordered = [...events].sort((a, b) => Number(Boolean(a.originalStartTime)) - Number(Boolean(b.originalStartTime)));
+    const seriesIds = new Map();
+    const results = [];
+    
+    for (const event of ordered) {
+      const result = { uid: event.iCalUID, summary: event.summary || null };
+      if (event.originalStartTime) {
+        result.recurrenceId = event.originalStartTime.dateTime || event.originalStartTime.date;
+      }
+      
+      try {
+        if (!event.originalStartTime) {
+          if (seriesIds.has(event.iCalUID)) {
+            Object.assign(result, { status: 'skipped', reason: 'Duplicate UID in the file' });
+          } else if (event.status === 'cancelled') {
+            Object.assign(result, { status: 'skipped', reason: 'Event is cancelled' });
+          } else {
+            Object.assign(result, await importEvent(req, provider, calendarId, event, { includeAttendees }));
+            seriesIds.set(event.iCalUID, result.eventId);
+          }
+        } else {
+          // The series may come from this file or an earlier import
+          let seriesId = seriesIds.get(event.iCalUID);
+          if (!seriesId) {
+            const { items } = await provider.listEvents(calendarId, { iCalUID: event.iCalUID });
+            seriesId = items.find(item => item.recurrence)?.id;
+          }
+          if (!seriesId) {
+            Object.assign(result, { status: 'failed', error: 'The recurring event this instance belongs to was not found' });
+          } else {
+            Object.assign(result, await importException(req, provider, calendarId, event, seriesId));
+          }
+        }
+      } catch (error) {
+        console.error(`Failed to import event ${event.iCalUID}:`, error.message);
+        Object.assign(result, { status: 'failed', error: error.message });
+      }
+      
+      results.push(result);
+    }
+    
+    const counts = { created: 0, updated: 0, skipped: 0, failed: 0 };
+    for (const result of results) counts[result.status] += 1;
+    
+    console.log(`Import into ${calendarId} finished: ${JSON.stringify(counts)}`);
+    
+    return res.status(200).json({
+      success: counts.failed === 0,
+      message: `Imported ${events.length} event(s): ${counts.created} created, ${counts.updated} updated, ${counts.skipped} skipped, ${counts.failed} failed`,
+      calendarId,
+      counts,
+      events: results
+    });
+  } catch (error) {
+    console.error('Calendar import failed:', error);
+    
+    if (error.code === 429) return sendRateLimited(res, error);
+    
+    if (error.code === 404) {
+      return res.status(404).json({
+        error: 'Calendar not found',
+        message: 'The specified calendar does not exist or is not accessible.',
+        details: error.message
+      });
+    }
+    if (error.code === 403) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'Service account does not have permission to access this calendar.',
+        details: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      error: 'Failed to import events',
+      message: error.message
+    });
+  }
+});
+
+// Defaults for slot searches
+const DEFAULT_WORKING_HOURS = { start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] };
+const HH_MM_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_SLOT_RESULTS = 100;
+
+// Merge overlapping busy intervals ({ start, end } Dates), widening each by the minimum gap
+const mergeBusyIntervals = (intervals, gapMs) => {
+  const sorted = intervals
+    .map(({ start, end }) => ({ start: new Date(start.getTime() - gapMs), end: new Date(end.getTime() + gapMs) }))
+    .sort((a, b) => a.start - b.start);
+  
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = new Date(Math.max(last.end, interval.end));
+    } else {
+      merged.push(interval);
+    }
+  }
+  return merged;
+};
+
+// Find open slots of the requested length inside working hours, avoiding the busy intervals
+const computeOpenSlots = ({ rangeStart, rangeEnd, busy, durationMs, stepMs, workingHours, timeZone }) => {
+  const slots = [];
+  const lastDay = formatInTimeZone(rangeEnd, timeZone).slice(0, 10);
+  
+  for (let day = formatInTimeZone(rangeStart, timeZone).slice(0, 10); day <= lastDay; day = addDays(day, 1)) {
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    if (!workingHours.days.includes(weekday)) continue;
+    
+    const workStart = zonedTimeToUtc(day, workingHours.start, timeZone);
+    const dayStart = new Date(Math.max(workStart, rangeStart));
+    const dayEnd = new Date(Math.min(zonedTimeToUtc(day, workingHours.end, timeZone), rangeEnd));
+    
+    // Walk the free windows between busy intervals for this day
+    let cursor = dayStart;
+    for (const interval of [...busy, { start: dayEnd, end: dayEnd }]) {
+      if (interval.end <= cursor) continue;
+      const windowEnd = new Date(Math.min(interval.start, dayEnd));
+      // Keep slot starts on step boundaries counted from the start of the working day
+      const firstSlot = workStart.getTime() + Math.ceil((cursor - workStart) / stepMs) * stepMs;
+      
+      for (let slotStart = firstSlot; slotStart + durationMs <= windowEnd.getTime(); slotStart += stepMs) {
+        slots.push({
+          start: new Date(slotStart),
+          end: new Date(slotStart + durationMs),
+          windowMinutes: Math.round((windowEnd - cursor) / 60000)
+        });
+      }
+      
+      if (interval.start >= dayEnd) break;
+      cursor = new Date(Math.max(cursor, interval.end));
+    }
+  }
+  
+  return slots;
+};
+
+// Find available time slots across one or more calendars
+app.post('/api/find-slots', requireScope('read'), async (req, res) => {
+  try {
+    const {
+      calendarIds = [getDefaultCalendarId(req)],
+      timeMin = new Date().toISOString(),
+      timeMax = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(), // 1 week from now
+      durationMinutes = 30,
+      minGapMinutes = 0,
+      slotStepMinutes = 30,
+      workingHours = {},
+      timeZone = 'America/Los_Angeles',
+      maxResults = 10
+    } = req.body;
+    
+    const calendars = [].concat(calendarIds).flatMap(id => String(id).split(',')).map(id => id.trim()).filter(Boolean);
+    const hours = { ...DEFAULT_WORKING_HOURS, ...workingHours };
+    const rangeStart = new Date(timeMin);
+    const rangeEnd = new Date(timeMax);
+    
+    if (Number.isNaN(rangeStart.getTime()) || Number.isNaN(rangeEnd.getTime()) || rangeEnd <= rangeStart) {
+      return res.status(400).json({
+        error: 'Invalid time range',
+        message: 'timeMin and timeMax must be valid ISO date strings with timeMax after timeMin'
+      });
+    }
+    
+    if (!Number.isInteger(Number(durationMinutes)) || Number(durationMinutes) <= 0 ||
+        !Number.isInteger(Number(slotStepMinutes)) || Number(slotStepMinutes) <= 0 ||
+        !Number.isInteger(Number(minGapMinutes)) || Number(minGapMinutes) < 0) {
+      return res.status(400).json({
+        error: 'Invalid duration',
+        message: 'durationMinutes and slotStepMinutes must be positive integers and minGapMinutes a non-negative integer'
+      });
+    }
+    
+    const limit = Number(maxResults);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SLOT_RESULTS) {
+      return res.status(400).json({
+        error: 'Invalid maxResults',
+        message: `maxResults must be a whole number from 1 to ${MAX_SLOT_RESULTS}`
+      });
+    }
+    
+    if (!HH_MM_PATTERN.test(hours.start) || !HH_MM_PATTERN.test(hours.end) || hours.end <= hours.start ||
+        !Array.isArray(hours.days) || hours.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return res.status(400).json({
+        error: 'Invalid working hours',
+        message: 'workingHours needs start and end as HH:MM (start before end) and days as weekday numbers 0 (Sunday) to 6'
+      });
+    }
+    
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        error: 'Invalid time zone',
+        message: `Unknown time zone: ${timeZone}`
+      });
+    }
+    
+    if (calendars.length === 0) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'calendarIds must contain at least one calendar ID'
+      });
+    }
+    
+    const provider = getCalendarProvider(req);
+    
+    console.log(`Querying free/busy for ${calendars.length} calendar(s)`);
+    
+    const freeBusy = await provider.queryFreeBusy({
+      timeMin: rangeStart.toISOString(),
+      timeMax: rangeEnd.toISOString(),
+      timeZone,
+      calendarIds: calendars
+    });
+    
+    // Collect busy periods from every calendar, noting any that could not be read
+    const busyIntervals = [];
+    const calendarErrors = {};
+    for (const [id, result] of Object.entries(freeBusy)) {
+      if (result.errors && result.errors.length > 0) {
+        calendarErrors[id] = result.errors.map(error => error.reason);
+      }
+      for (const period of result.busy || []) {
+        busyIntervals.push({ start: new Date(period.start), end: new Date(period.end) });
+      }
+    }
+    
+    const busy = mergeBusyIntervals(busyIntervals, Number(minGapMinutes) * 60000);
+    const slots = computeOpenSlots({
+      rangeStart,
+      rangeEnd,
+      busy,
+      durationMs: Number(durationMinutes) * 60000,
+      stepMs: Number(slotStepMinutes) * 60000,
+      workingHours: hours,
+      timeZone
+    });
+    
+    // Earliest slots first, preferring roomier free windows when two slots start together
+    const ranked = slots
+      .sort((a, b) => (a.start - b.start) || (b.windowMinutes - a.windowMinutes))
+      .slice(0, limit)
+      .map((slot, index) => ({
+        rank: index + 1,
+        start: formatInTimeZone(slot.start, timeZone),
+        end: formatInTimeZone(slot.end, timeZone),
+        freeWindowMinutes: slot.windowMinutes
+      }));
+    
+    console.log(`Found ${slots.length} open slot(s), returning ${ranked.length}`);
+    
+    return res.status(200).json({
+      success: true,
+      timeZone,
+      durationMinutes: Number(durationMinutes),
+      totalAvailable: slots.length,
+      slots: ranked,
+      busy: busyIntervals.map(interval => ({
+        start: formatInTimeZone(interval.start, timeZone),
+        end: formatInTimeZone(interval.end, timeZone)
+      })),
+      calendarErrors
+    });
+  } catch (error) {
+    console.error('Free/busy lookup failed:', error);
+    
+    if (error.code === 429) return sendRateLimited(res, error);
+    
+    if (error.code === 403) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'Service account does not have permission to read free/busy information for these calendars.',
+        details: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      error: 'Failed to find slots',
+      message: error.message
+    });
+  }
+});
+
+// Add a health check endpoint
+app.get('/health', (req, res) => {
+  res.status(200).send('OK');
+});
+
+// Update the status endpoint
+app.get('/api/status', async (req, res) => {
+  logToConsole('Status endpoint called');
+  
+  // Count pending events
+  let pendingCount = null;
+  let deadLetterCount = null;
+  try {
+    const counts = await pendingQueue.countByStatus();
+    pendingCount = counts.pending + counts.processing;
+    deadLetterCount = counts.dead_letter;
+  } catch (error) {
+    logToConsole(`Could not count pending events: ${error.message}`, 'error');
+  }
+  
+  // Check if we have a service account key
+  const keyFilePath = process.env.GOOGLE_SERVICE_ACCOUNT_KEY_PATH || './service-account-key.json';
+  const hasServiceAccount = fs.existsSync(keyFilePath);
+  
+  // Return status information
+  res.json({
+    status: 'operational',
+    pendingEvents: pendingCount,
+    deadLetterEvents: deadLetterCount,
+    queueStorage: pool ? 'postgres' : 'file',
+    calendarProvider: CALENDAR_PROVIDER,
+    authMode: AUTH_MODE,
+    hasServiceAccount,
+    delegationEnabled: DELEGATION_ALLOWED_USERS.length > 0,
+    defaultCalendarId: AUTH_MODE === 'oauth' ? 'primary' : DEFAULT_CALENDAR_ID,
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV || 'development'
+  });
+});
+
+const QUEUE_STATUSES = ['pending', 'processing', 'completed', 'dead_letter', 'cancelled'];
+const MAX_QUEUE_RESULTS = 500;
+
+// Shape a queue item for API responses
+const formatQueueItem = (item) => ({
+  eventId: item.id,
+  status: item.status,
+  calendarId: item.calendarId,
+  summary: item.payload?.summary,
+  startDateTime: item.payload?.startDateTime,
+  endDateTime: item.payload?.endDateTime,
+  attempts: item.attempts,
+  maxAttempts: pendingQueue.MAX_ATTEMPTS,
+  lastError: item.lastError,
+  nextAttemptAt: item.status === 'pending' ? item.nextAttemptAt : null,
+  createdEvent: item.result || null,
+  createdAt: item.createdAt,
+  updatedAt: item.updatedAt
+});
+
+// Send the response for a queue status change that could not be applied
+const sendQueueTransitionError = (res, result, action) => {
+  if (result.error === 'not_found') {
+    return res.status(404).json({
+      error: 'Queued event not found',
+      message: 'No queued event has this eventId'
+    });
+  }
+  return res.status(409).json({
+    error: 'Invalid queue status',
+    message: `Cannot ${action} a queued event that is ${result.item.status}`,
+    queuedEvent: formatQueueItem(result.item)
+  });
+};
+
+// The queued item of the request, or null when it is missing or on a calendar the API key may not use
+const findQueueItemForKey = async (req) => {
+  const item = await pendingQueue.getItem(req.params.eventId, { userId: req.user?.id });
+  return item && canUseCalendar(req, item.calendarId) ? item : null;
+};
+
+// Validate the limit of a queue listing; sends a 400 and returns null when it is invalid
+const parseQueueLimit = (req, res) => {
+  const limit = Number(req.query.limit ?? 50);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUEUE_RESULTS) {
+    res.status(400).json({
+      error: 'Invalid limit',
+      message: `limit must be a whole number from 1 to ${MAX_QUEUE_RESULTS}`
+    });
+    return null;
+  }
+  return limit;
+};
+
+// List queued event creations
+app.get('/api/queue', requireScope('read', { checkCalendars: false }), async (req, res) => {
+  try {
+    const { status } = req.query;
+    
+    if (status && !QUEUE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `status must be one of ${QUEUE_STATUSES.join(', ')}`
+      });
+    }
+    
+    const limit = parseQueueLimit(req, res);
+    if (limit === null) return;
+    
+    // Keys limited to some calendars only see items on those
+    const calendarIds = req.apiKey?.calendarIds || undefined;
+    const items = await pendingQueue.listItems({ status, calendarIds, limit, userId: req.user?.id });
+    
+    return res.status(200).json({
+      success: true,
+      counts: await pendingQueue.countByStatus({ calendarIds, userId: req.user?.id }),
+      queuedEvents: items.map(formatQueueItem)
+    });
+  } catch (error) {
+    console.error('Error listing queue:', error);
+    return res.status(500).json({
+      error: 'Failed to list queue',
+      message: error.message
+    });
+  }
+});
+
+// List queued event creations that ran out of attempts
+app.get('/api/queue/dead-letter', requireScope('read', { checkCalendars: false }), async (req, res) => {
+  try {
+    const limit = parseQueueLimit(req, res);
+    if (limit === null) return;
+    
+    const items = await pendingQueue.listItems({
+      status: 'dead_letter',
+      calendarIds: req.apiKey?.calendarIds || undefined,
+      limit,
+      userId: req.user?.id
+    });
+    
+    return res.status(200).json({
+      success: true,
+      queuedEvents: items.map(formatQueueItem)
+    });
+  } catch (error) {
+    console.error('Error listing dead-letter queue:', error);
+    return res.status(500).json({
+      error: 'Failed to list dead-letter queue',
+      message: error.message
+    });
+  }
+});
+
+// Get one queued event creation by the eventId returned when it was queued
+app.get('/api/queue/:eventId', requireScope('read', { checkCalendars: false }), async (req, res) => {
+  try {
+    const item = await findQueueItemForKey(req);
+    
+    if (!item) {
+      return res.status(404).json({
+        error: 'Queued event not found',
+        message: 'No queued event has this eventId'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      queuedEvent: formatQueueItem(item)
+    });
+  } catch (error) {
+    console.error('Error fetching queued event:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch queued event',
+      message: error.message
+    });
+  }
+});
+
+// Retry a queued event creation on the next worker run, with a fresh set of attempts
+app.post('/api/queue/:eventId/retry', requireScope('write', { checkCalendars: false }), async (req, res) => {
+  try {
+    const result = await findQueueItemForKey(req)
+      ? await pendingQueue.retryItem(req.params.eventId, { userId: req.user?.id })
+      : { error: 'not_found' };
+    if (result.error) return sendQueueTransitionError(res, result, 'retry');
+    
+    logToConsole(`Queued event ${req.params.eventId} scheduled for retry`);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Queued event will be retried on the next worker run',
+      queuedEvent: formatQueueItem(result.item)
+    });
+  } catch (error) {
+    console.error('Error retrying queued event:', error);
+    return res.status(500).json({
+      error: 'Failed to retry queued event',
+      message: error.message
+    });
+  }
+});
+
+// Cancel a queued event creation
+app.post('/api/queue/:eventId/cancel', requireScope('write', { checkCalendars: false }), async (req, res) => {
+  try {
+    const result = await findQueueItemForKey(req)
+      ? await pendingQueue.cancelItem(req.params.eventId, { userId: req.user?.id })
+      : { error: 'not_found' };
+    if (result.error) return sendQueueTransitionError(res, result, 'cancel');
+    
+    logToConsole(`Queued event ${req.params.eventId} cancelled`);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Queued event cancelled',
+      queuedEvent: formatQueueItem(result.item)
+    });
+  } catch (error) {
+    console.error('Error cancelling queued event:', error);
+    return res.status(500).json({
+      error: 'Failed to cancel queued event',
+      message: error.message
+    });
+  }
+});
+
+// Delete a calendar event - handle both DELETE and POST methods
+app.delete('/api/delete-event', requireScope('delete'), idempotency.idempotent('delete-event'), handleDeleteEvent);
+app.post('/api/delete-event', requireScope('delete'), idempotency.idempotent('delete-event'), handleDeleteEvent);
+
+async function handleDeleteEvent(req, res) {
+  try {
+    const { 
+      calendarId = getDefaultCalendarId(req),
+      eventId,
+      scope = 'instance'
+    } = req.body;
+    
+    if (!eventId) {
+      return res.status(400).json({ 
+        error: 'Missing required field', 
+        message: 'eventId is required'
+      });
+    }
+    
+    if (!RECURRENCE_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        error: 'Invalid scope',
+        message: `scope must be one of ${RECURRENCE_SCOPES.join(', ')}`
+      });
+    }
+    
+    try {
+      const provider = getCalendarProvider(req);
+      
+      console.log(`Attempting to delete event ${eventId} from calendar: ${calendarId}`);
+      
+      // First verify the calendar exists and we have access
+      try {
+        await provider.getCalendar(calendarId);
+        console.log(`Verified access to calendar: ${calendarId}`);
+      } catch (error) {
+        if (error.code === 404) {
+          return res.status(404).json({
+            error: 'Calendar not found',
+            message: 'The specified calendar does not exist or is not accessible.'
+          });
+        }
+        if (error.code === 403) {
+          return res.status(403).json({
+            error: 'Permission denied',
+            message: 'Service account does not have permission to access this calendar.',
+            details: error.message
+          });
+        }
+        throw error;
+      }
+      
+      // Resolve which event to delete when cancelling more than one instance of a series
+      let targetEventId = eventId;
+      if (scope !== 'instance') {
+        let instance;
+        try {
+          instance = await provider.getEvent(calendarId, eventId);
+        } catch (error) {
+          if (error.code === 404) {
+            return res.status(404).json({
+              error: 'Event not found',
+              message: 'The event was not found. Please verify the calendar and event IDs.',
+              details: error.message
+            });
+          }
+          throw error;
+        }
+
+        // Deleted instances stay readable as cancelled events
+        if (instance.status === 'cancelled') {
+          return res.status(404).json({
+            error: 'Event not found',
+            message: 'The event was already deleted or does not exist.'
+          });
+        }
+
+        if (instance.recurringEventId && scope === 'all') {
+          targetEventId = instance.recurringEventId;
+        } else if (instance.recurringEventId && scope === 'following') {
+          const split = await truncateSeriesBefore(provider, calendarId, instance, 'all');
+          
+          if (split.isFirstInstance) {
+            targetEventId = split.master.id;
+          } else {
+            console.log(`Cancelled instances of series ${split.master.id} from ${eventId} onwards`);
+            await recordAudit(req, { action: 'delete', calendarId, eventId, before: instance, after: split.truncated, outcome: 'success' });
+            return res.status(200).json({
+              success: true,
+              message: 'This and following events deleted successfully',
+              recurringEventId: split.master.id,
+              ...await trashForUndo(req, [{ operation: 'truncate', calendarId, eventId: split.master.id, snapshot: split.master }])
+            });
+          }
+        }
+      }
+      
+      // Snapshot the event for undo and the audit log; a missing event is reported by the delete below
+      const before = await provider.getEvent(calendarId, targetEventId).catch(() => null);
+      
+      // Try to delete the event directly
+      try {
+        await withAudit(req, { action: 'delete', calendarId, eventId: targetEventId, before },
+          () => provider.deleteEvent(calendarId, targetEventId, { sendUpdates: 'all' }));
+        
+        console.log(`Successfully deleted event ${targetEventId} from calendar ${calendarId}`);
+        return res.status(200).json({ 
+          success: true,
+          message: targetEventId === eventId ? 'Event deleted successfully' : 'All events in the series deleted successfully',
+          ...await trashForUndo(req, before ? [{ operation: 'delete', calendarId, eventId: targetEventId, snapshot: before }] : [])
+        });
+      } catch (error) {
+        // A missing or already deleted event is a 404 for every scope; retries that must not
+        // fail should send an Idempotency-Key, which replays the first response
+        if (error.code === 404 || error.code === 410) {
+          console.log(`Event ${targetEventId} was already deleted or does not exist`);
+          return res.status(404).json({
+            error: 'Event not found',
+            message: 'The event was already deleted or does not exist.',
+            details: error.message
+          });
+        }
+        
+        if (error.code === 403) {
+          return res.status(403).json({
+            error: 'Permission denied',
+            message: 'Service account does not have permission to delete this event.',
+            details: error.message
+          });
+        }
+        
+        throw error;
+      }
+    } catch (error) {
+      console.error('Calendar delete access failed:', error);
+      
+      if (error.code === 429) return sendRateLimited(res, error);
+      
+      // The series lookups above can find an event that is gone as well
+      if (error.code === 410) {
+        return res.status(404).json({
+          error: 'Event not found',
+          message: 'The event was already deleted or does not exist.',
+          details: error.message
+        });
+      }
+      
+      return res.status(500).json({
+        error: 'Failed to delete event',
+        message: error.message
+      });
+    }
+  } catch (error) {
+    console.error('Error in delete-event endpoint:', error);
+    return res.status(500).json({
+      error: 'Server error',
+      message: error.message
+    });
+  }
+}
+
+// Apply an edit made on one instance to its whole series. Time changes are applied as a
+// shift relative to the instance, so the series keeps its own start date.
+const updateEntireSeries = async (req, provider, calendarId, instance, changes, sendUpdates) => {
+  const master = await provider.getEvent(calendarId, instance.recurringEventId);
+  const seriesChanges = { ...changes };
+  
+  if (changes.start && master.start?.dateTime && instance.start?.dateTime) {
+    const shift = toInstant(changes.start) - toInstant(instance.start);
+    const duration = toInstant(changes.end) - toInstant(changes.start);
+    const seriesStart = new Date(toInstant(master.start).getTime() + shift);
+    
+    seriesChanges.start = { dateTime: seriesStart.toISOString(), timeZone: changes.start.timeZone };
+    seriesChanges.end = { dateTime: new Date(seriesStart.getTime() + duration).toISOString(), timeZone: changes.end.timeZone };
+  } else if (changes.start?.date && master.start?.date && instance.start?.date) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const shiftDays = Math.round((new Date(changes.start.date) - new Date(instance.start.date)) / dayMs);
+    const lengthDays = Math.round((new Date(changes.end.date) - new Date(changes.start.date)) / dayMs);
+    const seriesStartDate = addDays(master.start.date, shiftDays);
+    
+    seriesChanges.start = { ...changes.start, date: seriesStartDate };
+    seriesChanges.end = { ...changes.end, date: addDays(seriesStartDate, lengthDays) };
+  }
+  
+  console.log(`Updating all events in series ${master.id}`);
+  
+  const updated = await withAudit(req, { action: 'update', calendarId, eventId: master.id, before: master },
+    () => provider.patchEvent(calendarId, master.id, seriesChanges, { sendUpdates, ...getConferenceOptions(seriesChanges) }));
+  
+  return {
+    success: true,
+    message: 'All events in the series updated successfully',
+    eventId: updated.id,
+    htmlLink: updated.htmlLink,
+    conference: getConference(updated),
+    category: getEventCategory(updated),
+    changes: diffEventFields(master, updated)
+  };
+};
+
+// List the instances of a recurring event
+app.get('/api/list-instances', requireScope('read'), async (req, res) => {
+  try {
+    const {
+      calendarId = getDefaultCalendarId(req),
+      eventId,
+      timeMin,
+      timeMax,
+      maxResults = 25
+    } = req.query;
+    
+    if (!eventId) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'eventId is required'
+      });
+    }
+    
+    const provider = getCalendarProvider(req);
+    
+    // Accept either the series ID or the ID of one of its instances
+    const event = await provider.getEvent(calendarId, eventId);
+    const recurringEventId = event.recurringEventId || event.id;
+    
+    if (!event.recurringEventId && !event.recurrence) {
+      return res.status(400).json({
+        error: 'Not a recurring event',
+        message: 'The specified event is not part of a recurring series'
+      });
+    }
+    
+    console.log(`Listing instances of series ${recurringEventId}`);
+    
+    const { items } = await provider.listInstances(calendarId, recurringEventId, {
+      timeMin,
+      timeMax,
+      maxResults
+    });
+    
+    return res.status(200).json({
+      success: true,
+      recurringEventId,
+      recurrence: event.recurrence || null,
+      instances: items
+    });
+  } catch (error) {
+    console.error('Calendar instances access failed:', error);
+    
+    if (error.code === 429) return sendRateLimited(res, error);
+    
+    if (error.code === 404) {
+      return res.status(404).json({
+        error: 'Event not found',
+        message: 'The event was not found. Please verify the calendar and event IDs.',
+        details: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      error: 'Failed to list instances',
+      message: error.message
+    });
+  }
+});
+
+// Update an existing calendar event - handle both PATCH and POST methods
+app.patch('/api/update-event', requireScope('write'), handleUpdateEvent);
+app.post('/api/update-event', requireScope('write'), handleUpdateEvent);
+
+async function handleUpdateEvent(req, res) {
+  try {
+    const {
+      calendarId = getDefaultCalendarId(req),
+      eventId,
+      summary,
+      description,
+      location,
+      startDateTime,
+      endDateTime,
+      timeZone,
+      allDay,
+      recurrence,
+      conference,
+      category,
+      scope = 'instance',
+      sendUpdates = 'all'
+    } = req.body;
+    
+    if (!eventId) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'eventId is required'
+      });
+    }
+    
+    if (!RECURRENCE_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        error: 'Invalid scope',
+        message: `scope must be one of ${RECURRENCE_SCOPES.join(', ')}`
+      });
+    }
+
+    if (!SEND_UPDATES_OPTIONS.includes(sendUpdates)) {
+      return res.status(400).json({
+        error: 'Invalid sendUpdates',
+        message: `sendUpdates must be one of ${SEND_UPDATES_OPTIONS.join(', ')}`
+      });
+    }
+
+    const provider = getCalendarProvider(req);
+
+    // Load the current event so partial time changes can be validated against it
+    let existingEvent;
+    try {
+      existingEvent = await provider.getEvent(calendarId, eventId);
+    } catch (error) {
+      if (error.code === 404) {
+        return res.status(404).json({
+          error: 'Event not found',
+          message: 'The event was not found. Please verify the calendar and event IDs.',
+          details: error.message
+        });
+      }
+      if (error.code === 403) {
+        return res.status(403).json({
+          error: 'Permission denied',
+          message: 'Service account does not have permission to access this event.',
+          details: error.message
+        });
+      }
+      throw error;
+    }
+    
+    // Only send the fields that were provided
+    const changes = {};
+    if (summary !== undefined) changes.summary = summary;
+    if (description !== undefined) changes.description = description;
+    if (location !== undefined) changes.location = location;
+    
+    if (startDateTime !== undefined || endDateTime !== undefined || timeZone !== undefined || allDay !== undefined) {
+      const wasAllDay = Boolean(existingEvent.start?.date);
+      // Stored all-day end dates are exclusive - turn them back into the inclusive last day
+      const existingEnd = wasAllDay ? addDays(existingEvent.end.date, -1) : existingEvent.end?.dateTime;
+      const effectiveStart = startDateTime || existingEvent.start?.dateTime || existingEvent.start?.date;
+      const effectiveEnd = endDateTime || existingEnd;
+      const effectiveTimeZone = timeZone || existingEvent.start?.timeZone || 'America/Los_Angeles';
+      const effectiveAllDay = allDay !== undefined
+        ? allDay
+        : (startDateTime === undefined && endDateTime === undefined ? wasAllDay : undefined);
+      
+      const eventTimes = buildEventTimes({
+        startDateTime: effectiveStart,
+        endDateTime: effectiveEnd,
+        timeZone: effectiveTimeZone,
+        allDay: effectiveAllDay
+      });
+      if (eventTimes.error) {
+        return res.status(400).json(eventTimes);
+      }
+      
+      // Clear the other representation so switching between all-day and timed works with patch
+      changes.start = eventTimes.allDay ? { ...eventTimes.start, dateTime: null, timeZone: null } : { ...eventTimes.start, date: null };
+      changes.end = eventTimes.allDay ? { ...eventTimes.end, dateTime: null, timeZone: null } : { ...eventTimes.end, date: null };
+    }
+    
+    if (recurrence !== undefined) {
+      // A single occurrence can't carry its own recurrence rules
+      if (existingEvent.recurringEventId && scope === 'instance') {
+        return res.status(400).json({
+          error: 'Invalid scope',
+          message: 'Changing the recurrence requires scope "following" or "all"'
+        });
+      }
+      
+      const built = buildRecurrence(recurrence);
+      if (built.error) {
+        return res.status(400).json({
+          error: 'Invalid recurrence',
+          message: built.error
+        });
+      }
+      changes.recurrence = built.recurrence;
+    }
+    
+    // category null takes the event out of its category
+    if (category !== undefined) {
+      const target = category === null ? null : findCategory(category);
+      if (category !== null && !target) {
+        return res.status(400).json(invalidCategory(category));
+      }
+      Object.assign(changes, toCategoryFields(target, { ...existingEvent, ...changes }));
+    }
+    
+    if (conference !== undefined) {
+      const videoCall = validateConference(conference);
+      if (videoCall.error) {
+        return res.status(400).json(videoCall);
+      }
+      Object.assign(changes, toConferenceFields(videoCall.conference, { ...existingEvent, ...changes }));
+      
+      if (Object.keys(changes).length === 0) {
+        return res.status(200).json({
+          success: true,
+          message: 'The event already has this conference',
+          eventId: existingEvent.id,
+          htmlLink: existingEvent.htmlLink,
+          conference: getConference(existingEvent),
+          changes: {}
+        });
+      }
+    }
+    
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        error: 'No changes provided',
+        message: 'Provide at least one of summary, description, location, startDateTime, endDateTime, timeZone, recurrence, conference or category'
+      });
+    }
+    
+    // Series-wide edits are applied to the recurring event itself rather than the instance
+    if (existingEvent.recurringEventId && scope === 'all') {
+      return res.status(200).json(
+        await updateEntireSeries(req, provider, calendarId, existingEvent, changes, sendUpdates)
+      );
+    }
+    
+    if (existingEvent.recurringEventId && scope === 'following') {
+      const split = await truncateSeriesBefore(provider, calendarId, existingEvent, sendUpdates);
+      
+      if (split.isFirstInstance) {
+        return res.status(200).json(
+          await updateEntireSeries(req, provider, calendarId, existingEvent, changes, sendUpdates)
+        );
+      }
+      
+      // The remaining instances continue as a new series carrying the changes
+      const newSeries = {
+        ...toInsertableEvent(split.master),
+        start: existingEvent.start,
+        end: existingEvent.end,
+        recurrence: split.remainingRecurrence,
+        ...changes
+      };
+      
+      console.log(`Splitting series ${split.master.id} at instance ${eventId}`);
+      await recordAudit(req, { action: 'update', calendarId, eventId: split.master.id, before: split.master, after: split.truncated, outcome: 'success' });
+      
+      const created = await withAudit(req, { action: 'create', calendarId },
+        () => provider.insertEvent(calendarId, newSeries, { sendUpdates, ...getConferenceOptions(newSeries) }));
+      
+      return res.status(200).json({
+        success: true,
+        message: 'This and following events updated successfully',
+        eventId: created.id,
+        previousSeriesId: split.master.id,
+        htmlLink: created.htmlLink,
+        conference: getConference(created),
+        category: getEventCategory(created),
+        changes: diffEventFields(existingEvent, created)
+      });
+    }
+    
+    console.log(`Updating event ${eventId} in calendar ${calendarId}`);
+    
+    const updated = await withAudit(req, { action: 'update', calendarId, eventId, before: existingEvent },
+      () => provider.patchEvent(calendarId, eventId, changes, { sendUpdates, ...getConferenceOptions(changes) }));
+    
+    console.log(`Successfully updated event ${eventId}`);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Event updated successfully',
+      eventId: updated.id,
+      htmlLink: updated.htmlLink,
+      conference: getConference(updated),
+      category: getEventCategory(updated),
+      changes: diffEventFields(existingEvent, updated)
+    });
+  } catch (error) {
+    console.error('Calendar update access failed:', error);
+    
+    if (error.code === 429) return sendRateLimited(res, error);
+    
+    if (error.code === 403) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'Service account does not have permission to update this event.',
+        details: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      error: 'Failed to update event',
+      message: error.message
+    });
+  }
+}
+
+// Move a calendar event
+app.post('/api/move-event', requireScope('write'), idempotency.idempotent('move-event'), async (req, res) => {
+  try {
+    const { 
+      calendarId = getDefaultCalendarId(req),
+      eventId,
+      destinationCalendarId,
+      sendUpdates = 'all',
+      conflictPolicy = 'warn'
+    } = req.body;
+    
+    if (!eventId || !destinationCalendarId) {
+      return res.status(400).json({ 
+        error: 'Missing required fields', 
+        message: 'eventId and destinationCalendarId are required'
+      });
+    }
+
+    // Validate destination calendar ID
+    if (destinationCalendarId === 'primary' && !req.user && !req.delegatedUser) {
+      return res.status(400).json({
+        error: 'Invalid destination calendar',
+        message: 'Service account cannot access primary calendar. Please provide a specific calendar ID, or pass asUser.'
+      });
+    }
+    
+    if (!CONFLICT_POLICIES.includes(conflictPolicy)) {
+      return res.status(400).json({
+        error: 'Invalid conflict policy',
+        message: `conflictPolicy must be one of ${CONFLICT_POLICIES.join(', ')}`
+      });
+    }
+    
+    if (!SEND_UPDATES_OPTIONS.includes(sendUpdates)) {
+      return res.status(400).json({
+        error: 'Invalid sendUpdates',
+        message: `sendUpdates must be one of ${SEND_UPDATES_OPTIONS.join(', ')}`
+      });
+    }
+    
+    const provider = getCalendarProvider(req);
+    
+    // First verify access to both calendars
+    let sourceEvent;
+    try {
+      // Verify source calendar access
+      await provider.getCalendar(calendarId);
+      
+      // Verify destination calendar access
+      await provider.getCalendar(destinationCalendarId);
+      
+      // Verify event exists and we have access
+      sourceEvent = await provider.getEvent(calendarId, eventId);
+    } catch (error) {
+      if (error.code === 404) {
+        return res.status(404).json({
+          error: 'Resource not found',
+          message: 'One or more resources (calendar or event) were not found. Please verify the IDs.',
+          details: error.message
+        });
+      }
+      if (error.code === 403) {
+        return res.status(403).json({
+          error: 'Permission denied',
+          message: 'Service account does not have access to one or more resources. Please ensure the service account has the necessary permissions.',
+          details: error.message
+        });
+      }
+      throw error;
+    }
+    
+    // Check the destination calendar for overlapping events
+    let conflicts = [];
+    if (conflictPolicy !== 'allow') {
+      conflicts = await findConflicts(provider, destinationCalendarId, sourceEvent, { excludeEventId: eventId });
+      
+      if (conflicts.length > 0 && conflictPolicy === 'reject') {
+        console.log(`Rejected move of ${eventId}: ${conflicts.length} conflicting event(s) in ${destinationCalendarId}`);
+        return res.status(409).json({
+          error: 'Scheduling conflict',
+          message: 'The event overlaps existing events in the destination calendar. Retry with conflictPolicy "allow" to move it anyway.',
+          conflicts
+        });
+      }
+    }
+    
+    console.log(`Moving event ${eventId} from calendar ${calendarId} to ${destinationCalendarId}`);
+    
+    const movedEvent = await withAudit(req, { action: 'move', calendarId, eventId, before: sourceEvent },
+      () => provider.moveEvent(calendarId, eventId, destinationCalendarId, { sendUpdates }));
+    
+    console.log(`Successfully moved event ${eventId} to calendar ${destinationCalendarId}`);
+    
+    return res.status(200).json({ 
+      success: true,
+      message: conflicts.length > 0
+        ? `Event moved successfully, but it overlaps ${conflicts.length} event(s) in the destination calendar`
+        : 'Event moved successfully',
+      event: movedEvent,
+      conflicts,
+      ...await trashForUndo(req, [{ operation: 'move', calendarId, eventId, destinationCalendarId, snapshot: sourceEvent }])
+    });
+  } catch (error) {
+    console.error('Calendar move access failed:', error);
+    
+    if (error.code === 429) return sendRateLimited(res, error);
+    
+    // Provide more specific error messages
+    if (error.code === 404) {
+      return res.status(404).json({
+        error: 'Resource not found',
+        message: 'The event was not found. Please verify the event ID.',
+        details: error.message
+      });
+    }
+    if (error.code === 403) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'Service account does not have permission to move this event. Please ensure the service account has access to both calendars.',
+        details: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      error: 'Failed to move event',
+      message: error.message
+    });
+  }
+});
+
+const RESPONSE_STATUSES = ['needsAction', 'declined', 'tentative', 'accepted'];
+const PENDING_RSVP_DAYS = 14;
+const MAX_PENDING_RSVP_DAYS = 90;
+
+// Attendee as returned by the API. Attendees who haven't answered have responseStatus needsAction.
+const formatAttendee = (attendee) => ({
+  email: attendee.email,
+  displayName: attendee.displayName || null,
+  optional: Boolean(attendee.optional),
+  responseStatus: attendee.responseStatus || 'needsAction',
+  comment: attendee.comment || null,
+  organizer: Boolean(attendee.organizer),
+  self: Boolean(attendee.self),
+  resource: Boolean(attendee.resource)
+});
+
+// Number of attendees per responseStatus
+const countResponses = (attendees) => Object.fromEntries(RESPONSE_STATUSES.map(status =>
+  [status, attendees.filter(attendee => (attendee.responseStatus || 'needsAction') === status).length]));
+
+const sameEmail = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Load an event for an attendee route. Sends the 404/403 response itself and returns null then.
+const loadEventForAttendees = async (res, provider, calendarId, eventId) => {
+  try {
+    return await provider.getEvent(calendarId, eventId);
+  } catch (error) {
+    if (error.code === 404) {
+      res.status(404).json({
+        error: 'Event not found',
+        message: 'The event was not found. Please verify the calendar and event IDs.',
+        details: error.message
+      });
+      return null;
+    }
+    if (error.code === 403) {
+      res.status(403).json({
+        error: 'Permission denied',
+        message: 'Service account does not have permission to access this event.',
+        details: error.message
+      });
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Get the attendees of an event with their responses
+app.get('/api/attendees', requireScope('read'), async (req, res) => {
+  try {
+    const { calendarId = getDefaultCalendarId(req), eventId } = req.query;
+    
+    if (!eventId) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'eventId is required'
+      });
+    }
+    
+    const event = await loadEventForAttendees(res, getCalendarProvider(req), calendarId, eventId);
+    if (!event) return;
+    
+    const attendees = (event.attendees || []).map(formatAttendee);
+    return res.status(200).json({
+      success: true,
+      eventId: event.id,
+      summary: event.summary,
+      start: event.start?.dateTime || event.start?.date,
+      end: event.end?.dateTime || event.end?.date,
+      attendees,
+      responses: countResponses(attendees)
+    });
+  } catch (error) {
+    console.error('Calendar attendees access failed:', error);
+    
+    if (error.code === 429) return sendRateLimited(res, error);
+    
+    return res.status(500).json({
+      error: 'Failed to get attendees',
+      message: error.message
+    });
+  }
+});
+
+// Apply an attendee change to an event. buildChange(body, attendees) returns the new attendee
+// list and what changed, or { status, error, message } to reject the request.
+const handleAttendeeChange = (buildChange) => async (req, res) => {
+  try {
+    const { calendarId = getDefaultCalendarId(req), eventId, sendUpdates = 'all' } = req.body;
+    
+    if (!eventId) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'eventId is required'
+      });
+    }
+    
+    if (!SEND_UPDATES_OPTIONS.includes(sendUpdates)) {
+      return res.status(400).json({
+        error: 'Invalid sendUpdates',
+        message: `sendUpdates must be one of ${SEND_UPDATES_OPTIONS.join(', ')}`
+      });
+    }
+    
+    const provider = getCalendarProvider(req);
+    const existing = await loadEventForAttendees(res, provider, calendarId, eventId);
+    if (!existing) return;
+    
+    const change = buildChange(req.body, existing.attendees || []);
+    if (change.error) {
+      const { status, ...body } = change;
+      return res.status(status).json(body);
+    }
+    
+    console.log(`Updating attendees of event ${eventId} in calendar ${calendarId}`);
+    
+    const updated = await withAudit(req, { action: 'update', calendarId, eventId, before: existing },
+      () => provider.patchEvent(calendarId, eventId, { attendees: change.attendees }, { sendUpdates }));
+    
+    const attendees = (updated.attendees || []).map(formatAttendee);
+    return res.status(200).json({
+      success: true,
+      message: 'Attendees updated successfully',
+      eventId: updated.id,
+      htmlLink: updated.htmlLink,
+      sendUpdates,
+      added: change.added || [],
+      removed: change.removed || [],
+      updated: change.updated || [],
+      attendees,
+      responses: countResponses(attendees)
+    });
+  } catch (error) {
+    console.error('Calendar attendee update failed:', error);
+    
+    if (error.code === 429) return sendRateLimited(res, error);
+    
+    if (error.code === 403) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'Service account does not have permission to update this event.',
+        details: error.message
+      });
+    }
     
-    if (!eventId) {
-      return res.status(400).json({ 
-        error: 'Missing required field', 
-        message: 'eventId is required'
+    return res.status(500).json({
+      error: 'Failed to update attendees',
+      message: error.message
+    });
+  }
+};
+
+// Invite attendees. Existing attendees keep their response; their optional flag and display
+// name are updated when given.
+app.post('/api/add-attendees', requireScope('write'), handleAttendeeChange((body, current) => {
+  const guests = normalizeAttendees(body.attendees);
+  if (guests.error) return { status: 400, ...guests };
+  if (guests.attendees.length === 0) {
+    return { status: 400, error: 'Missing required field', message: 'attendees must list at least one email' };
+  }
+  
+  const attendees = [...current];
+  const added = [];
+  const updated = [];
+  for (const guest of guests.attendees) {
+    const index = attendees.findIndex(attendee => sameEmail(attendee.email, guest.email));
+    if (index === -1) {
+      attendees.push(guest);
+      added.push(guest.email);
+    } else if (guest.optional !== undefined || guest.displayName) {
+      attendees[index] = { ...attendees[index], ...guest, email: attendees[index].email };
+      updated.push(attendees[index].email);
+    }
+  }
+  return { attendees, added, updated };
+}));
+
+// Uninvite attendees by email
+app.post('/api/remove-attendees', requireScope('write'), handleAttendeeChange((body, current) => {
+  const { emails } = body;
+  if (!Array.isArray(emails) || emails.length === 0 || emails.some(email => typeof email !== 'string')) {
+    return { status: 400, error: 'Invalid emails', message: 'emails must be a non-empty array of email addresses' };
+  }
+  
+  const removed = current
+    .filter(attendee => emails.some(email => sameEmail(attendee.email, email.trim())))
+    .map(attendee => attendee.email);
+  if (removed.length === 0) {
+    return { status: 404, error: 'Attendee not found', message: 'None of the emails is an attendee of this event' };
+  }
+  
+  return { attendees: current.filter(attendee => !removed.includes(attendee.email)), removed };
+}));
+
+// Make an attendee optional or required, or change their display name
+app.post('/api/update-attendee', requireScope('write'), handleAttendeeChange((body, current) => {
+  const { email, optional, displayName } = body;
+  if (typeof email !== 'string' || !email.trim()) {
+    return { status: 400, error: 'Missing required field', message: 'email is required' };
+  }
+  if (optional !== undefined && typeof optional !== 'boolean') {
+    return { status: 400, error: 'Invalid optional', message: 'optional must be true or false' };
+  }
+  if (optional === undefined && displayName === undefined) {
+    return { status: 400, error: 'No changes provided', message: 'Provide optional and/or displayName' };
+  }
+  
+  const index = current.findIndex(attendee => sameEmail(attendee.email, email.trim()));
+  if (index === -1) {
+    return { status: 404, error: 'Attendee not found', message: `${email} is not an attendee of this event` };
+  }
+  
+  const attendees = [...current];
+  attendees[index] = {
+    ...attendees[index],
+    ...(optional !== undefined ? { optional } : {}),
+    ...(displayName !== undefined ? { displayName: String(displayName) } : {})
+  };
+  return { attendees, updated: [attendees[index].email] };
+}));
+
+// Upcoming events with attendees who haven't responded yet. The organizer and resources (rooms)
+// are left out; tentative answers count as pending with includeTentative=true.
+app.get('/api/pending-rsvps', requireScope('read'), async (req, res) => {
+  try {
+    const {
+      calendarId = getDefaultCalendarId(req),
+      timeMin = new Date().toISOString(),
+      timeMax = new Date(new Date(timeMin).getTime() + PENDING_RSVP_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+      includeTentative,
+      includeOptional
+    } = req.query;
+    
+    const rangeStart = new Date(timeMin);
+    const rangeEnd = new Date(timeMax);
+    if (Number.isNaN(rangeStart.getTime()) || Number.isNaN(rangeEnd.getTime()) || rangeEnd <= rangeStart) {
+      return res.status(400).json({
+        error: 'Invalid time range',
+        message: 'timeMin and timeMax must be valid dates with timeMax after timeMin'
+      });
+    }
+    if (rangeEnd - rangeStart > MAX_PENDING_RSVP_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        error: 'Invalid time range',
+        message: `The time range can be at most ${MAX_PENDING_RSVP_DAYS} days`
       });
     }
     
-    // Try to use service account
-    try {
-      const keyFilePath = process.env.GOOGLE_SERVICE_ACCOUNT_KEY_PATH || path.join(__dirname, 'service-account-key.json');
-      
-      // Read the key file directly and parse it
-      let credentials;
-      try {
-        const keyFileContent = fs.readFileSync(keyFilePath, 'utf8');
-        credentials = JSON.parse(keyFileContent);
-        console.log('Successfully loaded credentials from file');
-      } catch (readError) {
-        console.error('Error reading key file:', readError);
-        throw new Error('Could not read service account key file');
-      }
-      
-      // Create auth client directly with credentials
-      const auth = new google.auth.JWT(
-        credentials.client_email || credentials.web?.client_email,
-        null,
-        credentials.private_key || credentials.web?.private_key,
-        ['https://www.googleapis.com/auth/calendar']
-      );
-      
-      // Initialize the calendar API with our authenticated client
-      const calendar = google.calendar({ version: 'v3', auth });
-      
-      console.log(`Attempting to delete event ${eventId} from calendar: ${calendarId}`);
-      
-      // First verify the calendar exists and we have access
-      try {
-        await calendar.calendars.get({ calendarId });
-        console.log(`Verified access to calendar: ${calendarId}`);
-      } catch (error) {
-        if (error.code === 404) {
-          return res.status(404).json({
-            error: 'Calendar not found',
-            message: 'The specified calendar does not exist or is not accessible.'
-          });
-        }
-        if (error.code === 403) {
-          return res.status(403).json({
-            error: 'Permission denied',
-            message: 'Service account does not have permission to access this calendar.',
-            details: error.message
-          });
-        }
-        throw error;
-      }
-      
-      // Try to delete the event directly
-      try {
-        await calendar.events.delete({
-          calendarId,
-          eventId,
-          sendUpdates: 'all'
-        });
-        
-        console.log(`Successfully deleted event ${eventId} from calendar ${calendarId}`);
-        return res.status(200).json({ 
-          success: true,
-          message: 'Event deleted successfully'
-        });
-      } catch (error) {
-        // Handle specific error cases
-        if (error.code === 404 || error.message.includes('Resource has been deleted')) {
-          console.log(`Event ${eventId} was already deleted or does not exist`);
-          return res.status(200).json({
-            success: true,
-            message: 'Event was already deleted or does not exist'
-          });
-        }
-        
-        if (error.code === 403) {
-          return res.status(403).json({
-            error: 'Permission denied',
-            message: 'Service account does not have permission to delete this event.',
-            details: error.message
-          });
-        }
-        
-        throw error;
-      }
-    } catch (error) {
-      console.error('Calendar delete access failed:', error);
+    const pendingStatuses = includeTentative === 'true' ? ['needsAction', 'tentative'] : ['needsAction'];
+    const skipOptional = includeOptional === 'false';
+    
+    const events = await listAllEvents(getCalendarProvider(req), calendarId, {
+      timeMin: rangeStart.toISOString(),
+      timeMax: rangeEnd.toISOString(),
+      singleEvents: true,
+      orderBy: 'startTime'
+    });
+    
+    const pendingEvents = [];
+    for (const event of events) {
+      if (event.status === 'cancelled' || !event.attendees) continue;
       
-      // Final error handler
-      if (error.message.includes('Resource has been deleted')) {
-        return res.status(200).json({
-          success: true,
-          message: 'Event was already deleted'
-        });
-      }
+      const attendees = event.attendees.map(formatAttendee);
+      const pending = attendees.filter(attendee => !attendee.organizer && !attendee.resource &&
+        !(skipOptional && attendee.optional) && pendingStatuses.includes(attendee.responseStatus));
+      if (pending.length === 0) continue;
       
-      return res.status(500).json({
-        error: 'Failed to delete event',
-        message: error.message,
-        details: error.stack
+      pendingEvents.push({
+        eventId: event.id,
+        summary: event.summary,
+        start: event.start?.dateTime || event.start?.date,
+        end: event.end?.dateTime || event.end?.date,
+        htmlLink: event.htmlLink,
+        pending,
+        responses: countResponses(attendees)
       });
     }
+    
+    return res.status(200).json({
+      success: true,
+      calendarId,
+      timeMin: rangeStart.toISOString(),
+      timeMax: rangeEnd.toISOString(),
+      events: pendingEvents,
+      totals: {
+        events: pendingEvents.length,
+        pendingAttendees: pendingEvents.reduce((sum, event) => sum + event.pending.length, 0)
+      }
+    });
   } catch (error) {
-    console.error('Error in delete-event endpoint:', error);
+    console.error('Calendar pending RSVPs access failed:', error);
+    
+    if (error.code === 429) return sendRateLimited(res, error);
+    
+    if (error.code === 404) {
+      return res.status(404).json({
+        error: 'Calendar not found',
+        message: 'The calendar was not found. Please verify the calendar ID.',
+        details: error.message
+      });
+    }
+    
     return res.status(500).json({
-      error: 'Server error',
+      error: 'Failed to list pending RSVPs',
       message: error.message
     });
   }
-}
+});
 
-// Move a calendar event
-app.post('/api/move-event', async (req, res) => {
+const MAX_BULK_EVENTS = 100;
+const BULK_CONFIRMATION_TTL_MS = 15 * 60 * 1000;
+
+// Key that signs confirmation tokens. Without BULK_CONFIRMATION_SECRET each process makes its
+// own, so tokens then only work on the instance that issued them and not after a restart.
+const BULK_CONFIRMATION_SECRET = process.env.BULK_CONFIRMATION_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Signature of a bulk operation, its caller and the exact events it matched. Any change to the
+// matched events (added, removed or edited) changes the signature, so a stale preview can't be
+// confirmed, and a token issued to one caller can't be used by another.
+const signBulkMatches = (req, operation, calendarId, destinationCalendarId, issuedAt, matches) => crypto
+  .createHmac('sha256', BULK_CONFIRMATION_SECRET)
+  .update(JSON.stringify([
+    getRateLimitClient(req),
+    req.delegatedUser || null,
+    operation,
+    calendarId,
+    destinationCalendarId || null,
+    issuedAt,
+    matches.map(event => [event.id, event.etag || event.updated])
+  ]))
+  .digest('base64url');
+
+// Confirmation tokens are "<issuedAt>.<signature>"
+const createConfirmationToken = (req, operation, calendarId, destinationCalendarId, matches) => {
+  const issuedAt = Date.now();
+  return {
+    confirmationToken: `${issuedAt}.${signBulkMatches(req, operation, calendarId, destinationCalendarId, issuedAt, matches)}`,
+    expiresAt: new Date(issuedAt + BULK_CONFIRMATION_TTL_MS).toISOString()
+  };
+};
+
+// Check a confirmation token against the caller and the events matched now. Returns null when
+// it is valid, otherwise 'invalid', 'expired' or 'changed'.
+const checkConfirmationToken = (req, token, operation, calendarId, destinationCalendarId, matches) => {
+  const [issuedAtText, signature] = String(token).split('.');
+  const issuedAt = Number(issuedAtText);
+  if (!signature || !Number.isInteger(issuedAt) || issuedAt > Date.now()) return 'invalid';
+  if (Date.now() - issuedAt > BULK_CONFIRMATION_TTL_MS) return 'expired';
+  
+  const expected = Buffer.from(signBulkMatches(req, operation, calendarId, destinationCalendarId, issuedAt, matches));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? null : 'changed';
+};
+
+// Shape a matched event for bulk previews and results
+const formatBulkMatch = (event) => ({
+  eventId: event.id,
+  summary: event.summary,
+  start: event.start?.dateTime || event.start?.date,
+  end: event.end?.dateTime || event.end?.date,
+  allDay: Boolean(event.start?.date),
+  recurringEventId: event.recurringEventId,
+  recurrence: event.recurrence
+});
+
+const BULK_OPERATIONS = {
+  delete: {
+    // Deleting works on single occurrences, so a series is matched instance by instance
+    singleEvents: true,
+    verb: 'delete',
+    doneStatus: 'deleted',
+    run: (provider, calendarId, event, { sendUpdates }) => provider.deleteEvent(calendarId, event.id, { sendUpdates })
+  },
+  move: {
+    // Instances can't be moved on their own - a recurring series moves as a whole
+    singleEvents: false,
+    verb: 'move',
+    doneStatus: 'moved',
+    run: (provider, calendarId, event, { destinationCalendarId, sendUpdates }) =>
+      provider.moveEvent(calendarId, event.id, destinationCalendarId, { sendUpdates })
+  }
+};
+
+// Bulk delete/move by query. Without a confirmationToken the request is a preview: it returns the
+// matched events and a token. Sending the same query back with the token carries out the change,
+// as long as the matched events are still exactly the ones previewed.
+const handleBulkOperation = (operationName) => async (req, res) => {
+  const operation = BULK_OPERATIONS[operationName];
+  
   try {
-    const { 
-      calendarId = DEFAULT_CALENDAR_ID,
-      eventId,
+    const {
+      calendarId = getDefaultCalendarId(req),
       destinationCalendarId,
-      sendUpdates = 'all'
+      q,
+      timeMin,
+      timeMax,
+      privateExtendedProperty,
+      sharedExtendedProperty,
+      sendUpdates = 'all',
+      confirmationToken
     } = req.body;
     
-    if (!eventId || !destinationCalendarId) {
-      return res.status(400).json({ 
-        error: 'Missing required fields', 
-        message: 'eventId and destinationCalendarId are required'
+    // Refuse to match a whole calendar by accident
+    if (!q && !privateExtendedProperty && !sharedExtendedProperty && !(timeMin && timeMax)) {
+      return res.status(400).json({
+        error: 'Missing filter',
+        message: 'Pass q, privateExtendedProperty, sharedExtendedProperty, or both timeMin and timeMax'
       });
     }
-
-    // Validate destination calendar ID
-    if (destinationCalendarId === 'primary') {
+    
+    if (!SEND_UPDATES_OPTIONS.includes(sendUpdates)) {
       return res.status(400).json({
-        error: 'Invalid destination calendar',
-        message: 'Service account cannot access primary calendar. Please provide a specific calendar ID.'
+        error: 'Invalid sendUpdates',
+        message: `sendUpdates must be one of ${SEND_UPDATES_OPTIONS.join(', ')}`
       });
     }
     
-    const calendar = getCalendarClient();
+    for (const [name, value] of [['timeMin', timeMin], ['timeMax', timeMax]]) {
+      if (value !== undefined && Number.isNaN(new Date(value).getTime())) {
+        return res.status(400).json({
+          error: 'Invalid date format',
+          message: `${name} must be an ISO date-time`
+        });
+      }
+    }
     
-    // First verify access to both calendars
+    if (operationName === 'move') {
+      if (!destinationCalendarId) {
+        return res.status(400).json({
+          error: 'Missing required fields',
+          message: 'destinationCalendarId is required'
+        });
+      }
+      if (destinationCalendarId === 'primary' && !req.user && !req.delegatedUser) {
+        return res.status(400).json({
+          error: 'Invalid destination calendar',
+          message: 'Service account cannot access primary calendar. Please provide a specific calendar ID, or pass asUser.'
+        });
+      }
+      if (destinationCalendarId === calendarId) {
+        return res.status(400).json({
+          error: 'Invalid destination calendar',
+          message: 'destinationCalendarId must differ from calendarId'
+        });
+      }
+    }
+    
+    const destination = operationName === 'move' ? destinationCalendarId : null;
+    const provider = getCalendarProvider(req);
+    
+    // Verify access to the calendars involved
     try {
-      // Verify source calendar access
-      await calendar.calendars.get({ calendarId });
-      
-      // Verify destination calendar access
-      await calendar.calendars.get({ calendarId: destinationCalendarId });
-      
-      // Verify event exists and we have access
-      await calendar.events.get({
-        calendarId,
-        eventId
-      });
+      await provider.getCalendar(calendarId);
+      if (destination) await provider.getCalendar(destination);
     } catch (error) {
       if (error.code === 404) {
         return res.status(404).json({
-          error: 'Resource not found',
-          message: 'One or more resources (calendar or event) were not found. Please verify the IDs.',
+          error: 'Calendar not found',
+          message: 'One or more calendars do not exist or are not accessible.',
           details: error.message
         });
       }
       if (error.code === 403) {
         return res.status(403).json({
           error: 'Permission denied',
-          message: 'Service account does not have access to one or more resources. Please ensure the service account has the necessary permissions.',
+          message: 'Service account does not have permission to access one or more calendars.',
           details: error.message
         });
       }
       throw error;
     }
     
-    console.log(`Moving event ${eventId} from calendar ${calendarId} to ${destinationCalendarId}`);
+    const listed = await listAllEvents(provider, calendarId, {
+      q,
+      timeMin: timeMin || new Date().toISOString(),
+      timeMax,
+      privateExtendedProperty,
+      sharedExtendedProperty,
+      singleEvents: operation.singleEvents
+    });
+    // Exceptions to a series move with the series
+    const matches = listed.filter(event => event.status !== 'cancelled' &&
+      (operation.singleEvents || !event.recurringEventId));
+    
+    if (matches.length > MAX_BULK_EVENTS) {
+      return res.status(400).json({
+        error: 'Too many matching events',
+        message: `${matches.length} events match; narrow the query to at most ${MAX_BULK_EVENTS}`,
+        matchCount: matches.length
+      });
+    }
+    
+    const preview = () => ({
+      preview: true,
+      matchCount: matches.length,
+      events: matches.map(formatBulkMatch),
+      ...(matches.length > 0 ? createConfirmationToken(req, operationName, calendarId, destination, matches) : {})
+    });
+    
+    if (!confirmationToken) {
+      return res.status(200).json({
+        success: true,
+        message: matches.length > 0
+          ? `${matches.length} event(s) match. Send the same request with confirmationToken to ${operation.verb} them.`
+          : 'No events match',
+        ...preview()
+      });
+    }
+    
+    const tokenProblem = checkConfirmationToken(req, confirmationToken, operationName, calendarId, destination, matches);
+    if (tokenProblem === 'invalid') {
+      return res.status(400).json({
+        error: 'Invalid confirmation token',
+        message: 'confirmationToken must be a token returned by a preview of this request'
+      });
+    }
+    if (tokenProblem) {
+      // Hand back a fresh preview so the change can be re-confirmed
+      return res.status(409).json({
+        error: tokenProblem === 'expired' ? 'Confirmation expired' : 'Matched events changed',
+        message: tokenProblem === 'expired'
+          ? 'The confirmation token has expired. Review the new preview and confirm again.'
+          : 'The events matching this query changed since the preview. Review the new preview and confirm again.',
+        ...preview()
+      });
+    }
+    
+    console.log(`Bulk ${operation.verb} of ${matches.length} event(s) in ${calendarId}${destination ? ` to ${destination}` : ''}`);
+    
+    const results = matches.map(event => ({ ...formatBulkMatch(event), status: 'pending' }));
+    const trashed = [];
+    await runWithConcurrency(matches, BATCH_CONCURRENCY, async (event, index) => {
+      try {
+        await withAudit(req, { action: operationName, calendarId, eventId: event.id, before: event },
+          () => operation.run(provider, calendarId, event, { destinationCalendarId: destination, sendUpdates }));
+        results[index].status = operation.doneStatus;
+        trashed.push({ operation: operationName, calendarId, eventId: event.id, destinationCalendarId: destination, snapshot: event });
+      } catch (error) {
+        // Deleted in the meantime - the outcome the caller asked for
+        if (operationName === 'delete' && (error.code === 404 || error.code === 410)) {
+          results[index].status = 'already_deleted';
+          return;
+        }
+        console.error(`Bulk ${operation.verb} failed for ${event.id}:`, error.message);
+        Object.assign(results[index], { status: 'failed', error: error.message });
+      }
+    });
+    
+    const failed = results.filter(result => result.status === 'failed').length;
+    return res.status(200).json({
+      success: failed === 0,
+      message: failed === 0
+        ? `${results.length} event(s) ${operation.doneStatus}`
+        : `${results.length - failed} of ${results.length} event(s) ${operation.doneStatus}, ${failed} failed`,
+      preview: false,
+      matchCount: results.length,
+      results,
+      ...await trashForUndo(req, trashed)
+    });
+  } catch (error) {
+    console.error(`Error in bulk-${operationName} endpoint:`, error);
+    
+    if (error.code === 429) return sendRateLimited(res, error);
+    
+    return res.status(500).json({
+      error: `Failed to ${operation.verb} events`,
+      message: error.message
+    });
+  }
+};
+
+app.post('/api/bulk-delete', requireScope('delete'), idempotency.idempotent('bulk-delete'), handleBulkOperation('delete'));
+app.post('/api/bulk-move', requireScope('write'), idempotency.idempotent('bulk-move'), handleBulkOperation('move'));
+
+// Fields put back on a deleted event. Attendees are only restored with user credentials (a
+// signed-in or delegated user), since the service account on its own can't invite them.
+const toRestoredEvent = (snapshot, withAttendees) => {
+  const { attendees, ...event } = toInsertableEvent(snapshot);
+  return withAttendees && attendees ? { ...event, attendees } : event;
+};
+
+// Undo one trashed operation and return the restored event. A deleted event is revived under its
+// original ID while the calendar keeps it as cancelled (Google does for a while), and recreated
+// otherwise. Throws with code 409 when the event changed in a way that can't be undone.
+const restoreTrashItem = async (req, provider, item, sendUpdates) => {
+  const { operation, calendarId, eventId, snapshot } = item;
+  
+  if (operation === 'move') {
+    try {
+      return await provider.moveEvent(item.destinationCalendarId, eventId, calendarId, { sendUpdates });
+    } catch (error) {
+      if (error.code !== 404) throw error;
+      throw createProviderError(409, `The event is no longer in calendar ${item.destinationCalendarId}`);
+    }
+  }
+  
+  if (operation === 'truncate') {
+    return provider.patchEvent(calendarId, eventId, { recurrence: snapshot.recurrence }, { sendUpdates });
+  }
+  
+  let current = null;
+  try {
+    current = await provider.getEvent(calendarId, eventId);
+  } catch (error) {
+    if (error.code !== 404 && error.code !== 410) throw error;
+  }
+  if (current && current.status !== 'cancelled') {
+    throw createProviderError(409, 'The event is no longer deleted');
+  }
+  
+  const restored = toRestoredEvent(snapshot, Boolean(req.user || item.asUser));
+  if (current) {
+    return provider.patchEvent(calendarId, eventId, { ...restored, status: 'confirmed' }, { sendUpdates });
+  }
+  
+  // Recreate it under the original ID where the calendar accepts one (instances become standalone events)
+  if (!snapshot.recurringEventId) {
+    try {
+      return await provider.insertEvent(calendarId, { ...restored, id: eventId }, { sendUpdates });
+    } catch (error) {
+      if (error.code !== 409 && error.code !== 400) throw error;
+    }
+  }
+  return provider.insertEvent(calendarId, restored, { sendUpdates });
+};
+
+// Restore trash items, each on its own (items trashed as a delegated user are restored as that
+// user). Returns one result per item.
+const restoreTrashItems = async (req, items, sendUpdates) => {
+  const results = items.map(item => ({
+    trashId: item.id,
+    operation: item.operation,
+    calendarId: item.calendarId,
+    eventId: item.eventId,
+    summary: item.snapshot.summary
+  }));
+  
+  await runWithConcurrency(items, BATCH_CONCURRENCY, async (item, index) => {
+    const result = results[index];
+    if (item.restoredAt) {
+      Object.assign(result, { status: 'already_restored', restoredEventId: item.restoredEventId });
+      return;
+    }
+    
+    try {
+      const provider = item.asUser ? await getProviderForUser(null, { asUser: item.asUser }) : getCalendarProvider(req);
+      const event = await withAudit(req, {
+        action: 'restore',
+        calendarId: item.calendarId,
+        eventId: item.eventId,
+        before: item.snapshot,
+        request: { trashId: item.id, operation: item.operation, sendUpdates }
+      }, () => restoreTrashItem(req, provider, item, sendUpdates));
+      
+      await trash.markRestored(item.id, event.id);
+      Object.assign(result, {
+        status: 'restored',
+        restoredEventId: event.id,
+        sameEventId: event.id === item.eventId,
+        htmlLink: event.htmlLink
+      });
+    } catch (error) {
+      console.error(`Failed to restore ${item.operation} of ${item.eventId}:`, error.message);
+      Object.assign(result, { status: error.code === 409 ? 'conflict' : 'failed', error: error.message });
+    }
+  });
+  
+  return results;
+};
+
+// Whether the caller may use every calendar a trash item touches
+const canUseTrashItem = (req, item) => canUseCalendar(req, item.calendarId) &&
+  (!item.destinationCalendarId || canUseCalendar(req, item.destinationCalendarId));
+
+// Public shape of a trash item
+const formatTrashItem = (item) => ({
+  trashId: item.id,
+  operation: item.operation,
+  calendarId: item.calendarId,
+  destinationCalendarId: item.destinationCalendarId,
+  eventId: item.eventId,
+  summary: item.snapshot.summary,
+  start: item.snapshot.start,
+  end: item.snapshot.end,
+  trashedAt: item.createdAt,
+  expiresAt: item.expiresAt,
+  restoredAt: item.restoredAt,
+  restoredEventId: item.restoredEventId,
+  event: item.snapshot
+});
+
+// Send the outcome of a restore
+const sendRestoreResults = (res, results) => {
+  const restored = results.filter(result => result.status === 'restored' || result.status === 'already_restored').length;
+  return res.status(200).json({
+    success: restored === results.length,
+    message: restored === results.length
+      ? `${results.length} event(s) restored`
+      : `${restored} of ${results.length} event(s) restored`,
+    results
+  });
+};
+
+// Undo a delete, move or bulk operation with the undoToken it returned
+app.post('/api/undo', requireScope('write', { checkCalendars: false }), async (req, res) => {
+  try {
+    const { undoToken, sendUpdates = 'all' } = req.body;
+    
+    if (!undoToken) {
+      return res.status(400).json({
+        error: 'Missing required field',
+        message: 'undoToken is required'
+      });
+    }
+    
+    if (!SEND_UPDATES_OPTIONS.includes(sendUpdates)) {
+      return res.status(400).json({
+        error: 'Invalid sendUpdates',
+        message: `sendUpdates must be one of ${SEND_UPDATES_OPTIONS.join(', ')}`
+      });
+    }
+    
+    const items = await trash.findByToken(undoToken, { userId: req.user?.id });
+    if (items.length === 0) {
+      return res.status(404).json({
+        error: 'Undo token not found',
+        message: `The undo token is unknown or older than ${trash.RETENTION_MS / (24 * 60 * 60 * 1000)} days`
+      });
+    }
+    if (!items.every(item => canUseTrashItem(req, item))) {
+      return res.status(403).json({
+        error: 'Calendar not allowed',
+        message: 'This API key may not use every calendar this operation touched'
+      });
+    }
     
-    const response = await calendar.events.move({
-      calendarId,
-      eventId,
-      destination: destinationCalendarId,
-      sendUpdates
+    console.log(`Undoing ${items.length} trashed event(s)`);
+    return sendRestoreResults(res, await restoreTrashItems(req, items, sendUpdates));
+  } catch (error) {
+    console.error('Error undoing operation:', error);
+    
+    if (error.code === 429) return sendRateLimited(res, error);
+    
+    return res.status(500).json({
+      error: 'Failed to undo',
+      message: error.message
     });
+  }
+});
+
+// List deleted and moved events that can still be restored
+app.get('/api/trash', requireScope('read', { checkCalendars: false }), async (req, res) => {
+  try {
+    const { calendarId, includeRestored, limit = 100 } = req.query;
     
-    console.log(`Successfully moved event ${eventId} to calendar ${destinationCalendarId}`);
+    if (calendarId && !canUseCalendar(req, calendarId)) {
+      return res.status(403).json({
+        error: 'Calendar not allowed',
+        message: `This API key may not use calendar ${calendarId}`
+      });
+    }
     
-    return res.status(200).json({ 
+    const items = await trash.listItems({
+      calendarIds: calendarId ? [calendarId] : (req.apiKey?.calendarIds || undefined),
+      includeRestored: includeRestored === 'true',
+      userId: req.user?.id,
+      limit: Math.min(Number(limit) || 100, 500)
+    });
+    
+    return res.status(200).json({
       success: true,
-      message: 'Event moved successfully',
-      event: response.data
+      trash: items.filter(item => canUseTrashItem(req, item)).map(formatTrashItem)
     });
   } catch (error) {
-    console.error('Calendar move access failed:', error);
+    console.error('Error listing trash:', error);
+    return res.status(500).json({
+      error: 'Failed to list trash',
+      message: error.message
+    });
+  }
+});
+
+// Restore one trashed event, e.g. from a bulk operation or when the undo token was lost
+app.post('/api/trash/:trashId/restore', requireScope('write', { checkCalendars: false }), async (req, res) => {
+  try {
+    const { sendUpdates = 'all' } = req.body;
     
-    // Provide more specific error messages
-    if (error.code === 404) {
-      return res.status(404).json({
-        error: 'Resource not found',
-        message: 'The event was not found. Please verify the event ID.',
-        details: error.message
+    if (!SEND_UPDATES_OPTIONS.includes(sendUpdates)) {
+      return res.status(400).json({
+        error: 'Invalid sendUpdates',
+        message: `sendUpdates must be one of ${SEND_UPDATES_OPTIONS.join(', ')}`
       });
     }
-    if (error.code === 403) {
-      return res.status(403).json({
-        error: 'Permission denied',
-        message: 'Service account does not have permission to move this event. Please ensure the service account has access to both calendars.',
-        details: error.message
+    
+    const item = await trash.getItem(req.params.trashId, { userId: req.user?.id });
+    
+    if (!item || !canUseTrashItem(req, item)) {
+      return res.status(404).json({
+        error: 'Trash item not found',
+        message: 'No restorable event has this trashId'
       });
     }
     
+    console.log(`Restoring trashed event ${item.eventId}`);
+    return sendRestoreResults(res, await restoreTrashItems(req, [item], sendUpdates));
+  } catch (error) {
+    console.error('Error restoring trashed event:', error);
+    
+    if (error.code === 429) return sendRateLimited(res, error);
+    
     return res.status(500).json({
-      error: 'Failed to move event',
-      message: error.message,
-      details: error.stack
+      error: 'Failed to restore event',
+      message: error.message
     });
   }
 });
 
+// List the event categories with their colors and auto-categorization keywords
+app.get('/api/categories', requireScope('read', { checkCalendars: false }), (req, res) => {
+  return res.status(200).json({
+    success: true,
+    categories: CATEGORIES
+  });
+});
+
 // List available calendars
-app.get('/api/list-calendars', async (req, res) => {
+app.get('/api/list-calendars', requireScope('read', { checkCalendars: false }), async (req, res) => {
   try {
-    const calendar = getCalendarClient();
+    const provider = getCalendarProvider(req);
     
     console.log('Fetching list of available calendars');
     
-    const response = await calendar.calendarList.list();
+    const calendarList = await provider.listCalendars();
     
     // Format the response to include only relevant information
-    const calendars = response.data.items.map(cal => ({
+    const calendars = calendarList.filter(cal => canUseCalendar(req, cal.id)).map(cal => ({
       id: cal.id,
       summary: cal.summary,
       description: cal.description || '',
@@ -629,6 +4013,8 @@ app.get('/api/list-calendars', async (req, res) => {
   } catch (error) {
     console.error('Calendar list access failed:', error);
     
+    if (error.code === 429) return sendRateLimited(res, error);
+    
     // Provide more specific error messages
     if (error.code === 403) {
       return res.status(403).json({
@@ -640,12 +4026,241 @@ app.get('/api/list-calendars', async (req, res) => {
     
     return res.status(500).json({
       error: 'Failed to list calendars',
-      message: error.message,
-      details: error.stack
+      message: error.message
+    });
+  }
+});
+
+const MAX_AUDIT_RESULTS = 1000;
+
+// Request payloads and event snapshots can hold attendees and descriptions, so only admin keys
+// (and signed-in users, who only see their own calendars) get them
+const canSeeAuditDetails = (req) => !req.apiKey || apiKeys.hasScope(req.apiKey, 'admin');
+
+const withoutAuditDetails = ({ request, before, after, ...entry }) => entry;
+
+// Query the audit log of calendar mutations, newest first, as JSON or (format=jsonl) JSON lines.
+// API keys limited to some calendars only see entries for those calendars; signed-in users only
+// see changes to their own calendars.
+app.get('/api/audit', requireScope('read', { checkCalendars: false }), async (req, res) => {
+  try {
+    const { eventId, calendarId, caller, action, timeMin, timeMax, limit = 100, format = 'json' } = req.query;
+    
+    if (action && !audit.ACTIONS.includes(action)) {
+      return res.status(400).json({
+        error: 'Invalid action',
+        message: `action must be one of ${audit.ACTIONS.join(', ')}`
+      });
+    }
+    if (!['json', 'jsonl'].includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: 'format must be json or jsonl'
+      });
+    }
+    if ([timeMin, timeMax].some(value => value !== undefined && Number.isNaN(new Date(value).getTime()))) {
+      return res.status(400).json({
+        error: 'Invalid time range',
+        message: 'timeMin and timeMax must be valid ISO date strings'
+      });
+    }
+    const maxResults = Number(limit);
+    if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > MAX_AUDIT_RESULTS) {
+      return res.status(400).json({
+        error: 'Invalid limit',
+        message: `limit must be a whole number from 1 to ${MAX_AUDIT_RESULTS}`
+      });
+    }
+    
+    if (calendarId && !canUseCalendar(req, calendarId)) {
+      return res.status(403).json({
+        error: 'Calendar not allowed',
+        message: `This API key may not use calendar ${calendarId}`
+      });
+    }
+    
+    // Without a calendarId, keys limited to some calendars see all of those
+    const calendarIds = calendarId ? [calendarId] : (req.apiKey?.calendarIds || undefined);
+    
+    const found = await audit.query({
+      eventId,
+      calendarIds,
+      callerId: caller,
+      action,
+      userId: req.user?.id,
+      timeMin: timeMin && new Date(timeMin).toISOString(),
+      timeMax: timeMax && new Date(timeMax).toISOString(),
+      limit: maxResults
+    });
+    const entries = canSeeAuditDetails(req) ? found : found.map(withoutAuditDetails);
+    
+    if (format === 'jsonl') {
+      res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="audit-log.jsonl"');
+      return res.status(200).send(entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    }
+    
+    return res.status(200).json({
+      success: true,
+      count: entries.length,
+      entries
+    });
+  } catch (error) {
+    console.error('Error querying audit log:', error);
+    return res.status(500).json({
+      error: 'Failed to query audit log',
+      message: error.message
+    });
+  }
+});
+
+const MAX_API_KEY_DAYS = 3650;
+
+// Public shape of an API key (the key itself is only returned when it is issued)
+const formatApiKey = (apiKey) => ({
+  keyId: apiKey.id,
+  name: apiKey.name,
+  keyPrefix: apiKey.keyPrefix,
+  scopes: apiKey.scopes,
+  calendarIds: apiKey.calendarIds,
+  expiresAt: apiKey.expiresAt,
+  createdAt: apiKey.createdAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  revokedAt: apiKey.revokedAt
+});
+
+// Issue an API key. calendarIds limits the key to those calendars; without it the key may use every calendar.
+app.post('/api/keys', requireScope('admin', { checkCalendars: false }), async (req, res) => {
+  try {
+    const { name, scopes, calendarIds = null, expiresAt, expiresInDays } = req.body;
+    
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'name is required'
+      });
+    }
+    
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !apiKeys.SCOPES.includes(scope))) {
+      return res.status(400).json({
+        error: 'Invalid scopes',
+        message: `scopes must be a non-empty array of ${apiKeys.SCOPES.join(', ')}`
+      });
+    }
+    
+    if (calendarIds !== null &&
+        (!Array.isArray(calendarIds) || calendarIds.length === 0 || calendarIds.some(id => typeof id !== 'string' || !id))) {
+      return res.status(400).json({
+        error: 'Invalid calendarIds',
+        message: 'calendarIds must be a non-empty array of calendar IDs, or omitted for every calendar'
+      });
+    }
+    
+    if (expiresAt !== undefined && expiresInDays !== undefined) {
+      return res.status(400).json({
+        error: 'Invalid expiry',
+        message: 'Provide expiresAt or expiresInDays, not both'
+      });
+    }
+    
+    let expiry = null;
+    if (expiresAt !== undefined) {
+      expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({
+          error: 'Invalid expiry',
+          message: 'expiresAt must be an ISO date in the future'
+        });
+      }
+    } else if (expiresInDays !== undefined) {
+      if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_API_KEY_DAYS) {
+        return res.status(400).json({
+          error: 'Invalid expiry',
+          message: `expiresInDays must be a whole number from 1 to ${MAX_API_KEY_DAYS}`
+        });
+      }
+      expiry = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+    }
+    
+    const { apiKey, key } = await apiKeys.issueKey({
+      name,
+      scopes: [...new Set(scopes)],
+      calendarIds: calendarIds && [...new Set(calendarIds)],
+      expiresAt: expiry && expiry.toISOString()
+    });
+    
+    console.log(`Issued API key ${apiKey.id} (${apiKey.name}) with scopes ${apiKey.scopes.join(', ')}`);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'API key created. The key is only shown once.',
+      apiKey: formatApiKey(apiKey),
+      key
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    return res.status(500).json({
+      error: 'Failed to create API key',
+      message: error.message
+    });
+  }
+});
+
+// List API keys (keys themselves are never returned again)
+app.get('/api/keys', requireScope('admin', { checkCalendars: false }), async (req, res) => {
+  try {
+    const keys = await apiKeys.listKeys({ includeInactive: req.query.includeInactive === 'true' });
+    
+    return res.status(200).json({
+      success: true,
+      apiKeys: keys.map(formatApiKey)
+    });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    return res.status(500).json({
+      error: 'Failed to list API keys',
+      message: error.message
     });
   }
 });
 
+// Revoke an API key - it stops working immediately
+async function handleRevokeApiKey(req, res) {
+  try {
+    const result = await apiKeys.revokeKey(req.params.keyId);
+    
+    if (result.error === 'not_found') {
+      return res.status(404).json({
+        error: 'API key not found',
+        message: 'No API key has this keyId'
+      });
+    }
+    if (result.error === 'already_revoked') {
+      return res.status(200).json({
+        success: true,
+        message: 'API key was already revoked',
+        apiKey: formatApiKey(result.apiKey)
+      });
+    }
+    
+    console.log(`Revoked API key ${result.apiKey.id}`);
+    return res.status(200).json({
+      success: true,
+      message: 'API key revoked',
+      apiKey: formatApiKey(result.apiKey)
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    return res.status(500).json({
+      error: 'Failed to revoke API key',
+      message: error.message
+    });
+  }
+}
+
+app.delete('/api/keys/:keyId', requireScope('admin', { checkCalendars: false }), handleRevokeApiKey);
+app.post('/api/keys/:keyId/revoke', requireScope('admin', { checkCalendars: false }), handleRevokeApiKey);
+
 // Add a home page
 app.get('/', (req, res) => {
   res.send(`
@@ -667,7 +4282,17 @@ app.get('/', (req, res) => {
         
         <div class="api-info">
           <h2>Quick Start</h2>
-          <p>No authentication needed - uses service account directly.</p>
+          <p>${AUTH_MODE === 'oauth'
+            ? 'Sign in with Google - every request runs as the signed-in user, on their own calendars (calendarId defaults to "primary").'
+            : 'Send an API key in the X-API-Key header (or as a Bearer token) - requests run with the service account, limited to the key\'s scopes and calendars.'}</p>
+          <p>API keys have scopes (<code>read</code>, <code>write</code>, <code>delete</code>, <code>delegate</code>, <code>admin</code>), an optional list of allowed calendarIds and an optional expiry. Set <code>ADMIN_API_KEY</code> and use it to issue, list and revoke keys at <code>/api/keys</code>. <code>ALLOW_ANONYMOUS_ACCESS=true</code> accepts requests without a key, for local development only.</p>
+          <p>Set <code>AUTH_MODE=oauth</code> (with <code>GOOGLE_CLIENT_ID</code>, <code>GOOGLE_CLIENT_SECRET</code>, <code>OAUTH_CLIENT_ID</code> and <code>OAUTH_CLIENT_SECRET</code>) for per-user sign-in. In the GPT action, choose OAuth with authorization URL <code>/oauth/authorize</code>, token URL <code>/oauth/token</code> and the OAUTH_CLIENT_ID/OAUTH_CLIENT_SECRET pair; add <code>/auth/callback</code> as a redirect URI of the Google OAuth client.</p>
+          <p>With Google Workspace domain-wide delegation, set <code>DELEGATION_ALLOWED_USERS</code> (emails, or <code>@example.com</code> for a domain) to let the service account act as those users - pass <code>asUser</code> on a request (API keys need the <code>delegate</code> scope) (calendarId then defaults to their <code>primary</code> calendar), or map calendars to users with <code>DELEGATION_CALENDAR_USERS</code> (<code>calendarId=user@example.com,...</code>). Invitations, primary calendars and attendee notifications need a delegated user.</p>
+          <p>Video calls: <code>conference: "meet"</code> creates a Google Meet link; <code>"zoom"</code> and <code>"jitsi"</code> attach <code>ZOOM_MEETING_URL</code> or <code>JITSI_MEETING_URL</code> (default <code>https://meet.jit.si/{room}</code>), where <code>{room}</code> becomes a new room name for each event.</p>
+          <p>Event categories map to Google event colors, with keywords for automatic categorization. Set <code>EVENT_CATEGORIES_FILE</code> to a JSON array of <code>{ name, colorId, keywords }</code> to replace the defaults (Work, Health, Personal, Travel).</p>
+          <p>Set <code>CALENDAR_PROVIDER=caldav</code> (with <code>CALDAV_URL</code>, <code>CALDAV_USERNAME</code> and <code>CALDAV_PASSWORD</code>) to use a CalDAV server such as Nextcloud, Fastmail or Radicale, or <code>CALENDAR_PROVIDER=memory</code> to run against an in-memory calendar without Google credentials.</p>
+          <p>Requests are rate limited per client: <code>RATE_LIMIT_READ</code> (120) and <code>RATE_LIMIT_WRITE</code> (30) requests per <code>RATE_LIMIT_WINDOW_SECONDS</code> (60), reported in <code>RateLimit-*</code> headers. Google calls share a token bucket of <code>GOOGLE_RATE_LIMIT_PER_SECOND</code> (10) with bursts of <code>GOOGLE_RATE_LIMIT_BURST</code> (20); calls that can't get a token within <code>GOOGLE_MAX_WAIT_MS</code> get a 429 with <code>Retry-After</code> (new events are queued instead). Set <code>TRUST_PROXY</code> behind a proxy so clients are told apart by IP.</p>
+          <p>Send an <code>Idempotency-Key</code> header (or <code>idempotencyKey</code> field) with create, move and delete requests to make retries safe.</p>
         </div>
           
         <div class="endpoints">
@@ -675,30 +4300,141 @@ app.get('/', (req, res) => {
           <div class="endpoint">
             <h3>POST /api/create-event</h3>
             <p>Create a new calendar event</p>
+            <p>All-day events: pass YYYY-MM-DD dates or allDay: true (endDateTime is the last day, inclusive)</p>
+            <p>Optional: recurrence (RRULE/EXDATE lines or { frequency, interval, byDay, until, count, exceptionDates })</p>
+            <p>Optional: conflictPolicy ('allow', 'warn', or 'reject') - how to handle overlaps with existing events</p>
+            <p>Optional: attendees (emails or { email, displayName, optional }), sendUpdates ('all', 'externalOnly', or 'none')</p>
+            <p>Optional: conference ('meet', 'zoom', or 'jitsi', or { type, url }) - adds a video call and returns its joinUrl</p>
+            <p>Optional: category (see GET /api/categories) - sets the event color; without one it is picked from keywords in the summary or description</p>
+          </div>
+          <div class="endpoint">
+            <h3>POST /api/create-events</h3>
+            <p>Create up to 50 events in one request (events: an array of create-event payloads)</p>
+            <p>All events are validated before any is created</p>
+            <p>Optional: atomic (create all or none), calendarId, timeZone and conflictPolicy as defaults for every event</p>
           </div>
           <div class="endpoint">
             <h3>GET /api/list-events</h3>
             <p>List upcoming calendar events</p>
+            <p>Optional: q (text search), attendee, location, category, maxResults, pageToken (from nextPageToken), view ('full' or 'compact')</p>
+            <p>Each event includes its category name</p>
+          </div>
+          <div class="endpoint">
+            <h3>GET /api/export.ics</h3>
+            <p>Download events as an iCalendar (.ics) file</p>
+            <p>Optional: calendarId, timeMin, timeMax, or eventId for a single event</p>
+          </div>
+          <div class="endpoint">
+            <h3>POST /api/import-ics</h3>
+            <p>Import events from an .ics file (upload as "file", a text/calendar body, or an "ics" field)</p>
+            <p>Events are matched by UID, so re-importing a file updates events instead of duplicating them</p>
+            <p>Optional: calendarId, timeZone, includeAttendees</p>
+          </div>
+          <div class="endpoint">
+            <h3>POST /api/feeds</h3>
+            <p>Create a subscription feed URL (webcal) for a calendar</p>
+            <p>Optional: calendarId, label, freeBusyOnly (hide titles, descriptions and locations)</p>
+            <p>List feeds with GET /api/feeds and revoke one with POST /api/feeds/:feedId/revoke</p>
+            <p>Feed URLs start with <code>PUBLIC_BASE_URL</code> when it is set (e.g. behind a proxy)</p>
           </div>
           <div class="endpoint">
             <h3>DELETE /api/delete-event</h3>
             <p>Delete a calendar event</p>
             <p>Required fields: eventId</p>
+            <p>Optional: scope ('instance', 'following', or 'all') for recurring events</p>
+          </div>
+          <div class="endpoint">
+            <h3>PATCH /api/update-event</h3>
+            <p>Update fields of an existing calendar event</p>
+            <p>Required fields: eventId</p>
+            <p>Optional: summary, description, location, startDateTime, endDateTime, timeZone, allDay, recurrence, conference ('meet', 'zoom', 'jitsi', or 'none'), category (null to remove), scope ('instance', 'following', or 'all'), sendUpdates</p>
+          </div>
+          <div class="endpoint">
+            <h3>GET /api/list-instances</h3>
+            <p>List the instances of a recurring event</p>
+            <p>Required fields: eventId</p>
           </div>
           <div class="endpoint">
             <h3>POST /api/move-event</h3>
             <p>Move a calendar event to a different calendar</p>
             <p>Required fields: eventId, destinationCalendarId</p>
-            <p>Optional: sendUpdates ('all', 'externalOnly', or 'none')</p>
+            <p>Optional: sendUpdates ('all', 'externalOnly', or 'none'), conflictPolicy ('allow', 'warn', or 'reject')</p>
+          </div>
+          <div class="endpoint">
+            <h3>GET /api/attendees</h3>
+            <p>List the attendees of an event with their responseStatus (needsAction, accepted, tentative, declined)</p>
+            <p>Required fields: eventId</p>
+          </div>
+          <div class="endpoint">
+            <h3>POST /api/add-attendees, POST /api/remove-attendees, POST /api/update-attendee</h3>
+            <p>Invite attendees, uninvite them by email, or make one optional or required</p>
+            <p>Required fields: eventId and attendees, emails, or email and optional</p>
+            <p>Optional: sendUpdates ('all', 'externalOnly', or 'none') - who is emailed about the change</p>
+          </div>
+          <div class="endpoint">
+            <h3>GET /api/pending-rsvps</h3>
+            <p>Upcoming events with attendees who haven't responded yet (next 14 days by default)</p>
+            <p>Optional: calendarId, timeMin, timeMax, includeTentative, includeOptional</p>
+          </div>
+          <div class="endpoint">
+            <h3>POST /api/bulk-delete, POST /api/bulk-move</h3>
+            <p>Delete, or move to destinationCalendarId, every event matching a query</p>
+            <p>Filters: calendarId, q, timeMin, timeMax, privateExtendedProperty, sharedExtendedProperty</p>
+            <p>Returns a preview and a confirmationToken; send the request again with the token to apply it</p>
+          </div>
+          <div class="endpoint">
+            <h3>POST /api/find-slots</h3>
+            <p>Find open time slots across one or more calendars</p>
+            <p>Optional: calendarIds, timeMin, timeMax, durationMinutes, minGapMinutes, workingHours, timeZone</p>
           </div>
           <div class="endpoint">
             <h3>GET /api/status</h3>
             <p>Check service status</p>
           </div>
+          <div class="endpoint">
+            <h3>GET /api/queue</h3>
+            <p>List queued event creations with their attempts and last error</p>
+            <p>Optional: status ('pending', 'processing', 'completed', 'dead_letter', or 'cancelled')</p>
+          </div>
+          <div class="endpoint">
+            <h3>GET /api/queue/dead-letter</h3>
+            <p>List queued event creations that ran out of attempts</p>
+          </div>
+          <div class="endpoint">
+            <h3>GET /api/queue/:eventId</h3>
+            <p>Check a queued event by the eventId returned when it was queued</p>
+          </div>
+          <div class="endpoint">
+            <h3>POST /api/queue/:eventId/retry</h3>
+            <p>Retry a queued event on the next worker run</p>
+          </div>
+          <div class="endpoint">
+            <h3>POST /api/queue/:eventId/cancel</h3>
+            <p>Cancel a queued event</p>
+          </div>
           <div class="endpoint">
             <h3>GET /api/list-calendars</h3>
             <p>List available calendars</p>
           </div>
+          <div class="endpoint">
+            <h3>GET /api/categories</h3>
+            <p>List the event categories with their colorId and keywords</p>
+          </div>
+          <div class="endpoint">
+            <h3>POST /api/undo</h3>
+            <p>Undo a delete, move or bulk operation with the undoToken it returned (within TRASH_RETENTION_DAYS, 30 by default)</p>
+            <p>List restorable events with GET /api/trash and restore one with POST /api/trash/:trashId/restore</p>
+          </div>
+          <div class="endpoint">
+            <h3>GET /api/audit</h3>
+            <p>Who created, updated, moved or deleted what, with the event before and after (admin keys only; other keys get the entries without them)</p>
+            <p>Optional: eventId, calendarId, caller, action, timeMin, timeMax, limit, format=jsonl</p>
+          </div>
+          <div class="endpoint">
+            <h3>POST /api/keys</h3>
+            <p>Issue an API key (admin scope). Required fields: name, scopes</p>
+            <p>Optional: calendarIds, expiresAt or expiresInDays. List keys with GET /api/keys and revoke one with POST /api/keys/:keyId/revoke</p>
+          </div>
         </div>
       </body>
     </html>
@@ -713,91 +4449,84 @@ app.get('/privacy-policy', (req, res) => {
 // Background worker to process pending events
 setInterval(async () => {
   try {
-    // Skip if no pending events
-    if (!global.pendingEvents || global.pendingEvents.length === 0) return;
+    // Lease the items that are due - other instances skip anything leased here
+    const dueEvents = await pendingQueue.claimDue();
+    if (dueEvents.length === 0) return;
     
-    logToConsole(`Background worker: Processing ${global.pendingEvents.length} pending events`);
+    logToConsole(`Background worker: Processing ${dueEvents.length} pending events`);
     
-    // Process each event
-    for (let i = 0; i < global.pendingEvents.length; i++) {
-      const event = global.pendingEvents[i];
-      
-      // Skip if too many attempts
-      if (event.attempts >= 5) {
-        logToConsole(`Skipping event ${event.id} - too many attempts (${event.attempts})`);
-        continue;
-      }
-      
-      // Increment attempt counter
-      event.attempts++;
+    for (const item of dueEvents) {
+      const event = item.payload;
       
       try {
-        // Try to use service account with explicit file path
-        const keyFilePath = process.env.GOOGLE_SERVICE_ACCOUNT_KEY_PATH || path.join(__dirname, 'service-account-key.json');
-        
-        // Read the key file directly and parse it
-        let credentials;
-        try {
-          const keyFileContent = fs.readFileSync(keyFilePath, 'utf8');
-          credentials = JSON.parse(keyFileContent);
-          logToConsole('Successfully loaded credentials from file');
-        } catch (readError) {
-          logToConsole(`Error reading key file: ${readError.message}`, 'error');
-          throw new Error('Could not read service account key file');
-        }
-        
-        // Create auth client directly with credentials
-        const auth = new google.auth.JWT(
-          credentials.client_email || credentials.web?.client_email,
-          null,
-          credentials.private_key || credentials.web?.private_key,
-          ['https://www.googleapis.com/auth/calendar']
-        );
-        
-        // Initialize the calendar API with our authenticated client
-        const calendar = google.calendar({ version: 'v3', auth });
+        const provider = await getProviderForUser(item.userId, { asUser: event.asUser });
         
         // Validate start and end times
-        const startTime = new Date(event.startDateTime);
-        const endTime = new Date(event.endDateTime);
+        const eventTimes = buildEventTimes({
+          startDateTime: event.startDateTime,
+          endDateTime: event.endDateTime,
+          timeZone: event.timeZone || 'America/Los_Angeles',
+          allDay: event.allDay
+        });
         
-        if (Number.isNaN(startTime.getTime()) || Number.isNaN(endTime.getTime()) || endTime <= startTime) {
-          logToConsole(`Invalid time range for event ${event.id}. Removing from queue.`, 'error');
-          global.pendingEvents.splice(i, 1);
-          i--;
+        if (eventTimes.error) {
+          logToConsole(`Invalid time range for event ${item.id}. Giving up on it.`, 'error');
+          await pendingQueue.markFailed(item.id, item.attempts, eventTimes.message, { permanent: true });
+          await recordQueueReplay(item, { eventId: item.id, outcome: 'failed', error: eventTimes.message });
           continue;
         }
         
-        // Format the event - without attendees to avoid Domain-Wide Delegation error
         const calendarEvent = {
           summary: event.summary,
           description: event.description,
           location: event.location,
-          start: {
-            dateTime: event.startDateTime,
-            timeZone: event.timeZone || 'America/Los_Angeles'
-          },
-          end: {
-            dateTime: event.endDateTime,
-            timeZone: event.timeZone || 'America/Los_Angeles'
-          },
+          start: eventTimes.start,
+          end: eventTimes.end,
           reminders: event.reminders || { useDefault: true }
         };
         
-        logToConsole(`Attempting to create event in calendar: ${event.calendarId || DEFAULT_CALENDAR_ID}`);
+        if (event.recurrence) {
+          calendarEvent.recurrence = event.recurrence;
+        }
+        
+        // Older queue items hold attendees as plain emails
+        if (event.attendees?.length > 0) {
+          calendarEvent.attendees = event.attendees.map(attendee => (typeof attendee === 'string' ? { email: attendee } : attendee));
+        }
+        
+        if (event.conference) {
+          Object.assign(calendarEvent, toConferenceFields(event.conference, calendarEvent));
+        }
+        
+        // Categories removed from the table since the event was queued are dropped
+        const category = event.category ? findCategory(event.category) : null;
+        if (category) {
+          Object.assign(calendarEvent, toCategoryFields(category, calendarEvent));
+        }
+        
+        if (event.googleEventId) {
+          calendarEvent.id = event.googleEventId;
+        }
+        
+        logToConsole(`Attempting to create event in calendar: ${item.calendarId || DEFAULT_CALENDAR_ID}`);
         
-        await calendar.events.insert({
-          calendarId: event.calendarId || DEFAULT_CALENDAR_ID,
-          resource: calendarEvent
+        // Returns the event a retried request with the same idempotency key already created
+        const created = await insertEventOnce(provider, item.calendarId || DEFAULT_CALENDAR_ID, calendarEvent, {
+          sendUpdates: event.sendUpdates,
+          ...getConferenceOptions(calendarEvent)
         });
         
-        logToConsole(`Successfully created event ${event.id} on attempt ${event.attempts}`);
+        await pendingQueue.markCompleted(item.id, {
+          eventId: created.id,
+          htmlLink: created.htmlLink
+        });
+        await recordQueueReplay(item, { eventId: created.id, after: created, outcome: 'success' });
         
-        // Remove from pending list
-        global.pendingEvents.splice(i, 1);
-        i--; // Adjust index since we removed an item
+        logToConsole(`Successfully created event ${item.id} on attempt ${item.attempts}`);
       } catch (error) {
-        logToConsole(`Failed to create event ${event.id} on attempt ${event.attempts}: ${error.message}`, 'error');
+        const status = await pendingQueue.markFailed(item.id, item.attempts, error.message);
+        await recordQueueReplay(item, { eventId: item.id, outcome: 'failed', error: error.message });
+        logToConsole(`Failed to create event ${item.id} on attempt ${item.attempts}: ${error.message}${status === 'dead_letter' ? ' - giving up' : ''}`, 'error');
       }
     }
   } catch (error) {
@@ -805,11 +4534,69 @@ setInterval(async () => {
   }
 }, 60000); // Run every minute
 
+// Audit a queued event creation run by the worker. Failures are logged, like recordAudit.
+async function recordQueueReplay(item, entry) {
+  try {
+    await audit.record({
+      action: 'queue-replay',
+      calendarId: item.calendarId || DEFAULT_CALENDAR_ID,
+      caller: { type: 'worker', id: null, name: 'background worker' },
+      userId: item.userId || null,
+      request: { queuedEventId: item.id, attempt: item.attempts, payload: item.payload },
+      ...entry
+    });
+  } catch (error) {
+    logToConsole(`Failed to write audit log entry: ${error.message}`, 'error');
+  }
+}
+
+// Clear out trashed events past the retention window
+setInterval(async () => {
+  try {
+    const purged = await trash.purgeExpired();
+    if (purged > 0) {
+      logToConsole(`Purged ${purged} expired trash items`);
+    }
+  } catch (error) {
+    logToConsole(`Error purging trash: ${error.message}`, 'error');
+  }
+}, 60 * 60 * 1000); // Run every hour
+
+// Clear out expired idempotency keys
+setInterval(async () => {
+  try {
+    const purged = await idempotency.purgeExpired();
+    if (purged > 0) {
+      logToConsole(`Purged ${purged} expired idempotency keys`);
+    }
+  } catch (error) {
+    logToConsole(`Error purging idempotency keys: ${error.message}`, 'error');
+  }
+}, 60 * 60 * 1000); // Run every hour
+
+// Clear out expired OAuth codes and access tokens
+if (AUTH_MODE === 'oauth') {
+  setInterval(async () => {
+    try {
+      const purged = await oauth.purgeExpired();
+      if (purged > 0) {
+        logToConsole(`Purged ${purged} expired OAuth grants`);
+      }
+    } catch (error) {
+      logToConsole(`Error purging OAuth grants: ${error.message}`, 'error');
+    }
+  }, 60 * 60 * 1000); // Run every hour
+}
+
 // Fix the server binding
 const startServer = async () => {
   try {
     // Start the server with better error handling
     const PORT = process.env.PORT || 3000;
+    
+    // Make sure the queue tables (or data directory) exist before taking requests
+    await initDatabase();
+    
     console.log(`Attempting to start server on port ${PORT}...`);
     
     // *** IMPORTANT: Bind to 0.0.0.0 instead of default localhost ***
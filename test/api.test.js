@@ -0,0 +1,678 @@
+// Integration tests of the /api routes, run offline against the in-memory calendar provider
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { startServer } = require('./helpers');
+
+const at = (day, time) => `2026-11-${String(day).padStart(2, '0')}T${time}:00`;
+
+const newEvent = (fields = {}) => ({
+  summary: 'Planning',
+  startDateTime: at(2, '10:00'),
+  endDateTime: at(2, '11:00'),
+  timeZone: 'UTC',
+  conflictPolicy: 'allow',
+  ...fields
+});
+
+describe('calendar routes (anonymous access)', () => {
+  let server;
+  let request;
+
+  before(async () => {
+    server = await startServer({ ALLOW_ANONYMOUS_ACCESS: 'true' });
+    request = server.request;
+  });
+  after(() => server.stop());
+
+  const createEvent = async (fields) => {
+    const { status, body } = await request('POST', '/api/create-event', { body: newEvent(fields) });
+    assert.equal(status, 200, JSON.stringify(body));
+    return body;
+  };
+
+  const listEvents = async (calendarId = 'cal1', query = '') => {
+    const { status, body } = await request('GET',
+      `/api/list-events?calendarId=${calendarId}&timeMin=2026-11-01T00:00:00Z&timeMax=2026-12-01T00:00:00Z${query}`);
+    assert.equal(status, 200, JSON.stringify(body));
+    return body.events;
+  };
+
+  it('lists the configured calendars', async () => {
+    const { status, body } = await request('GET', '/api/list-calendars');
+    assert.equal(status, 200);
+    assert.deepEqual(body.calendars.map(calendar => calendar.id).sort(), ['cal1', 'cal2']);
+  });
+
+  it('creates, lists, updates and deletes an event', async () => {
+    const created = await createEvent({ summary: 'Design review', location: 'Room 1' });
+    assert.equal(created.category, 'Work');
+
+    const listed = (await listEvents()).find(event => event.id === created.eventId);
+    assert.equal(listed.summary, 'Design review');
+    assert.equal(listed.location, 'Room 1');
+
+    const updated = await request('PATCH', '/api/update-event', {
+      body: { eventId: created.eventId, summary: 'Design review (moved)', endDateTime: at(2, '11:30') }
+    });
+    assert.equal(updated.status, 200);
+    assert.deepEqual(updated.body.changes.summary, { before: 'Design review', after: 'Design review (moved)' });
+    assert.ok(updated.body.changes.end);
+
+    const deleted = await request('DELETE', '/api/delete-event', { body: { eventId: created.eventId } });
+    assert.equal(deleted.status, 200);
+    assert.ok(deleted.body.undoToken);
+    assert.ok(!(await listEvents()).some(event => event.id === created.eventId));
+  });
+
+  it('rejects invalid create and update payloads', async () => {
+    const missing = await request('POST', '/api/create-event', { body: { summary: 'No times' } });
+    assert.equal(missing.status, 400);
+
+    const backwards = await request('POST', '/api/create-event', {
+      body: newEvent({ startDateTime: at(3, '12:00'), endDateTime: at(3, '11:00') })
+    });
+    assert.equal(backwards.status, 400);
+
+    const badZone = await request('POST', '/api/create-event', { body: newEvent({ timeZone: 'Not/AZone' }) });
+    assert.equal(badZone.status, 400);
+    assert.equal(badZone.body.error, 'Invalid time zone');
+
+    const badBatchZone = await request('POST', '/api/create-events', {
+      body: { timeZone: 'Not/AZone', events: [{ summary: 'Zoned', startDateTime: at(3, '10:00'), endDateTime: at(3, '11:00') }] }
+    });
+    assert.equal(badBatchZone.status, 400);
+
+    const queue = await request('GET', '/api/queue');
+    assert.equal(queue.body.counts.pending || 0, 0);
+
+    const { eventId } = await createEvent();
+    const badSendUpdates = await request('POST', '/api/update-event', { body: { eventId, sendUpdates: 'everyone' } });
+    assert.equal(badSendUpdates.status, 400);
+    assert.equal(badSendUpdates.body.error, 'Invalid sendUpdates');
+
+    const unknown = await request('POST', '/api/update-event', { body: { eventId: 'unknown', summary: 'x' } });
+    assert.equal(unknown.status, 404);
+  });
+
+  it('reports a missing event as not found for every scope', async () => {
+    for (const scope of ['instance', 'following', 'all']) {
+      const { status, body } = await request('POST', '/api/delete-event', { body: { eventId: 'unknown', scope } });
+      assert.equal(status, 404, scope);
+      assert.equal(body.error, 'Event not found');
+    }
+  });
+
+  it('reports an event deleted twice as not found for every scope', async () => {
+    for (const scope of ['instance', 'following', 'all']) {
+      const { eventId } = await createEvent({ summary: `Delete twice (${scope})`, startDateTime: at(3, '15:00'), endDateTime: at(3, '15:30') });
+      const first = await request('POST', '/api/delete-event', { body: { eventId, scope } });
+      assert.equal(first.status, 200, scope);
+
+      const second = await request('POST', '/api/delete-event', { body: { eventId, scope } });
+      assert.equal(second.status, 404, scope);
+      assert.equal(second.body.error, 'Event not found');
+    }
+  });
+
+  it('rejects conflicting events when asked to', async () => {
+    await createEvent({ summary: 'Busy block', startDateTime: at(4, '09:00'), endDateTime: at(4, '10:00') });
+
+    const { status, body } = await request('POST', '/api/create-event', {
+      body: newEvent({ startDateTime: at(4, '09:30'), endDateTime: at(4, '10:30'), conflictPolicy: 'reject' })
+    });
+    assert.equal(status, 409);
+    assert.equal(body.conflicts.length, 1);
+    assert.equal(body.conflicts[0].summary, 'Busy block');
+  });
+
+  it('returns the same event for a repeated idempotency key', async () => {
+    const send = () => request('POST', '/api/create-event', {
+      body: newEvent({ summary: 'Only once', startDateTime: at(5, '10:00'), endDateTime: at(5, '11:00') }),
+      headers: { 'Idempotency-Key': 'create-only-once' }
+    });
+    const first = await send();
+    const second = await send();
+    assert.equal(first.status, 200);
+    assert.equal(second.body.eventId, first.body.eventId);
+    assert.equal((await listEvents()).filter(event => event.summary === 'Only once').length, 1);
+  });
+
+  it('moves an event and undoes the move', async () => {
+    const { eventId } = await createEvent({ summary: 'Move me', startDateTime: at(6, '10:00'), endDateTime: at(6, '11:00') });
+
+    const badMove = await request('POST', '/api/move-event', { body: { eventId, destinationCalendarId: 'cal2', sendUpdates: 'loud' } });
+    assert.equal(badMove.status, 400);
+    assert.equal(badMove.body.error, 'Invalid sendUpdates');
+
+    const moved = await request('POST', '/api/move-event', { body: { eventId, destinationCalendarId: 'cal2' } });
+    assert.equal(moved.status, 200);
+    assert.ok((await listEvents('cal2')).some(event => event.id === eventId));
+
+    const badUndo = await request('POST', '/api/undo', { body: { undoToken: moved.body.undoToken, sendUpdates: 'loud' } });
+    assert.equal(badUndo.status, 400);
+
+    const undone = await request('POST', '/api/undo', { body: { undoToken: moved.body.undoToken } });
+    assert.equal(undone.status, 200);
+    assert.equal(undone.body.results[0].status, 'restored');
+    assert.ok((await listEvents('cal1')).some(event => event.id === eventId));
+    assert.ok(!(await listEvents('cal2')).some(event => event.id === eventId));
+  });
+
+  it('creates a batch, failing only the events the calendar rejects', async () => {
+    const { status, body } = await request('POST', '/api/create-events', {
+      body: {
+        timeZone: 'UTC',
+        conflictPolicy: 'allow',
+        events: [
+          { summary: 'Batch one', startDateTime: at(9, '10:00'), endDateTime: at(9, '11:00') },
+          { summary: 'Batch two', calendarId: 'missing', startDateTime: at(9, '12:00'), endDateTime: at(9, '13:00') }
+        ]
+      }
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map(result => result.status), ['created', 'failed']);
+    assert.equal(body.counts.queued, 0);
+  });
+
+  it('rolls back an atomic batch when one event fails', async () => {
+    const { status, body } = await request('POST', '/api/create-events', {
+      body: {
+        atomic: true,
+        timeZone: 'UTC',
+        conflictPolicy: 'allow',
+        events: [
+          { summary: 'Atomic one', startDateTime: at(10, '10:00'), endDateTime: at(10, '11:00') },
+          { summary: 'Atomic two', calendarId: 'missing', startDateTime: at(10, '12:00'), endDateTime: at(10, '13:00') }
+        ]
+      }
+    });
+    assert.equal(status, 500);
+    assert.ok(!body.results.some(result => result.status === 'created'));
+    assert.ok(!(await listEvents()).some(event => event.summary === 'Atomic one'));
+  });
+
+  it('reports permanent failures instead of queueing them', async () => {
+    const { status, body } = await request('POST', '/api/create-event', { body: newEvent({ calendarId: 'missing' }) });
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Calendar not found');
+
+    const queue = await request('GET', '/api/queue');
+    assert.equal(queue.body.counts.pending || 0, 0);
+  });
+
+  it('notifies invited attendees when an atomic batch is rolled back', async () => {
+    const { status, body } = await request('POST', '/api/create-events', {
+      body: {
+        atomic: true,
+        timeZone: 'UTC',
+        conflictPolicy: 'allow',
+        events: [
+          {
+            summary: 'Invited',
+            startDateTime: at(11, '10:00'),
+            endDateTime: at(11, '11:00'),
+            attendees: ['ana@example.com'],
+            sendUpdates: 'externalOnly'
+          },
+          { summary: 'Broken', calendarId: 'missing', startDateTime: at(11, '12:00'), endDateTime: at(11, '13:00') }
+        ]
+      }
+    });
+    assert.equal(status, 500);
+    assert.equal(body.results[0].status, 'rolled_back');
+
+    const audit = await request('GET', `/api/audit?eventId=${body.results[0].eventId}&action=delete`);
+    assert.equal(audit.status, 200);
+    assert.deepEqual(audit.body.entries.map(entry => entry.request), [{ rollback: true, sendUpdates: 'externalOnly' }]);
+  });
+
+  it('expands recurring events and deletes the following instances', async () => {
+    const { eventId } = await createEvent({
+      summary: 'Weekly sync',
+      startDateTime: at(2, '08:00'),
+      endDateTime: at(2, '08:30'),
+      recurrence: { frequency: 'WEEKLY', count: 4 }
+    });
+
+    const instances = await request('GET', `/api/list-instances?eventId=${eventId}`);
+    assert.equal(instances.status, 200);
+    assert.equal(instances.body.instances.length, 4);
+
+    const third = instances.body.instances[2];
+    const deleted = await request('POST', '/api/delete-event', { body: { eventId: third.id, scope: 'following' } });
+    assert.equal(deleted.status, 200);
+
+    const remaining = (await listEvents('cal1', '&singleEvents=true')).filter(event => event.summary === 'Weekly sync');
+    assert.equal(remaining.length, 2);
+  });
+
+  it('finds open slots and validates maxResults', async () => {
+    const { status, body } = await request('POST', '/api/find-slots', {
+      body: {
+        timeMin: '2026-11-16T00:00:00Z',
+        timeMax: '2026-11-17T00:00:00Z',
+        timeZone: 'UTC',
+        durationMinutes: 60,
+        maxResults: 3
+      }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.slots.length, 3);
+    assert.equal(body.slots[0].start, '2026-11-16T09:00:00+00:00');
+
+    for (const maxResults of [0, 2.5, 'many', 1000]) {
+      const invalid = await request('POST', '/api/find-slots', { body: { maxResults } });
+      assert.equal(invalid.status, 400, `maxResults ${maxResults}`);
+      assert.equal(invalid.body.error, 'Invalid maxResults');
+    }
+  });
+
+  it('previews and confirms a bulk delete', async () => {
+    for (const day of [17, 18]) {
+      await createEvent({ summary: `Offsite ${day}`, startDateTime: at(day, '10:00'), endDateTime: at(day, '11:00') });
+    }
+    const filter = { q: 'Offsite', timeMin: '2026-11-01T00:00:00Z', timeMax: '2026-12-01T00:00:00Z' };
+
+    const preview = await request('POST', '/api/bulk-delete', { body: filter });
+    assert.equal(preview.status, 200);
+    assert.equal(preview.body.matchCount, 2);
+
+    const forged = await request('POST', '/api/bulk-delete', {
+      body: { ...filter, confirmationToken: `${Date.now() - 1000}.forged` }
+    });
+    assert.equal(forged.status, 409);
+
+    const confirmed = await request('POST', '/api/bulk-delete', {
+      body: { ...filter, confirmationToken: preview.body.confirmationToken }
+    });
+    assert.equal(confirmed.status, 200);
+    assert.deepEqual(confirmed.body.results.map(result => result.status), ['deleted', 'deleted']);
+    assert.ok(!(await listEvents()).some(event => event.summary.startsWith('Offsite')));
+  });
+
+  it('adds and lists attendees', async () => {
+    const { eventId } = await createEvent({ summary: 'Lunch', startDateTime: at(19, '12:00'), endDateTime: at(19, '13:00') });
+
+    const added = await request('POST', '/api/add-attendees', {
+      body: { eventId, attendees: ['ana@example.com', { email: 'bo@example.com', optional: true }], sendUpdates: 'none' }
+    });
+    assert.equal(added.status, 200, JSON.stringify(added.body));
+
+    const listed = await request('GET', `/api/attendees?eventId=${eventId}`);
+    assert.equal(listed.status, 200);
+    assert.deepEqual(listed.body.attendees.map(attendee => attendee.email).sort(), ['ana@example.com', 'bo@example.com']);
+  });
+
+  it('imports an iCalendar file and exports it again', async () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//test//EN',
+      'BEGIN:VEVENT',
+      'UID:import-1@test',
+      'DTSTART:20261120T150000Z',
+      'DTEND:20261120T160000Z',
+      'SUMMARY:Imported\\, with a comma',
+      'END:VEVENT',
+      'END:VCALENDAR',
+      ''
+    ].join('\r\n');
+    const form = new FormData();
+    form.append('file', new Blob([ics], { type: 'text/calendar' }), 'import.ics');
+    form.append('calendarId', 'cal2');
+
+    const imported = await request('POST', '/api/import-ics', { body: form });
+    assert.equal(imported.status, 200, JSON.stringify(imported.body));
+    assert.ok((await listEvents('cal2')).some(event => event.summary === 'Imported, with a comma'));
+
+    const exported = await request('GET', '/api/export.ics?calendarId=cal2&timeMin=2026-11-20T00:00:00Z&timeMax=2026-11-21T00:00:00Z');
+    assert.equal(exported.status, 200);
+    assert.match(exported.body, /SUMMARY:Imported\\, with a comma/);
+  });
+
+  it('lists the event categories', async () => {
+    const { status, body } = await request('GET', '/api/categories');
+    assert.equal(status, 200);
+    assert.ok(body.categories.some(category => category.name === 'Work' && category.keywords.includes('review')));
+  });
+
+  it('updates and removes attendees and lists pending RSVPs', async () => {
+    const { eventId } = await createEvent({
+      summary: 'Workshop',
+      startDateTime: at(20, '14:00'),
+      endDateTime: at(20, '15:00'),
+      attendees: ['ana@example.com', 'bo@example.com']
+    });
+
+    const updated = await request('POST', '/api/update-attendee', {
+      body: { eventId, email: 'ANA@example.com', optional: true, sendUpdates: 'none' }
+    });
+    assert.equal(updated.status, 200, JSON.stringify(updated.body));
+    assert.deepEqual(updated.body.updated, ['ana@example.com']);
+    assert.equal(updated.body.attendees.find(attendee => attendee.email === 'ana@example.com').optional, true);
+
+    const unknownAttendee = await request('POST', '/api/update-attendee', { body: { eventId, email: 'cy@example.com', optional: true } });
+    assert.equal(unknownAttendee.status, 404);
+    assert.equal(unknownAttendee.body.error, 'Attendee not found');
+
+    const pending = await request('GET', '/api/pending-rsvps?timeMin=2026-11-20T00:00:00Z&timeMax=2026-11-21T00:00:00Z');
+    assert.equal(pending.status, 200);
+    const workshop = pending.body.events.find(event => event.eventId === eventId);
+    assert.deepEqual(workshop.pending.map(attendee => attendee.email).sort(), ['ana@example.com', 'bo@example.com']);
+
+    const requiredOnly = await request('GET', '/api/pending-rsvps?timeMin=2026-11-20T00:00:00Z&timeMax=2026-11-21T00:00:00Z&includeOptional=false');
+    assert.deepEqual(requiredOnly.body.events.find(event => event.eventId === eventId).pending.map(attendee => attendee.email), ['bo@example.com']);
+
+    const badRange = await request('GET', '/api/pending-rsvps?timeMin=2026-11-21T00:00:00Z&timeMax=2026-11-20T00:00:00Z');
+    assert.equal(badRange.status, 400);
+
+    const removed = await request('POST', '/api/remove-attendees', { body: { eventId, emails: ['bo@example.com'], sendUpdates: 'none' } });
+    assert.equal(removed.status, 200);
+    assert.deepEqual(removed.body.removed, ['bo@example.com']);
+    assert.deepEqual(removed.body.attendees.map(attendee => attendee.email), ['ana@example.com']);
+
+    const removedTwice = await request('POST', '/api/remove-attendees', { body: { eventId, emails: ['bo@example.com'] } });
+    assert.equal(removedTwice.status, 404);
+  });
+
+  it('previews and confirms a bulk move', async () => {
+    for (const day of [23, 24]) {
+      await createEvent({ summary: `Relocate ${day}`, startDateTime: at(day, '10:00'), endDateTime: at(day, '11:00') });
+    }
+    const filter = { q: 'Relocate', timeMin: '2026-11-01T00:00:00Z', timeMax: '2026-12-01T00:00:00Z', destinationCalendarId: 'cal2' };
+
+    const sameCalendar = await request('POST', '/api/bulk-move', { body: { ...filter, destinationCalendarId: 'cal1' } });
+    assert.equal(sameCalendar.status, 400);
+
+    const preview = await request('POST', '/api/bulk-move', { body: filter });
+    assert.equal(preview.status, 200);
+    assert.equal(preview.body.matchCount, 2);
+
+    const confirmed = await request('POST', '/api/bulk-move', {
+      body: { ...filter, confirmationToken: preview.body.confirmationToken }
+    });
+    assert.equal(confirmed.status, 200);
+    assert.deepEqual(confirmed.body.results.map(result => result.status), ['moved', 'moved']);
+    assert.equal((await listEvents('cal2')).filter(event => event.summary.startsWith('Relocate')).length, 2);
+    assert.ok(!(await listEvents()).some(event => event.summary.startsWith('Relocate')));
+  });
+
+  it('lists deleted events in the trash and restores one', async () => {
+    const { eventId } = await createEvent({ summary: 'Trashed', startDateTime: at(25, '10:00'), endDateTime: at(25, '11:00') });
+    await request('POST', '/api/delete-event', { body: { eventId } });
+
+    const listed = await request('GET', '/api/trash?calendarId=cal1');
+    assert.equal(listed.status, 200);
+    const item = listed.body.trash.find(trashed => trashed.eventId === eventId);
+    assert.equal(item.operation, 'delete');
+    assert.equal(item.summary, 'Trashed');
+
+    const badSendUpdates = await request('POST', `/api/trash/${item.trashId}/restore`, { body: { sendUpdates: 'loud' } });
+    assert.equal(badSendUpdates.status, 400);
+
+    const restored = await request('POST', `/api/trash/${item.trashId}/restore`, { body: {} });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.results[0].status, 'restored');
+    assert.ok((await listEvents()).some(event => event.summary === 'Trashed'));
+
+    const afterRestore = await request('GET', '/api/trash?calendarId=cal1');
+    assert.ok(!afterRestore.body.trash.some(trashed => trashed.trashId === item.trashId));
+
+    const missing = await request('POST', '/api/trash/unknown/restore', { body: {} });
+    assert.equal(missing.status, 404);
+  });
+
+  it('issues, serves and revokes a subscription feed', async () => {
+    // Feeds publish a window around the current time
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    await createEvent({ summary: 'Feed entry', startDateTime: `${tomorrow}T10:00:00`, endDateTime: `${tomorrow}T11:00:00` });
+
+    const invalid = await request('POST', '/api/feeds', { body: { freeBusyOnly: 'yes' } });
+    assert.equal(invalid.status, 400);
+
+    const issued = await request('POST', '/api/feeds', { body: { calendarId: 'cal1', label: 'Team' } });
+    assert.equal(issued.status, 200, JSON.stringify(issued.body));
+    assert.match(issued.body.webcalUrl, /^webcal:/);
+    const feedPath = new URL(issued.body.url).pathname;
+    const { feedId } = issued.body.feed;
+
+    const served = await request('GET', feedPath);
+    assert.equal(served.status, 200);
+    assert.match(served.headers.get('content-type'), /text\/calendar/);
+    assert.match(served.body, /X-WR-CALNAME:Team/);
+    assert.match(served.body, /SUMMARY:Feed entry/);
+
+    // fetch sends Cache-Control: no-cache with conditional headers unless told otherwise
+    const revalidated = await request('GET', feedPath, {
+      headers: { 'If-None-Match': served.headers.get('etag'), 'Cache-Control': 'max-age=0' }
+    });
+    assert.equal(revalidated.status, 304);
+
+    const busy = await request('POST', '/api/feeds', { body: { calendarId: 'cal1', freeBusyOnly: true } });
+    const busyFeed = await request('GET', new URL(busy.body.url).pathname);
+    assert.match(busyFeed.body, /SUMMARY:Busy/);
+    assert.ok(!busyFeed.body.includes('Feed entry'));
+
+    const listed = await request('GET', '/api/feeds?calendarId=cal1');
+    assert.equal(listed.status, 200);
+    assert.ok(listed.body.feeds.some(feed => feed.feedId === feedId && feed.label === 'Team'));
+    assert.ok(listed.body.feeds.every(feed => !('token' in feed)));
+
+    const revoked = await request('POST', `/api/feeds/${feedId}/revoke`);
+    assert.equal(revoked.status, 200);
+    assert.equal(revoked.body.message, 'Feed revoked');
+    assert.equal((await request('GET', feedPath)).status, 404);
+
+    const revokedAgain = await request('DELETE', `/api/feeds/${feedId}`);
+    assert.equal(revokedAgain.status, 200);
+    assert.equal(revokedAgain.body.message, 'Feed was already revoked');
+    assert.ok(!(await request('GET', '/api/feeds')).body.feeds.some(feed => feed.feedId === feedId));
+
+    assert.equal((await request('DELETE', '/api/feeds/unknown')).status, 404);
+  });
+
+  it('shows, cancels and retries queued events', async () => {
+    const queued = (id, status) => ({
+      id, calendarId: 'cal1', userId: null, status, attempts: 5, lastError: 'Backend Error',
+      payload: { summary: id, startDateTime: at(26, '10:00'), endDateTime: at(26, '11:00'), timeZone: 'UTC' },
+      nextAttemptAt: '2026-10-01T10:00:00.000Z', lockedUntil: null, result: null,
+      createdAt: '2026-10-01T10:00:00.000Z', updatedAt: '2026-10-01T10:00:00.000Z'
+    });
+    fs.writeFileSync(path.join(server.dataDir, 'pending-events.json'), JSON.stringify([
+      queued('give-up', 'dead_letter'),
+      queued('try-again', 'dead_letter')
+    ]));
+
+    const shown = await request('GET', '/api/queue/give-up');
+    assert.equal(shown.status, 200);
+    assert.equal(shown.body.queuedEvent.status, 'dead_letter');
+    assert.equal(shown.body.queuedEvent.lastError, 'Backend Error');
+
+    const deadLetter = await request('GET', '/api/queue/dead-letter');
+    assert.deepEqual(deadLetter.body.queuedEvents.map(item => item.eventId).sort(), ['give-up', 'try-again']);
+
+    const cancelled = await request('POST', '/api/queue/give-up/cancel');
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.queuedEvent.status, 'cancelled');
+
+    const cancelledAgain = await request('POST', '/api/queue/give-up/cancel');
+    assert.equal(cancelledAgain.status, 409);
+    assert.equal(cancelledAgain.body.error, 'Invalid queue status');
+
+    const retried = await request('POST', '/api/queue/try-again/retry');
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.queuedEvent.status, 'pending');
+    assert.equal(retried.body.queuedEvent.attempts, 0);
+
+    const filtered = await request('GET', '/api/queue?status=cancelled');
+    assert.deepEqual(filtered.body.queuedEvents.map(item => item.eventId), ['give-up']);
+    assert.equal((await request('GET', '/api/queue?status=lost')).status, 400);
+
+    assert.equal((await request('GET', '/api/queue/unknown')).status, 404);
+    assert.equal((await request('POST', '/api/queue/unknown/retry')).status, 404);
+  });
+});
+
+describe('API key enforcement', () => {
+  let server;
+  let request;
+
+  before(async () => {
+    server = await startServer({ ADMIN_API_KEY: 'test-admin-key' });
+    request = server.request;
+  });
+  after(() => server.stop());
+
+  const issueKey = async (fields) => {
+    const { status, body } = await request('POST', '/api/keys', { apiKey: 'test-admin-key', body: fields });
+    assert.equal(status, 200, JSON.stringify(body));
+    return body.key;
+  };
+
+  it('rejects requests without a key', async () => {
+    const { status } = await request('GET', '/api/list-calendars');
+    assert.equal(status, 401);
+  });
+
+  it('enforces scopes and calendar allow-lists', async () => {
+    const readKey = await issueKey({ name: 'reader', scopes: ['read'], calendarIds: ['cal1'] });
+
+    assert.equal((await request('GET', '/api/list-events?calendarId=cal1', { apiKey: readKey })).status, 200);
+    assert.equal((await request('GET', '/api/list-events?calendarId=cal2', { apiKey: readKey })).status, 403);
+
+    const write = await request('POST', '/api/create-event', { apiKey: readKey, body: newEvent() });
+    assert.equal(write.status, 403);
+    assert.equal(write.body.error, 'Insufficient scope');
+  });
+
+  it('applies calendar allow-lists before the queue limit', async () => {
+    const queued = (id, calendarId, createdAt) => ({
+      id, calendarId, userId: null, payload: { summary: id }, status: 'dead_letter', attempts: 5,
+      lastError: 'Backend Error', nextAttemptAt: createdAt, lockedUntil: null, result: null, createdAt, updatedAt: createdAt
+    });
+    // The newest item is on a calendar the key may not use
+    fs.writeFileSync(path.join(server.dataDir, 'pending-events.json'), JSON.stringify([
+      queued('older-cal1', 'cal1', '2026-10-01T10:00:00.000Z'),
+      queued('newer-cal2', 'cal2', '2026-10-02T10:00:00.000Z')
+    ]));
+    const readKey = await issueKey({ name: 'queue reader', scopes: ['read'], calendarIds: ['cal1'] });
+
+    for (const route of ['/api/queue?limit=1', '/api/queue/dead-letter?limit=1']) {
+      const { status, body } = await request('GET', route, { apiKey: readKey });
+      assert.equal(status, 200, route);
+      assert.deepEqual(body.queuedEvents.map(item => item.eventId), ['older-cal1']);
+    }
+    const { body } = await request('GET', '/api/queue', { apiKey: readKey });
+    assert.equal(body.counts.dead_letter, 1);
+
+    for (const limit of ['-1', '0', '1.5', 'many', '501']) {
+      const bad = await request('GET', `/api/queue?limit=${limit}`, { apiKey: readKey });
+      assert.equal(bad.status, 400, limit);
+      assert.equal(bad.body.error, 'Invalid limit');
+      assert.equal((await request('GET', `/api/queue/dead-letter?limit=${limit}`, { apiKey: readKey })).status, 400);
+    }
+  });
+
+  it('keeps audit details for admin keys and appends entries as JSON lines', async () => {
+    const created = await request('POST', '/api/create-event', {
+      apiKey: 'test-admin-key',
+      body: newEvent({ summary: 'Audited', description: 'Private notes' })
+    });
+    const eventId = created.body.eventId;
+    const readKey = await issueKey({ name: 'auditor', scopes: ['read'] });
+
+    const admin = await request('GET', `/api/audit?eventId=${eventId}`, { apiKey: 'test-admin-key' });
+    assert.equal(admin.status, 200);
+    assert.equal(admin.body.entries[0].request.description, 'Private notes');
+    assert.equal(admin.body.entries[0].after.summary, 'Audited');
+
+    const reader = await request('GET', `/api/audit?eventId=${eventId}`, { apiKey: readKey });
+    assert.equal(reader.status, 200);
+    assert.equal(reader.body.entries[0].action, 'create');
+    assert.ok(!('request' in reader.body.entries[0]));
+    assert.ok(!('before' in reader.body.entries[0]));
+    assert.ok(!('after' in reader.body.entries[0]));
+
+    const exported = await request('GET', `/api/audit?eventId=${eventId}&format=jsonl`, { apiKey: readKey });
+    assert.ok(!exported.body.includes('Private notes'));
+
+    const lines = fs.readFileSync(path.join(server.dataDir, 'audit-log.jsonl'), 'utf8').trim().split('\n');
+    assert.equal(JSON.parse(lines.at(-1)).eventId, eventId);
+  });
+
+  it('lists and revokes API keys', async () => {
+    const key = await issueKey({ name: 'short-lived', scopes: ['read'] });
+    const { body: { apiKeys } } = await request('GET', '/api/keys', { apiKey: 'test-admin-key' });
+    const { keyId } = apiKeys.find(apiKey => apiKey.name === 'short-lived');
+    assert.ok(apiKeys.every(apiKey => !('key' in apiKey)));
+
+    const readOnly = await request('GET', '/api/keys', { apiKey: key });
+    assert.equal(readOnly.status, 403);
+
+    const revoked = await request('POST', `/api/keys/${keyId}/revoke`, { apiKey: 'test-admin-key' });
+    assert.equal(revoked.status, 200);
+    assert.ok(revoked.body.apiKey.revokedAt);
+    assert.equal((await request('GET', '/api/list-calendars', { apiKey: key })).status, 401);
+
+    const revokedAgain = await request('DELETE', `/api/keys/${keyId}`, { apiKey: 'test-admin-key' });
+    assert.equal(revokedAgain.body.message, 'API key was already revoked');
+    assert.equal((await request('DELETE', '/api/keys/unknown', { apiKey: 'test-admin-key' })).status, 404);
+  });
+
+  it('does not let a key confirm a bulk operation previewed by another key', async () => {
+    const first = await issueKey({ name: 'first', scopes: ['write', 'delete'] });
+    const second = await issueKey({ name: 'second', scopes: ['write', 'delete'] });
+    await request('POST', '/api/create-event', { apiKey: first, body: newEvent({ summary: 'Retro' }) });
+
+    const filter = { q: 'Retro', timeMin: '2026-11-01T00:00:00Z', timeMax: '2026-12-01T00:00:00Z' };
+    const preview = await request('POST', '/api/bulk-delete', { apiKey: first, body: filter });
+    assert.equal(preview.body.matchCount, 1);
+
+    const stolen = await request('POST', '/api/bulk-delete', {
+      apiKey: second,
+      body: { ...filter, confirmationToken: preview.body.confirmationToken }
+    });
+    assert.equal(stolen.status, 409);
+    assert.equal(stolen.body.preview, true);
+  });
+});
+
+describe('rate limits', () => {
+  let server;
+  let request;
+
+  before(async () => {
+    server = await startServer({ ALLOW_ANONYMOUS_ACCESS: 'true', RATE_LIMIT_READ: '3', RATE_LIMIT_WRITE: '1' });
+    request = server.request;
+  });
+  after(() => server.stop());
+
+  it('reports the budget in RateLimit headers and answers 429 once it is spent', async () => {
+    for (const remaining of ['2', '1', '0']) {
+      const { status, headers } = await request('GET', '/api/list-calendars');
+      assert.equal(status, 200);
+      assert.equal(headers.get('ratelimit-limit'), '3');
+      assert.equal(headers.get('ratelimit-remaining'), remaining);
+      assert.equal(headers.get('ratelimit-policy'), '3;w=60');
+    }
+
+    const { status, headers, body } = await request('GET', '/api/list-calendars');
+    assert.equal(status, 429);
+    assert.equal(body.error, 'Too many requests');
+    assert.ok(body.retryAfter >= 1 && body.retryAfter <= 60);
+    assert.equal(headers.get('retry-after'), String(body.retryAfter));
+    assert.equal(headers.get('ratelimit-remaining'), '0');
+  });
+
+  it('counts writes separately and leaves the status endpoints out', async () => {
+    assert.equal((await request('POST', '/api/create-event', { body: newEvent() })).status, 200);
+    assert.equal((await request('POST', '/api/create-event', { body: newEvent() })).status, 429);
+
+    const status = await request('GET', '/api/status');
+    assert.equal(status.status, 200);
+    assert.equal(status.headers.get('ratelimit-limit'), null);
+    assert.equal((await request('GET', '/health')).status, 200);
+  });
+});
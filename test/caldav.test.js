@@ -0,0 +1,219 @@
+// CalDAV provider tests against a real CalDAV server. They are skipped unless CALDAV_TEST_URL
+// points at a calendar home the tests may create calendars in, e.g. a local Radicale (which
+// creates the home of any user on first login when auth is off):
+//
+//   pip install radicale
+//   python -m radicale --storage-filesystem-folder=/tmp/radicale --auth-type=none
+//   CALDAV_TEST_URL=http://localhost:5232/test/ CALDAV_TEST_USERNAME=test npm test
+//
+// CALDAV_TEST_USERNAME and CALDAV_TEST_PASSWORD are sent as basic auth. Every run works in new
+// calendars, which are deleted afterwards.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const axios = require('axios');
+const { createCaldavProvider } = require('../caldav-provider');
+const { startServer } = require('./helpers');
+
+const CALDAV_TEST_URL = process.env.CALDAV_TEST_URL;
+const HOME_URL = CALDAV_TEST_URL && (CALDAV_TEST_URL.endsWith('/') ? CALDAV_TEST_URL : `${CALDAV_TEST_URL}/`);
+const auth = process.env.CALDAV_TEST_USERNAME
+  ? { username: process.env.CALDAV_TEST_USERNAME, password: process.env.CALDAV_TEST_PASSWORD || '' }
+  : undefined;
+const skip = !CALDAV_TEST_URL && 'set CALDAV_TEST_URL to run against a CalDAV server such as Radicale';
+
+const MKCALENDAR_BODY = (name) => `<?xml version="1.0" encoding="utf-8"?>
+<c:mkcalendar xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:set>
+    <d:prop>
+      <d:displayname>${name}</d:displayname>
+    </d:prop>
+  </d:set>
+</c:mkcalendar>`;
+
+const createCollection = (calendarId) => axios.request({
+  method: 'MKCALENDAR',
+  url: `${HOME_URL}${calendarId}/`,
+  auth,
+  headers: { 'Content-Type': 'application/xml; charset=utf-8' },
+  data: MKCALENDAR_BODY(calendarId)
+});
+
+const deleteCollection = (calendarId) => axios.request({ method: 'DELETE', url: `${HOME_URL}${calendarId}/`, auth })
+  .catch(() => {});
+
+const timed = (fields = {}) => ({
+  summary: 'Planning',
+  start: { dateTime: '2026-03-02T09:00:00', timeZone: 'Europe/Paris' },
+  end: { dateTime: '2026-03-02T10:00:00', timeZone: 'Europe/Paris' },
+  ...fields
+});
+
+describe('CalDAV provider', { skip }, () => {
+  const suffix = crypto.randomBytes(4).toString('hex');
+  const calendarId = `gtc-test-${suffix}`;
+  const otherCalendarId = `gtc-test-other-${suffix}`;
+  let provider;
+
+  before(async () => {
+    await createCollection(calendarId);
+    await createCollection(otherCalendarId);
+    provider = createCaldavProvider({ url: HOME_URL, ...(auth || {}), defaultTimeZone: 'UTC' });
+  });
+  after(async () => {
+    await deleteCollection(calendarId);
+    await deleteCollection(otherCalendarId);
+  });
+
+  it('lists and reads calendars', async () => {
+    const calendars = await provider.listCalendars();
+    assert.ok(calendars.some(calendar => calendar.id === calendarId));
+
+    const calendar = await provider.getCalendar(calendarId);
+    assert.equal(calendar.id, calendarId);
+    await assert.rejects(provider.getCalendar(`missing-${suffix}`), { code: 404 });
+  });
+
+  it('inserts, reads, patches and deletes an event', async () => {
+    const created = await provider.insertEvent(calendarId, timed({
+      summary: 'Budget; Q3, final',
+      description: 'Line one\nLine two',
+      attendees: [{ email: 'ana@example.com', responseStatus: 'accepted' }]
+    }));
+
+    const fetched = await provider.getEvent(calendarId, created.id);
+    assert.equal(fetched.summary, 'Budget; Q3, final');
+    assert.equal(fetched.description, 'Line one\nLine two');
+    assert.deepEqual(fetched.start, { dateTime: '2026-03-02T09:00:00', timeZone: 'Europe/Paris' });
+    assert.equal(fetched.attendees[0].responseStatus, 'accepted');
+
+    const patched = await provider.patchEvent(calendarId, created.id, { location: 'Room 4' });
+    assert.equal(patched.location, 'Room 4');
+    assert.equal(patched.summary, 'Budget; Q3, final');
+
+    await provider.deleteEvent(calendarId, created.id);
+    await assert.rejects(provider.getEvent(calendarId, created.id), { code: 404 });
+  });
+
+  it('rejects a second insert with the same ID', async () => {
+    const event = timed({ id: `fixed${suffix}` });
+    await provider.insertEvent(calendarId, event);
+    await assert.rejects(provider.insertEvent(calendarId, event), { code: 409 });
+    await provider.deleteEvent(calendarId, event.id);
+  });
+
+  it('lists events in a time range', async () => {
+    const inside = await provider.insertEvent(calendarId, timed({ summary: 'Inside' }));
+    const outside = await provider.insertEvent(calendarId, timed({
+      summary: 'Outside',
+      start: { dateTime: '2026-04-02T09:00:00', timeZone: 'Europe/Paris' },
+      end: { dateTime: '2026-04-02T10:00:00', timeZone: 'Europe/Paris' }
+    }));
+
+    const { items } = await provider.listEvents(calendarId, {
+      timeMin: '2026-03-01T00:00:00Z',
+      timeMax: '2026-03-31T00:00:00Z',
+      singleEvents: true
+    });
+    assert.ok(items.some(event => event.id === inside.id));
+    assert.ok(!items.some(event => event.id === outside.id));
+
+    await provider.deleteEvent(calendarId, inside.id);
+    await provider.deleteEvent(calendarId, outside.id);
+  });
+
+  it('expands a series, edits one instance and deletes another', async () => {
+    const series = await provider.insertEvent(calendarId, timed({
+      summary: 'Daily',
+      recurrence: ['RRULE:FREQ=DAILY;COUNT=4']
+    }));
+
+    const { items: instances } = await provider.listInstances(calendarId, series.id);
+    assert.equal(instances.length, 4);
+
+    await provider.patchEvent(calendarId, instances[1].id, { summary: 'Daily (moved)' });
+    await provider.deleteEvent(calendarId, instances[2].id);
+
+    const { items } = await provider.listEvents(calendarId, {
+      timeMin: '2026-03-01T00:00:00Z',
+      timeMax: '2026-03-10T00:00:00Z',
+      singleEvents: true
+    });
+    const daily = items.filter(event => event.recurringEventId === series.id);
+    assert.deepEqual(daily.map(event => event.summary), ['Daily', 'Daily (moved)', 'Daily']);
+
+    const master = await provider.getEvent(calendarId, series.id);
+    assert.ok(master.recurrence.some(line => line.startsWith('EXDATE')));
+
+    await provider.deleteEvent(calendarId, series.id);
+  });
+
+  it('moves an event to another calendar', async () => {
+    const created = await provider.insertEvent(calendarId, timed({ summary: 'Move me' }));
+
+    const moved = await provider.moveEvent(calendarId, created.id, otherCalendarId);
+    assert.equal(moved.id, created.id);
+    assert.equal((await provider.getEvent(otherCalendarId, created.id)).summary, 'Move me');
+    await assert.rejects(provider.getEvent(calendarId, created.id), { code: 404 });
+
+    await provider.deleteEvent(otherCalendarId, created.id);
+  });
+
+  it('reports busy times', async () => {
+    const created = await provider.insertEvent(calendarId, timed());
+
+    const result = await provider.queryFreeBusy({
+      timeMin: '2026-03-02T00:00:00Z',
+      timeMax: '2026-03-03T00:00:00Z',
+      calendarIds: [calendarId, `missing-${suffix}`]
+    });
+    assert.deepEqual(result[calendarId].busy, [{ start: '2026-03-02T08:00:00.000Z', end: '2026-03-02T09:00:00.000Z' }]);
+    assert.equal(result[`missing-${suffix}`].errors[0].reason, 'notFound');
+
+    await provider.deleteEvent(calendarId, created.id);
+  });
+});
+
+describe('routes on the CalDAV provider', { skip }, () => {
+  const calendarId = `gtc-test-routes-${crypto.randomBytes(4).toString('hex')}`;
+  let server;
+
+  before(async () => {
+    await createCollection(calendarId);
+    server = await startServer({
+      ALLOW_ANONYMOUS_ACCESS: 'true',
+      CALENDAR_PROVIDER: 'caldav',
+      CALDAV_URL: HOME_URL,
+      CALDAV_USERNAME: auth?.username || '',
+      CALDAV_PASSWORD: auth?.password || '',
+      DEFAULT_CALENDAR_ID: calendarId,
+      MEMORY_CALENDAR_IDS: ''
+    });
+  });
+  after(async () => {
+    await server?.stop();
+    await deleteCollection(calendarId);
+  });
+
+  it('creates, lists and deletes events', async () => {
+    const created = await server.request('POST', '/api/create-event', {
+      body: {
+        summary: 'Over CalDAV',
+        startDateTime: '2026-03-02T09:00:00',
+        endDateTime: '2026-03-02T10:00:00',
+        timeZone: 'Europe/Paris'
+      }
+    });
+    assert.equal(created.status, 200, JSON.stringify(created.body));
+
+    const listed = await server.request('GET', '/api/list-events?timeMin=2026-03-01T00:00:00Z&timeMax=2026-03-03T00:00:00Z');
+    assert.equal(listed.status, 200);
+    assert.deepEqual(listed.body.events.map(event => event.summary), ['Over CalDAV']);
+
+    const calendars = await server.request('GET', '/api/list-calendars');
+    assert.ok(calendars.body.calendars.some(calendar => calendar.id === calendarId));
+
+    const deleted = await server.request('POST', '/api/delete-event', { body: { eventId: created.body.eventId } });
+    assert.equal(deleted.status, 200);
+  });
+});
@@ -0,0 +1,96 @@
+// Domain-wide delegation checks. These run before any Google call, so no credentials are needed.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require('./helpers');
+
+const ADMIN_API_KEY = 'test-admin-key';
+
+const ICS = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'UID:delegated@test',
+  'DTSTART:20261102T100000Z',
+  'DTEND:20261102T110000Z',
+  'SUMMARY:Imported',
+  'END:VEVENT',
+  'END:VCALENDAR',
+  ''
+].join('\r\n');
+
+const icsUpload = (fields) => {
+  const form = new FormData();
+  form.append('file', new Blob([ICS], { type: 'text/calendar' }), 'events.ics');
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  return form;
+};
+
+describe('delegation', () => {
+  let server;
+  let request;
+  let writeKey;
+
+  before(async () => {
+    server = await startServer({
+      CALENDAR_PROVIDER: 'google',
+      ADMIN_API_KEY,
+      DELEGATION_ALLOWED_USERS: '@example.com',
+      DELEGATION_CALENDAR_USERS: 'team-a=ana@example.com,team-b=bo@example.com'
+    });
+    request = server.request;
+
+    const issued = await request('POST', '/api/keys', {
+      apiKey: ADMIN_API_KEY,
+      body: { name: 'writer', scopes: ['read', 'write'] }
+    });
+    assert.equal(issued.status, 200, JSON.stringify(issued.body));
+    writeKey = issued.body.key;
+  });
+  after(() => server.stop());
+
+  it('reads asUser from a multipart import and requires the delegate scope', async () => {
+    const { status, body } = await request('POST', '/api/import-ics', {
+      apiKey: writeKey,
+      body: icsUpload({ asUser: 'ana@example.com' })
+    });
+    assert.equal(status, 403);
+    assert.equal(body.error, 'Insufficient scope');
+    assert.match(body.message, /delegate/);
+  });
+
+  it('rejects users outside DELEGATION_ALLOWED_USERS in a multipart import', async () => {
+    const { status, body } = await request('POST', '/api/import-ics', {
+      apiKey: ADMIN_API_KEY,
+      body: icsUpload({ asUser: 'mallory@elsewhere.com' })
+    });
+    assert.equal(status, 403);
+    assert.equal(body.error, 'Impersonation not allowed');
+  });
+
+  it('requires the delegate scope for asUser in the query or a JSON body', async () => {
+    const query = await request('GET', '/api/list-events?asUser=ana@example.com', { apiKey: writeKey });
+    assert.equal(query.status, 403);
+    assert.equal(query.body.error, 'Insufficient scope');
+
+    const json = await request('POST', '/api/create-event', {
+      apiKey: writeKey,
+      body: {
+        asUser: 'ana@example.com',
+        summary: 'Planning',
+        startDateTime: '2026-11-02T10:00:00',
+        endDateTime: '2026-11-02T11:00:00'
+      }
+    });
+    assert.equal(json.status, 403);
+    assert.equal(json.body.error, 'Insufficient scope');
+  });
+
+  it('rejects requests whose calendars are delegated to different users', async () => {
+    const { status, body } = await request('POST', '/api/move-event', {
+      apiKey: writeKey,
+      body: { calendarId: 'team-a', eventId: 'event-1', destinationCalendarId: 'team-b' }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Ambiguous impersonation');
+  });
+});
@@ -0,0 +1,35 @@
+// Service account auth clients are built once per subject
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { getServiceAccountAuth } = require('../google-provider');
+
+describe('service account auth', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtc-key-'));
+    const keyPath = path.join(dir, 'key.json');
+    fs.writeFileSync(keyPath, JSON.stringify({ client_email: 'robot@example.iam.gserviceaccount.com', private_key: 'not-a-real-key' }));
+    process.env.GOOGLE_SERVICE_ACCOUNT_KEY_PATH = keyPath;
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('reuses the client for a subject and reads the key file once', () => {
+    const serviceAccount = getServiceAccountAuth();
+    const ana = getServiceAccountAuth({ subject: 'ana@example.com' });
+
+    // The key file is not read again for new clients
+    fs.rmSync(path.join(dir, 'key.json'));
+    const bo = getServiceAccountAuth({ subject: 'bo@example.com' });
+
+    assert.equal(getServiceAccountAuth(), serviceAccount);
+    assert.equal(getServiceAccountAuth({ subject: 'ana@example.com' }), ana);
+    assert.notEqual(ana, serviceAccount);
+    assert.equal(ana.subject, 'ana@example.com');
+    assert.equal(bo.subject, 'bo@example.com');
+    assert.equal(bo.email, 'robot@example.iam.gserviceaccount.com');
+  });
+});
@@ -0,0 +1,85 @@
+// Start server.js in a child process for integration tests. Every server gets its own data
+// directory and a free port, and runs against the in-memory calendar unless env says otherwise.
+const { spawn } = require("node:child_process");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+const START_TIMEOUT_MS = 10000;
+
+const startServer = async (env = {}) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtc-test-'));
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    cwd: dataDir, // keeps dotenv from loading a developer's .env
+    env: {
+      PATH: process.env.PATH,
+      NODE_ENV: 'test',
+      PORT: '0',
+      DATA_DIR: dataDir,
+      CALENDAR_PROVIDER: 'memory',
+      DEFAULT_CALENDAR_ID: 'cal1',
+      MEMORY_CALENDAR_IDS: 'cal2',
+      GOOGLE_SERVICE_ACCOUNT_KEY_PATH: path.join(dataDir, 'missing-key.json'),
+      // Suites send more requests than the default budgets allow; rate limit tests set their own
+      RATE_LIMIT_READ: '10000',
+      RATE_LIMIT_WRITE: '10000',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  const port = await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => fail(new Error('Server did not start in time')), START_TIMEOUT_MS);
+    const fail = (error) => {
+      clearTimeout(timer);
+      child.kill('SIGKILL');
+      reject(new Error(`${error.message}\n${output}`));
+    };
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      const match = output.match(/Server listening on: .*:(\d+)/);
+      if (match) {
+        clearTimeout(timer);
+        resolve(Number(match[1]));
+      }
+    });
+    child.stderr.on('data', (chunk) => { output += chunk; });
+    child.on('exit', (code) => fail(new Error(`Server exited with code ${code}`)));
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  // Send a request and return { status, headers, body } (body parsed when it is JSON)
+  const request = async (method, route, { body, headers = {}, apiKey } = {}) => {
+    const isForm = body instanceof FormData;
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: {
+        ...(body !== undefined && !isForm ? { 'Content-Type': 'application/json' } : {}),
+        ...(apiKey ? { 'X-API-Key': apiKey } : {}),
+        ...headers
+      },
+      body: body === undefined || isForm ? body : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+  };
+
+  const stop = async () => {
+    child.removeAllListeners('exit');
+    if (child.exitCode === null) {
+      await new Promise(resolve => {
+        child.once('exit', resolve);
+        child.kill('SIGKILL');
+      });
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  };
+
+  return { baseUrl, dataDir, request, stop };
+};
+
+module.exports = { startServer };
@@ -0,0 +1,202 @@
+// Round-trip tests of the iCalendar converter used by the CalDAV provider and .ics import/export
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  escapeText,
+  unescapeText,
+  parseICalendar,
+  buildICalendar,
+  toExportableEvents
+} = require('../icalendar');
+
+const roundTrip = (events, options) => parseICalendar(buildICalendar(events, options)).events;
+
+const baseEvent = (fields = {}) => ({
+  id: 'event-1',
+  iCalUID: 'event-1@test',
+  summary: 'Planning',
+  start: { dateTime: '2026-03-02T09:00:00', timeZone: 'Europe/Paris' },
+  end: { dateTime: '2026-03-02T10:00:00', timeZone: 'Europe/Paris' },
+  ...fields
+});
+
+describe('text escaping', () => {
+  it('escapes and unescapes separators, backslashes and newlines', () => {
+    const text = 'a, b; c \\ d\nsecond line';
+    const escaped = escapeText(text);
+    assert.equal(escaped, 'a\\, b\\; c \\\\ d\\nsecond line');
+    assert.equal(unescapeText(escaped), text);
+  });
+
+  it('keeps escaped text intact through a document', () => {
+    const [event] = roundTrip([baseEvent({
+      summary: 'Budget; Q3, final',
+      description: 'Agenda:\n1. Numbers\n2. C:\\reports',
+      location: 'Room 4, floor 2'
+    })]);
+    assert.equal(event.summary, 'Budget; Q3, final');
+    assert.equal(event.description, 'Agenda:\n1. Numbers\n2. C:\\reports');
+    assert.equal(event.location, 'Room 4, floor 2');
+  });
+});
+
+describe('line folding', () => {
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const summary = `${'Überprüfung der Quartalszahlen – '.repeat(6)}🎉 done`;
+    const ics = buildICalendar([baseEvent({ summary })]);
+
+    for (const line of ics.split('\r\n')) {
+      assert.ok(Buffer.byteLength(line) <= 75, `line is ${Buffer.byteLength(line)} octets: ${line}`);
+      assert.ok(!line.includes('\uFFFD'));
+    }
+    assert.ok(ics.includes('\r\n '), 'expected a folded line');
+    assert.equal(parseICalendar(ics).events[0].summary, summary);
+  });
+
+  it('unfolds lines continued with a space or a tab', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:folded@test',
+      'DTSTART:20260302T090000Z',
+      'DTEND:20260302T100000Z',
+      'SUMMARY:A summary that was',
+      '  folded once',
+      '\tand twice',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+    assert.equal(parseICalendar(ics).events[0].summary, 'A summary that was folded onceand twice');
+  });
+});
+
+describe('event times', () => {
+  it('round-trips zoned, UTC and all-day times', () => {
+    const [zoned, utc, allDay] = roundTrip([
+      baseEvent(),
+      baseEvent({ iCalUID: 'utc@test', start: { dateTime: '2026-03-02T09:00:00Z' }, end: { dateTime: '2026-03-02T09:30:00Z' } }),
+      baseEvent({ iCalUID: 'day@test', start: { date: '2026-03-05' }, end: { date: '2026-03-06' } })
+    ]);
+    assert.deepEqual(zoned.start, { dateTime: '2026-03-02T09:00:00', timeZone: 'Europe/Paris' });
+    assert.deepEqual(zoned.end, { dateTime: '2026-03-02T10:00:00', timeZone: 'Europe/Paris' });
+    assert.deepEqual(utc.start, { dateTime: '2026-03-02T09:00:00Z' });
+    assert.deepEqual(allDay.start, { date: '2026-03-05' });
+    assert.deepEqual(allDay.end, { date: '2026-03-06' });
+  });
+
+  it('falls back to the default zone for floating times and unknown TZIDs', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:windows@test',
+      'DTSTART;TZID=W. Europe Standard Time:20260302T090000',
+      'DURATION:PT45M',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+    const [event] = parseICalendar(ics, { defaultTimeZone: 'America/New_York' }).events;
+    assert.deepEqual(event.start, { dateTime: '2026-03-02T09:00:00', timeZone: 'America/New_York' });
+    assert.deepEqual(event.end, { dateTime: '2026-03-02T09:45:00', timeZone: 'America/New_York' });
+  });
+});
+
+describe('recurrence', () => {
+  it('round-trips RRULE and EXDATE lines', () => {
+    const recurrence = [
+      'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10',
+      'EXDATE;TZID=Europe/Paris:20260304T090000'
+    ];
+    const [event] = roundTrip([baseEvent({ recurrence })]);
+    assert.deepEqual(event.recurrence, recurrence);
+  });
+
+  it('turns cancelled instances into EXDATEs and keeps exceptions', () => {
+    const series = baseEvent({ recurrence: ['RRULE:FREQ=DAILY;COUNT=5'] });
+    const cancelled = {
+      id: 'event-1_20260303T080000Z',
+      recurringEventId: 'event-1',
+      status: 'cancelled',
+      originalStartTime: { dateTime: '2026-03-03T09:00:00', timeZone: 'Europe/Paris' }
+    };
+    const moved = baseEvent({
+      id: 'event-1_20260304T080000Z',
+      recurringEventId: 'event-1',
+      summary: 'Planning (late)',
+      start: { dateTime: '2026-03-04T11:00:00', timeZone: 'Europe/Paris' },
+      end: { dateTime: '2026-03-04T12:00:00', timeZone: 'Europe/Paris' },
+      originalStartTime: { dateTime: '2026-03-04T09:00:00', timeZone: 'Europe/Paris' }
+    });
+
+    const exportable = toExportableEvents([series, cancelled, moved]);
+    assert.equal(exportable.length, 2);
+    assert.deepEqual(exportable[0].recurrence, [
+      'RRULE:FREQ=DAILY;COUNT=5',
+      'EXDATE;TZID=Europe/Paris:20260303T090000'
+    ]);
+    // The listed series is not modified
+    assert.deepEqual(series.recurrence, ['RRULE:FREQ=DAILY;COUNT=5']);
+
+    const [master, exception] = roundTrip(exportable);
+    assert.equal(master.recurrence.length, 2);
+    assert.equal(exception.iCalUID, master.iCalUID);
+    assert.deepEqual(exception.originalStartTime, { dateTime: '2026-03-04T09:00:00', timeZone: 'Europe/Paris' });
+  });
+});
+
+describe('VTIMEZONE', () => {
+  it('describes the daylight saving rules of each zone used', () => {
+    const ics = buildICalendar([
+      baseEvent(),
+      baseEvent({ iCalUID: 'tokyo@test', start: { dateTime: '2026-03-02T09:00:00', timeZone: 'Asia/Tokyo' }, end: { dateTime: '2026-03-02T10:00:00', timeZone: 'Asia/Tokyo' } })
+    ]);
+    const zones = ics.split('BEGIN:VTIMEZONE').slice(1);
+    assert.equal(zones.length, 2);
+
+    const paris = zones.find(zone => zone.includes('TZID:Europe/Paris'));
+    assert.match(paris, /BEGIN:DAYLIGHT\r\nDTSTART:20260329T020000\r\nRRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU\r\nTZOFFSETFROM:\+0100\r\nTZOFFSETTO:\+0200/);
+    assert.match(paris, /BEGIN:STANDARD\r\nDTSTART:20261025T030000\r\nRRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU\r\nTZOFFSETFROM:\+0200\r\nTZOFFSETTO:\+0100/);
+
+    const tokyo = zones.find(zone => zone.includes('TZID:Asia/Tokyo'));
+    assert.match(tokyo, /TZOFFSETFROM:\+0900\r\nTZOFFSETTO:\+0900/);
+    assert.ok(!tokyo.includes('DAYLIGHT'));
+  });
+
+  it('leaves out VTIMEZONE for UTC and all-day events', () => {
+    const ics = buildICalendar([
+      baseEvent({ start: { dateTime: '2026-03-02T09:00:00Z' }, end: { dateTime: '2026-03-02T10:00:00Z' } }),
+      baseEvent({ iCalUID: 'day@test', start: { date: '2026-03-05' }, end: { date: '2026-03-06' } })
+    ]);
+    assert.ok(!ics.includes('VTIMEZONE'));
+  });
+});
+
+describe('attendees and reminders', () => {
+  it('round-trips attendees, organizer and alarms', () => {
+    const [event] = roundTrip([baseEvent({
+      organizer: { email: 'host@example.com', displayName: 'Host, The' },
+      attendees: [
+        { email: 'ana@example.com', displayName: 'Ana', responseStatus: 'accepted' },
+        { email: 'bo@example.com', responseStatus: 'tentative', optional: true },
+        { email: 'cy@example.com' }
+      ],
+      reminders: { useDefault: false, overrides: [{ method: 'popup', minutes: 10 }, { method: 'email', minutes: 60 }] }
+    })]);
+
+    assert.deepEqual(event.organizer, { email: 'host@example.com', displayName: 'Host, The' });
+    assert.deepEqual(event.attendees, [
+      { email: 'ana@example.com', displayName: 'Ana', responseStatus: 'accepted' },
+      { email: 'bo@example.com', responseStatus: 'tentative', optional: true },
+      { email: 'cy@example.com', responseStatus: 'needsAction' }
+    ]);
+    assert.deepEqual(event.reminders, {
+      useDefault: false,
+      overrides: [{ method: 'popup', minutes: 10 }, { method: 'email', minutes: 60 }]
+    });
+  });
+
+  it('keeps the calendar name and time zone', () => {
+    const parsed = parseICalendar(buildICalendar([baseEvent()], { name: 'Team, shared', timeZone: 'Europe/Paris' }));
+    assert.equal(parsed.name, 'Team, shared');
+    assert.equal(parsed.timeZone, 'Europe/Paris');
+  });
+});
@@ -0,0 +1,213 @@
+// Trash for destructive operations. Deletes and moves snapshot the full event first, so they can
+// be undone within TRASH_RETENTION_DAYS. One undo token covers every item of an operation (a
+// bulk delete undoes as a whole); only a hash of the token is stored.
+// Backed by the trash_items table, or by data/trash.json without a database.
+const crypto = require("node:crypto");
+const { pool, registerSchema, readJsonStore, writeJsonStore } = require('./db');
+
+const RETENTION_MS = (Number(process.env.TRASH_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// delete: the event was deleted; move: it was moved to destinationCalendarId; truncate: a series
+// was ended early (by deleting "this and following" instances)
+const OPERATIONS = ['delete', 'move', 'truncate'];
+
+const STORE_NAME = 'trash';
+
+registerSchema(`
+  CREATE TABLE IF NOT EXISTS trash_items (
+    id TEXT PRIMARY KEY,
+    token_hash TEXT NOT NULL,
+    operation TEXT NOT NULL,
+    calendar_id TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    destination_calendar_id TEXT,
+    snapshot JSONB NOT NULL,
+    user_id TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    restored_at TIMESTAMPTZ,
+    restored_event_id TEXT
+  )
+`);
+registerSchema('CREATE INDEX IF NOT EXISTS trash_items_token_idx ON trash_items (token_hash)');
+// The Workspace user the service account acted as (domain-wide delegation); restores run as them too
+registerSchema('ALTER TABLE trash_items ADD COLUMN IF NOT EXISTS as_user TEXT');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const toIsoString = (value) => (value ? new Date(value).toISOString() : null);
+
+// Map a database row to the shape used by the rest of the app
+const fromRow = (row) => ({
+  id: row.id,
+  operation: row.operation,
+  calendarId: row.calendar_id,
+  eventId: row.event_id,
+  destinationCalendarId: row.destination_calendar_id,
+  snapshot: row.snapshot,
+  userId: row.user_id,
+  asUser: row.as_user,
+  createdAt: toIsoString(row.created_at),
+  expiresAt: toIsoString(row.expires_at),
+  restoredAt: toIsoString(row.restored_at),
+  restoredEventId: row.restored_event_id
+});
+
+// File records carry the hash, which never leaves this module
+const withoutHash = ({ tokenHash, ...item }) => item;
+
+const readItems = () => readJsonStore(STORE_NAME, []);
+
+const isExpired = (item) => new Date(item.expiresAt).getTime() <= Date.now();
+
+// Whether a file-store item belongs to the user (any item when no user is given)
+const isOwnedBy = (item, userId) => !userId || item.userId === userId;
+
+// Trash the events of one operation: [{ operation, calendarId, eventId, destinationCalendarId, snapshot }].
+// Returns the undo token (only available now), its expiry and the stored items.
+const trashEvents = async (entries, { userId = null, asUser = null } = {}) => {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const tokenHash = hashToken(token);
+  const expiresAt = new Date(Date.now() + RETENTION_MS).toISOString();
+  const records = entries.map(entry => ({
+    id: crypto.randomBytes(8).toString('hex'),
+    operation: entry.operation,
+    calendarId: entry.calendarId,
+    eventId: entry.eventId,
+    destinationCalendarId: entry.destinationCalendarId || null,
+    snapshot: entry.snapshot
+  }));
+
+  if (pool) {
+    const items = [];
+    for (const record of records) {
+      const result = await pool.query(
+        `INSERT INTO trash_items (id, token_hash, operation, calendar_id, event_id, destination_calendar_id, snapshot, user_id,
+           as_user, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+        [record.id, tokenHash, record.operation, record.calendarId, record.eventId, record.destinationCalendarId,
+          JSON.stringify(record.snapshot), userId, asUser, expiresAt]
+      );
+      items.push(fromRow(result.rows[0]));
+    }
+    return { token, expiresAt, items };
+  }
+
+  const createdAt = new Date().toISOString();
+  const stored = records.map(record => ({
+    ...record,
+    tokenHash,
+    userId,
+    asUser,
+    createdAt,
+    expiresAt,
+    restoredAt: null,
+    restoredEventId: null
+  }));
+  writeJsonStore(STORE_NAME, [...readItems(), ...stored]);
+  return { token, expiresAt, items: stored.map(withoutHash) };
+};
+
+// The unexpired items of an undo token (restored ones included), or an empty array
+const findByToken = async (token, { userId } = {}) => {
+  if (!token || typeof token !== 'string') return [];
+  const tokenHash = hashToken(token);
+
+  if (pool) {
+    const result = await pool.query(
+      `SELECT * FROM trash_items
+       WHERE token_hash = $1 AND expires_at > NOW() AND ($2::text IS NULL OR user_id = $2)
+       ORDER BY created_at, id`,
+      [tokenHash, userId || null]
+    );
+    return result.rows.map(fromRow);
+  }
+
+  return readItems()
+    .filter(item => item.tokenHash === tokenHash && !isExpired(item) && isOwnedBy(item, userId))
+    .map(withoutHash);
+};
+
+// Get an unexpired item by ID, or null
+const getItem = async (id, { userId } = {}) => {
+  if (pool) {
+    const result = await pool.query(
+      'SELECT * FROM trash_items WHERE id = $1 AND expires_at > NOW() AND ($2::text IS NULL OR user_id = $2)',
+      [id, userId || null]
+    );
+    return result.rows.length > 0 ? fromRow(result.rows[0]) : null;
+  }
+
+  const item = readItems().find(candidate => candidate.id === id && !isExpired(candidate) && isOwnedBy(candidate, userId));
+  return item ? withoutHash(item) : null;
+};
+
+// List unexpired items, newest first, optionally for some calendars or one user. Restored items
+// are included on request.
+const listItems = async ({ calendarIds, includeRestored = false, userId, limit = 100 } = {}) => {
+  if (pool) {
+    const result = await pool.query(
+      `SELECT * FROM trash_items
+       WHERE expires_at > NOW() AND ($1::boolean OR restored_at IS NULL)
+         AND ($2::text[] IS NULL OR calendar_id = ANY($2) OR destination_calendar_id = ANY($2))
+         AND ($3::text IS NULL OR user_id = $3)
+       ORDER BY created_at DESC
+       LIMIT $4`,
+      [includeRestored, calendarIds || null, userId || null, limit]
+    );
+    return result.rows.map(fromRow);
+  }
+
+  return readItems()
+    .filter(item => !isExpired(item) && (includeRestored || !item.restoredAt) &&
+      (!calendarIds || calendarIds.includes(item.calendarId) || calendarIds.includes(item.destinationCalendarId)) &&
+      isOwnedBy(item, userId))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, limit)
+    .map(withoutHash);
+};
+
+// Record that an item was restored. Returns the item, or null when it was already restored.
+const markRestored = async (id, restoredEventId) => {
+  if (pool) {
+    const result = await pool.query(
+      `UPDATE trash_items SET restored_at = NOW(), restored_event_id = $2
+       WHERE id = $1 AND restored_at IS NULL RETURNING *`,
+      [id, restoredEventId]
+    );
+    return result.rows.length > 0 ? fromRow(result.rows[0]) : null;
+  }
+
+  const items = readItems();
+  const item = items.find(candidate => candidate.id === id);
+  if (!item || item.restoredAt) return null;
+  item.restoredAt = new Date().toISOString();
+  item.restoredEventId = restoredEventId;
+  writeJsonStore(STORE_NAME, items);
+  return withoutHash(item);
+};
+
+// Remove items past the retention window
+const purgeExpired = async () => {
+  if (pool) {
+    const result = await pool.query('DELETE FROM trash_items WHERE expires_at <= NOW()');
+    return result.rowCount;
+  }
+
+  const items = readItems();
+  const remaining = items.filter(item => !isExpired(item));
+  if (remaining.length === items.length) return 0;
+  writeJsonStore(STORE_NAME, remaining);
+  return items.length - remaining.length;
+};
+
+module.exports = {
+  OPERATIONS,
+  RETENTION_MS,
+  trashEvents,
+  findByToken,
+  getItem,
+  listItems,
+  markRestored,
+  purgeExpired
+};